@@ -2,13 +2,247 @@ const yargs = require('yargs/yargs');
 const { hideBin } = require('yargs/helpers');
 
 const Zfsdom = require('./src/zfsdom.js');
+const consoleReporter = require('./src/consoleReporter.js');
+const {parseRetentionPolicy} = require('./src/retention.js');
+const {loadConfig} = require('./src/config.js');
+const {COMPRESSORS, parseSize} = require('./src/stream.js');
+const {formatStatus, formatEvacuation, formatJobStatus} = require('./src/statusReport.js');
+const {Replicator, readStatus} = require('./src/replicator.js');
+const Metrics = require('./src/metrics.js');
+
+/**
+ * add the snapshot retention options to a command
+ * @param yargs
+ * @returns yargs
+ */
+function retentionOptions(yargs) {
+  return yargs
+      .option('keep', {
+        description: 'Retention policy for snapshots created by zfsdom on source and destination, e.g. last=10,hourly=24,daily=7,weekly=4,monthly=6,age=2d (the latest common snapshot is always kept)',
+        type: 'string',
+        coerce: parseRetentionPolicy,
+      })
+      .option('keep-source', {
+        description: 'Retention policy for the source, overrides --keep',
+        type: 'string',
+        coerce: parseRetentionPolicy,
+      })
+      .option('keep-dest', {
+        description: 'Retention policy for the destination, overrides --keep',
+        type: 'string',
+        coerce: parseRetentionPolicy,
+      });
+}
+
+/**
+ * get the retention policies per side from the retention options
+ * @param argv
+ * @returns {{source: Object|null, destination: Object|null}|null} null if no retention option is given
+ */
+function getRetentionPolicies(argv) {
+  const source = argv['keep-source'] || argv.keep || null;
+  const destination = argv['keep-dest'] || argv.keep || null;
+  return source || destination ? {source, destination} : null;
+}
+
+/**
+ * add the replication stream options to a command
+ * Options not given on the command line default to the ones configured for the source and destination host.
+ * @param yargs
+ * @returns yargs
+ */
+function streamOptions(yargs) {
+  return yargs
+      .option('bwlimit', {
+        description: 'Limit the bandwidth of the replication stream to this many bytes per second, e.g. 50MB (requires pv on the source)',
+        type: 'string',
+        coerce: parseSize,
+      })
+      .option('compress', {
+        description: 'Compress the replication stream in transit (the compressor has to be installed on source and destination)',
+        type: 'string',
+        choices: Object.keys(COMPRESSORS),
+      })
+      .option('raw', {
+        description: 'Send encrypted datasets as they are stored, without decrypting them (zfs send --raw)',
+        type: 'boolean',
+      })
+      .option('large-block', {
+        description: 'Keep blocks larger than 128KB (zfs send --large-block)',
+        type: 'boolean',
+      })
+      .option('embed', {
+        description: 'Keep embedded data blocks (zfs send --embed)',
+        type: 'boolean',
+      })
+      .option('props', {
+        description: 'Send the dataset properties (zfs send --props)',
+        type: 'boolean',
+      })
+      .option('recv-set', {
+        description: 'Set a property on the received dataset, e.g. readonly=on (zfs recv -o), may be given several times',
+        type: 'array',
+        string: true,
+        coerce: (values) => Object.fromEntries(values.map(value => {
+          const [, property, propertyValue] = `${value}`.match(/^([^=]+)=(.*)$/) || [];
+          if (!property)
+            throw new Error(`invalid property '${value}', expected PROPERTY=VALUE`);
+          return [property, propertyValue];
+        })),
+      })
+      .option('recv-exclude', {
+        description: 'Do not receive a property, e.g. mountpoint (zfs recv -x), may be given several times',
+        type: 'array',
+        string: true,
+      })
+      .option('tcp', {
+        description: 'Send the stream over a plain tcp connection to the (internal) destination host instead of through ssh, for trusted networks unless --tls-* is given (requires mbuffer on source and destination)',
+        type: 'boolean',
+      })
+      .option('tcp-port', {
+        description: 'The port the destination listens on for --tcp (the next free one if it is in use), defaults to 9090',
+        type: 'number',
+      })
+      .option('buffer', {
+        description: 'The size of the buffer on both sides of a --tcp stream, defaults to 1GB',
+        type: 'string',
+      })
+      .option('tls-cert', {
+        description: 'Protect the --tcp stream using tls (socat): the certificate of the hosts, at the same path on source and destination',
+        type: 'string',
+      })
+      .option('tls-key', {
+        description: 'The private key of the hosts for --tls-cert',
+        type: 'string',
+      })
+      .option('tls-ca', {
+        description: 'The ca certificate the peer certificate is verified against for --tls-cert',
+        type: 'string',
+      })
+      .option('cipher-key', {
+        description: 'Encrypt the --tcp stream using the key in this file (openssl enc), at the same path on source and destination. The stream is not authenticated, use --tls-* to protect it on untrusted networks',
+        type: 'string',
+      });
+}
+
+/**
+ * get the replication stream options from the command line
+ * @param argv
+ * @returns {StreamOptions}
+ */
+function getStreamOptions(argv) {
+  return {
+    bwlimit: argv.bwlimit,
+    compress: argv.compress,
+    raw: argv.raw,
+    largeBlock: argv['large-block'],
+    embed: argv.embed,
+    props: argv.props,
+    recvSet: argv['recv-set'],
+    recvExclude: argv['recv-exclude'],
+    tcp: argv.tcp,
+    tcpPort: argv['tcp-port'],
+    buffer: argv.buffer,
+    tlsCert: argv['tls-cert'],
+    tlsKey: argv['tls-key'],
+    tlsCa: argv['tls-ca'],
+    cipherKey: argv['cipher-key'],
+  };
+}
+
+/**
+ * parse the SOURCE=DESTINATION pairs of a mapping option
+ * @param {string[]} values
+ * @returns {Object<string, string>}
+ */
+function parseMapping(values) {
+  return Object.fromEntries(values.map(value => {
+    const [, source, destination] = `${value}`.match(/^([^=]+)=(.+)$/) || [];
+    if (!source)
+      throw new Error(`invalid mapping '${value}', expected SOURCE=DESTINATION`);
+    return [source, destination];
+  }));
+}
+
+/**
+ * add the options mapping the resources a domain refers to on the destination
+ * @param yargs
+ * @returns yargs
+ */
+function mappingOptions(yargs) {
+  return yargs
+      .option('map-bridge', {
+        description: 'Connect the interfaces attached to a bridge to another bridge on the destination, e.g. br0=vmbr0 (may be given several times)',
+        type: 'array',
+        string: true,
+        coerce: parseMapping,
+      })
+      .option('map-portgroup', {
+        description: 'Connect the interfaces attached to a portgroup of a network to another portgroup on the destination, e.g. vlan10=vlan20 (may be given several times)',
+        type: 'array',
+        string: true,
+        coerce: parseMapping,
+      })
+      .option('map-pool', {
+        description: 'Use another storage pool on the destination for the disks that are volumes of a storage pool, e.g. default=vms (may be given several times)',
+        type: 'array',
+        string: true,
+        coerce: parseMapping,
+      })
+      .option('cpu-model', {
+        description: 'Define the domain on the destination with this cpu model, e.g. Haswell-noTSX, instead of host-model or host-passthrough',
+        type: 'string',
+      });
+}
+
+/**
+ * get the mappings of the domain definition from the command line
+ * @param argv
+ * @returns {DomainMappings}
+ */
+function getMappingOptions(argv) {
+  return {bridges: argv['map-bridge'], portgroups: argv['map-portgroup'], pools: argv['map-pool'], cpuModel: argv['cpu-model']};
+}
+
+/**
+ * add the migration options (including the replication stream and mapping options) to a command
+ * @param yargs
+ * @returns yargs
+ */
+function migrationOptions(yargs) {
+  return mappingOptions(streamOptions(yargs))
+      .option('cleanup-dest', {
+        description: 'If the migration fails, undefine the (half-created) domain on the destination when rolling back, unless it has been defined there before',
+        type: 'boolean',
+      })
+      .option('max-passes', {
+        description: 'Maximum number of incremental pre-copy transfers (including the initial one) before the domain is suspended',
+        type: 'number',
+        default: 5,
+      })
+      .option('precopy-threshold', {
+        description: 'Stop pre-copy as soon as the data written since the last pass is estimated below this size, e.g. 64MB',
+        type: 'string',
+        default: '64MB',
+        coerce: parseSize,
+      });
+}
+
+/**
+ * get the options of Zfsdom.migrateDomain from the command line
+ * @param argv
+ * @returns {Object}
+ */
+function getMigrationOptions(argv) {
+  return {maxPasses: argv['max-passes'], threshold: argv['precopy-threshold'], cleanupDestination: argv['cleanup-dest'], stream: getStreamOptions(argv), mappings: getMappingOptions(argv)};
+}
 
 const argv = yargs(hideBin(process.argv))
     .command(
         'transfer [dest]',
         'Transfer ZFS datasets by name or domain from local to remote destination',
         (yargs) => {
-          return yargs
+          return streamOptions(retentionOptions(yargs))
               .option('domain', {
                 description: 'Specify local libvirt domain with storage residing on ZFS dataset',
                 type: 'string',
@@ -17,10 +251,31 @@ const argv = yargs(hideBin(process.argv))
                 description: 'Specify local dataset',
                 type: 'string',
               })
+              .option('recursive', {
+                description: 'Transfer the dataset with all its descendants, snapshotted together and sent with their properties',
+                type: 'boolean',
+              })
+              .option('exclude', {
+                description: 'Skip the descendants (and their children) matching this pattern in a --recursive transfer, relative to the dataset, e.g. cache or */tmp (* matches within a name, ** across names), may be given several times',
+                type: 'array',
+                string: true,
+              })
+              .option('destroy-removed', {
+                description: 'Destroy the datasets on the destination whose source has been removed since the last --recursive transfer',
+                type: 'boolean',
+              })
+              .option('freeze', {
+                description: 'Freeze the file systems of the --domain while it is snapshotted (virsh domfsfreeze, requires the qemu guest agent), the snapshot is only crash-consistent if the agent is not available',
+                type: 'boolean',
+              })
+              .option('freeze-timeout', {
+                description: 'Seconds to wait for the guest agent to freeze and to thaw the file systems for --freeze',
+                type: 'number',
+                default: 30,
+              })
               .positional('dest', {
-                description: 'Destination host and dataset (optional) specified as HOSTNAME[:DATASET]. The dataset name only has to be provided if it differs from the one on the source host (asymmetric transfer).',
+                description: 'Destination host and dataset (optional) specified as [USER@]HOST[(INTERNAL_HOST)][:PORT][:DATASET]. The dataset name only has to be provided if it differs from the one on the source host (asymmetric transfer). May be omitted if configured in the profile of the domain.',
                 type: 'string',
-                demandOption: true,
               })
               .check((argv) => {
                 if (argv.domain && argv.dataset) {
@@ -29,27 +284,81 @@ const argv = yargs(hideBin(process.argv))
                 if (!argv.domain && !argv.dataset) {
                   throw new Error('One of --domain or --dataset should be provided.');
                 }
+                if (argv.dataset && !argv.dest) {
+                  throw new Error('dest should be provided.');
+                }
+                if ((argv.exclude || argv['destroy-removed']) && !argv.recursive) {
+                  throw new Error('--exclude and --destroy-removed require --recursive.');
+                }
+                if (argv.recursive && !argv.dataset) {
+                  throw new Error('--recursive requires --dataset.');
+                }
+                if (argv.freeze && !argv.domain) {
+                  throw new Error('--freeze requires --domain.');
+                }
+                if (!(argv['freeze-timeout'] > 0)) {
+                  throw new Error('--freeze-timeout should be positive.');
+                }
                 return true;
               })
               .example("transfer --domain foo host1", "transfer the storage of the local libvirt domain named 'foo' on a ZFS dataset to a dataset sharing the same name on the remote host 'host1' (symmetric transfer)")
               .example("transfer --domain foo host1:bar/baz", "transfer the storage of the local libvirt domain named 'foo' on a ZFS dataset to the dataset 'bar/baz' on the remote host 'host1' (asymmetric transfer)")
+              .example("transfer --domain db1 host1 --freeze", "transfer the storage of the local libvirt domain named 'db1' to the remote host 'host1', snapshotted with its file systems frozen by the guest agent")
               .example("transfer --dataset foo/bar host1", "transfer the ZFS dataset named 'foo/bar' to a dataset sharing the same name on the remote host 'host1'  (symmetric transfer)")
               .example("transfer --dataset foo/bar host1:bar/baz", "transfer the ZFS dataset named 'foo/bar' to a dataset named 'bar/baz' on the remote host 'host1' (asymmetric transfer)")
+              .example("transfer --dataset foo/bar host1 --recursive --exclude cache", "transfer the ZFS dataset named 'foo/bar' with all its descendants except 'foo/bar/cache' to the remote host 'host1'")
+              .example("transfer --dataset foo/bar host1 --compress zstd --bwlimit 50MB", "transfer the ZFS dataset named 'foo/bar' to the remote host 'host1', compressing the stream using zstd and limiting it to 50MB/s")
+        }
+    )
+    .command(
+        'prune [dest]',
+        'Destroy snapshots created by zfsdom according to a retention policy on the source and (optionally) the destination',
+        (yargs) => {
+          return retentionOptions(yargs)
+              .option('domain', {
+                description: 'Specify local libvirt domain with storage residing on ZFS dataset',
+                type: 'string',
+              })
+              .option('dataset', {
+                description: 'Specify local dataset',
+                type: 'string',
+              })
+              .positional('dest', {
+                description: 'Destination host and dataset (optional) specified as [USER@]HOST[(INTERNAL_HOST)][:PORT][:DATASET]. If omitted, snapshots are pruned on the source only.',
+                type: 'string',
+              })
+              .check((argv) => {
+                if (argv.domain && argv.dataset) {
+                  throw new Error('Only one of --domain or --dataset should be provided.');
+                }
+                if (!argv.domain && !argv.dataset) {
+                  throw new Error('One of --domain or --dataset should be provided.');
+                }
+                if (!getRetentionPolicies(argv)) {
+                  throw new Error('One of --keep, --keep-source or --keep-dest should be provided.');
+                }
+                return true;
+              })
+              .example("prune --dataset foo/bar --keep last=10", "destroy all but the 10 most recent snapshots created by zfsdom of the local dataset 'foo/bar'")
+              .example("prune --dataset foo/bar host1:bar/baz --keep-source last=2 --keep-dest daily=7,weekly=4", "keep the 2 most recent snapshots of 'foo/bar' and one snapshot per day of the last 7 days and one per week of the last 4 weeks of its copy 'bar/baz' on 'host1'")
         }
     )
     .command(
         'migrate [dest]',
         'Migrate a libvirt domain with its storage residing on a ZFS dataset',
         (yargs) => {
-          return yargs
+          return migrationOptions(yargs)
               .option('domain', {
                 description: 'Specify local libvirt domain with storage residing on ZFS dataset',
                 type: 'string',
               })
+              .option('offline', {
+                description: 'Migrate a domain that is shut off: transfer its storage, define it on the destination and undefine it on the source',
+                type: 'boolean',
+              })
               .positional('dest', {
-                description: 'Destination host and dataset (optional) specified as HOSTNAME[:DATASET]. The dataset name only has to be provided if it differs from the one on the source host (asymmetric transfer).',
+                description: 'Destination host and dataset (optional) specified as [USER@]HOST[(INTERNAL_HOST)][:PORT][:DATASET]. The dataset name only has to be provided if it differs from the one on the source host (asymmetric transfer). May be omitted if configured in the profile of the domain.',
                 type: 'string',
-                demandOption: true,
               })
               .check((argv) => {
                 if (!argv.domain) {
@@ -59,6 +368,228 @@ const argv = yargs(hideBin(process.argv))
               })
               .example("migrate --domain foo host1", "live (suspended) migrate the libvirt domain named 'foo' with its storage residing on a local ZFS dataset to the remote host 'host1', transferring storage to a ZFS dataset with the same name as the source (symmetric transfer)")
               .example("migrate --domain foo host1:bar/baz", "live (suspended) migrate the libvirt domain named 'foo' with its storage residing on a local ZFS dataset to the remote host 'host1', transferring storage to the ZFS dataset 'bar/baz' (asymmetric transfer)")
+              .example("migrate --domain foo host1 --offline", "move the libvirt domain named 'foo', which is shut off, with its storage to the remote host 'host1'")
+              .example("migrate --domain foo host1 --map-bridge br0=vmbr0 --cpu-model Haswell-noTSX", "migrate the libvirt domain named 'foo' to 'host1', connecting its interfaces attached to 'br0' to 'vmbr0' there and pinning its cpu model")
+        }
+    )
+    .command(
+        'clone <dest>',
+        'Copy a libvirt domain with its storage residing on ZFS datasets to another host or under a new name to the same host',
+        (yargs) => {
+          return mappingOptions(streamOptions(yargs))
+              .option('domain', {
+                description: 'Specify local libvirt domain with storage residing on ZFS dataset',
+                type: 'string',
+              })
+              .option('name', {
+                description: 'Name of the clone, defaults to the name of the domain',
+                type: 'string',
+              })
+              .positional('dest', {
+                description: 'Destination host and dataset specified as [USER@]HOST[(INTERNAL_HOST)][:PORT][:DATASET]. The datasets of the clone must not exist yet, so the dataset is required to clone on the same host.',
+                type: 'string',
+              })
+              .check((argv) => {
+                if (!argv.domain) {
+                  throw new Error('--domain should be provided.');
+                }
+                return true;
+              })
+              .example("clone --domain foo host1", "copy the libvirt domain named 'foo' with its storage to the remote host 'host1', the copy gets a new uuid and new mac addresses and is not started")
+              .example("clone --domain host1:foo host1:tank/vms/bar --name bar", "copy the libvirt domain named 'foo' on 'host1' as 'bar' with its storage in the ZFS dataset 'tank/vms/bar' on the same host")
+        }
+    )
+    .command(
+        'evacuate <source> <dest..>',
+        'Migrate all (or the selected) running libvirt domains from a hypervisor to one or more destinations',
+        (yargs) => {
+          return migrationOptions(yargs)
+              .positional('source', {
+                description: 'The hypervisor to evacuate specified as [USER@]HOST[:PORT]',
+                type: 'string',
+              })
+              .positional('dest', {
+                description: 'Destination hosts specified as [USER@]HOST[(INTERNAL_HOST)][:PORT][:DATASET]. The dataset may contain {domain}, which is replaced by the domain name, e.g. host1:tank/vms/{domain}, otherwise it is the parent of the datasets of the domains. Without dataset, the dataset of the domain\'s profile applies.',
+                type: 'string',
+              })
+              .option('include', {
+                description: 'Only migrate the domains matching this pattern, e.g. web* (may be given several times)',
+                type: 'array',
+                string: true,
+              })
+              .option('exclude', {
+                description: 'Skip the domains matching this pattern (may be given several times)',
+                type: 'array',
+                string: true,
+              })
+              .option('concurrency', {
+                description: 'Number of domains migrated at the same time',
+                type: 'number',
+                default: 1,
+              })
+              .option('placement', {
+                description: 'How the domains are assigned to the destinations: in turn (round-robin) or each one to the destination with the most free memory left (capacity), largest domains first',
+                type: 'string',
+                choices: ['round-robin', 'capacity'],
+                default: 'round-robin',
+              })
+              .check((argv) => {
+                if (!(argv.concurrency >= 1)) {
+                  throw new Error('--concurrency should be at least 1.');
+                }
+                return true;
+              })
+              .example("evacuate host1 host2 host3 --do", "migrate all running domains from 'host1' to 'host2' and 'host3' in turn")
+              .example("evacuate host1 host2:tank/vms/{domain} host3:tank/vms/{domain} --placement capacity --concurrency 2 --exclude 'test-*' --do", "migrate all running domains but the ones named test-* from 'host1' to the destination with the most free memory, two at a time, into 'tank/vms/<domain>'")
+        }
+    )
+    .command(
+        'check [dest]',
+        'Check whether a libvirt domain can be migrated to the destination (also done before every migration)',
+        (yargs) => {
+          return mappingOptions(yargs)
+              .option('domain', {
+                description: 'Specify local libvirt domain with storage residing on ZFS dataset',
+                type: 'string',
+              })
+              .positional('dest', {
+                description: 'Destination host and dataset (optional) specified as [USER@]HOST[(INTERNAL_HOST)][:PORT][:DATASET]. May be omitted if configured in the profile of the domain.',
+                type: 'string',
+              })
+              .check((argv) => {
+                if (!argv.domain) {
+                  throw new Error('--domain should be provided.');
+                }
+                return true;
+              })
+              .example("check --domain foo host1:bar/baz", "check whether the local libvirt domain named 'foo' can be migrated to the remote host 'host1', transferring storage to the ZFS dataset 'bar/baz'")
+        }
+    )
+    .command(
+        'failover [replica]',
+        'Start a libvirt domain from the copies of its ZFS datasets on the destination of its transfers, e.g. after its host has failed',
+        (yargs) => {
+          return mappingOptions(yargs)
+              .option('domain', {
+                description: 'Specify the libvirt domain transferred to the replica host',
+                type: 'string',
+              })
+              .positional('replica', {
+                description: 'Host holding the copies specified as [USER@]HOST[:PORT][:DATASET], only the descendants of the dataset are searched if given. May be omitted if configured in the profile of the domain.',
+                type: 'string',
+              })
+              .check((argv) => {
+                if (!argv.domain) {
+                  throw new Error('--domain should be provided.');
+                }
+                return true;
+              })
+              .example("failover --domain foo host1 --do", "roll the copies of the storage of the libvirt domain named 'foo' on 'host1' back to their latest snapshot, define the domain there from the definition stored with them and start it")
+              .example("failover --domain foo host1:backup --map-bridge br0=vmbr0 --do", "start 'foo' from its copies below the ZFS dataset 'backup' on 'host1', connecting its interfaces attached to 'br0' to 'vmbr0'")
+        }
+    )
+    .command(
+        'failback [home]',
+        'Move a libvirt domain started by failover back to the host its ZFS datasets have been transferred from',
+        (yargs) => {
+          return migrationOptions(yargs)
+              .option('domain', {
+                description: 'Specify the libvirt domain, prefixed by the replica host it has been failed over to as HOST[:PORT]:DOMAIN unless configured as destination in its profile',
+                type: 'string',
+              })
+              .option('offline', {
+                description: 'Move a domain that is shut off on the replica host (see migrate --offline)',
+                type: 'boolean',
+              })
+              .positional('home', {
+                description: 'Host to move the domain back to specified as [USER@]HOST[(INTERNAL_HOST)][:PORT]. May be omitted if the copies have been transferred from a remote host, required if the transfers have run on the source host itself.',
+                type: 'string',
+              })
+              .check((argv) => {
+                if (!argv.domain) {
+                  throw new Error('--domain should be provided.');
+                }
+                return true;
+              })
+              .example("failback --domain host1:foo host2 --do", "migrate the libvirt domain named 'foo' from 'host1' back to 'host2', transferring its storage to the datasets it has been transferred from")
+              .example("failback --domain host1:foo host2 --force --do", "discard the snapshots and changes made on 'host2' since the last transfer before the failover, then migrate 'foo' back to 'host2'")
+        }
+    )
+    .command(
+        'status [dest]',
+        'Compare the snapshots of datasets (by name or domain) with their copies on the destination',
+        (yargs) => {
+          return yargs
+              .option('domain', {
+                description: 'Specify local libvirt domain with storage residing on ZFS dataset',
+                type: 'string',
+              })
+              .option('dataset', {
+                description: 'Specify local dataset',
+                type: 'string',
+              })
+              .option('recursive', {
+                description: 'Compare the descendants of the dataset as well',
+                type: 'boolean',
+              })
+              .option('exclude', {
+                description: 'Skip the descendants matching this pattern with --recursive (see transfer --exclude), may be given several times',
+                type: 'array',
+                string: true,
+              })
+              .positional('dest', {
+                description: 'Destination host and dataset (optional) specified as [USER@]HOST[(INTERNAL_HOST)][:PORT][:DATASET]. May be omitted if configured in the profile of the domain.',
+                type: 'string',
+              })
+              .check((argv) => {
+                if (argv.domain && argv.dataset) {
+                  throw new Error('Only one of --domain or --dataset should be provided.');
+                }
+                if (!argv.domain && !argv.dataset) {
+                  throw new Error('One of --domain or --dataset should be provided.');
+                }
+                if (argv.dataset && !argv.dest) {
+                  throw new Error('dest should be provided.');
+                }
+                if (argv.recursive && !argv.dataset) {
+                  throw new Error('--recursive requires --dataset.');
+                }
+                return true;
+              })
+              .example("status --dataset foo/bar host1:bar/baz", "list the snapshots of the local dataset 'foo/bar' and its copy 'bar/baz' on 'host1', how far the copy lags behind and whether it has been modified")
+              .example("status --domain foo host1 --json", "report the status of the copies of the datasets holding the disks of the local libvirt domain 'foo' on 'host1' as json")
+        }
+    )
+    .command(
+        'daemon',
+        'Run the replication jobs of the configuration on their schedule (continuous incremental transfers)',
+        (yargs) => {
+          return yargs
+              .option('job', {
+                description: 'Only run this job (may be given several times, default: all configured jobs)',
+                type: 'array',
+                string: true,
+              })
+              .option('once', {
+                description: 'Run the jobs once (including retries) and exit, e.g. from cron',
+                type: 'boolean',
+              })
+              .option('status', {
+                description: 'Print the status of the jobs (last success, lag, failures) and exit',
+                type: 'boolean',
+              })
+              .option('state-dir', {
+                description: 'Directory holding the locks, the job log and the status of the jobs (default: stateDir of the configuration or /var/lib/zfsdom)',
+                type: 'string',
+              })
+              .option('metrics-listen', {
+                description: 'Serve prometheus metrics (/metrics) and the health of the jobs (/health) over http on this address, specified as [HOST:]PORT',
+                type: 'string',
+              })
+              .example("daemon", "transfer the configured jobs on their schedule until stopped")
+              .example("daemon --once --job web1-dr", "transfer the job 'web1-dr' once, e.g. from cron")
+              .example("daemon --status", "show when each job has last succeeded and how far its destination lags behind")
+              .example("daemon --metrics-listen 9424", "transfer the configured jobs on their schedule and serve their metrics on port 9424")
         }
     )
     .command(
@@ -67,7 +598,7 @@ const argv = yargs(hideBin(process.argv))
         (yargs) => {
           return yargs
               .positional('host', {
-                description: 'Target host and port (optional) specified as HOSTNAME[:PORT]',
+                description: 'Target host and port (optional) specified as [USER@]HOST[:PORT]',
                 type: 'string',
                 demandOption: true,
               })
@@ -118,35 +649,225 @@ const argv = yargs(hideBin(process.argv))
       description: 'if set, rollback incremental snapshot source on destination if modified or discard existing datasets contents if no snapshot exists on destination',
       type: 'boolean',
     })
+    .option('snapshot-prefix', {
+      description: 'prefix of the names of snapshots created by zfsdom, only snapshots with this prefix are pruned (default: none)',
+      type: 'string',
+    })
+    .option('config', {
+      description: 'configuration file defining host aliases, domain profiles and defaults (default: zfsdom.yaml, zfsdom.yml or zfsdom.json in ~/.config/zfsdom or /etc/zfsdom)',
+      type: 'string',
+    })
+    .option('json', {
+      description: 'print the result as json document instead of human readable progress information',
+      type: 'boolean',
+    })
+    .option('metrics-file', {
+      description: 'write prometheus metrics (bytes sent, durations, migration downtime, failures, replication lag) to this file when done, e.g. for the textfile collector of the node exporter',
+      type: 'string',
+    })
+    .option('ssh-user', {
+      description: 'ssh user for hosts not specified as USER@HOST (default: ~/.ssh/config)',
+      type: 'string',
+    })
+    .option('ssh-identity', {
+      description: 'private key used to authenticate to remote hosts (default: ~/.ssh/config or ssh-agent)',
+      type: 'string',
+    })
+    .option('ssh-agent', {
+      description: 'ssh-agent socket to use instead of $SSH_AUTH_SOCK',
+      type: 'string',
+    })
+    .option('ssh-jump', {
+      description: 'jump host(s) to reach remote hosts through, specified as [USER@]HOST[:PORT][,...] (default: ProxyJump of ~/.ssh/config)',
+      type: 'string',
+    })
+    .option('ssh-port', {
+      description: 'ssh port for hosts specified without port (default: ~/.ssh/config or 22)',
+      type: 'number',
+    })
+    .option('ssh-config', {
+      description: 'ssh config file to use instead of ~/.ssh/config',
+      type: 'string',
+    })
+    .option('ssh-sudo', {
+      description: 'run commands on remote hosts using sudo, for ssh users other than root (sudo must not ask for a password)',
+      type: 'boolean',
+    })
+    .option('known-hosts', {
+      description: 'host key verification: only known hosts (strict), add unknown hosts to known_hosts (accept-new) or none at all (off) (default: ~/.ssh/config)',
+      choices: ['strict', 'accept-new', 'off'],
+    })
     .demandCommand(1, 'You need at least one command before moving on')
     .help()
     .alias('help', 'h')
     .argv;
 
 const action = argv._[0];
+let config;
+try {
+  config = loadConfig(argv.config || null);
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
+const zfsdom = new Zfsdom({
+  config,
+  snapshotPrefix: argv['snapshot-prefix'],
+  ssh: {
+    user: argv['ssh-user'],
+    identity: argv['ssh-identity'],
+    agent: argv['ssh-agent'],
+    proxyJump: argv['ssh-jump'],
+    port: argv['ssh-port'],
+    configFile: argv['ssh-config'],
+    knownHosts: argv['known-hosts'],
+    sudo: argv['ssh-sudo'],
+  },
+});
+if (!argv.json)
+  consoleReporter(zfsdom);
+const metrics = argv['metrics-file'] || argv['metrics-listen'] ? new Metrics().observe(zfsdom) : null;
+if (argv['metrics-file']) {
+  try {
+    metrics.restore(argv['metrics-file']);
+  } catch (err) {
+    console.error(`cannot read the metrics saved with ${argv['metrics-file']}, starting at zero: ${err.message}`);
+  }
+}
 
-if (action === 'migrate' && argv['dest']) {
-  new Zfsdom().migrateDomain(argv.domain, argv['dest'], argv.do, argv.force)
-      .catch(err => console.error((err + "").trim()));
-} else if (action === 'transfer' && argv['dest']) {
+/**
+ * write the metrics to the file given by --metrics-file, if any
+ */
+function writeMetrics() {
+  if (!argv['metrics-file'])
+    return;
+  try {
+    metrics.writeFile(argv['metrics-file']);
+  } catch (err) {
+    console.error(`cannot write metrics to ${argv['metrics-file']}: ${err.message}`);
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * wait for the result of a command, print it if requested and set the exit code accordingly
+ * @param {Promise<{success: boolean}>} promise
+ * @returns {Promise<Object>} the result
+ */
+async function finish(promise) {
+  const startTime = Date.now();
+  let result;
+  try {
+    result = await promise;
+  } catch (err) {
+    result = {success: false, error: (err + "").trim()};
+    if (!argv.json)
+      console.error(result.error);
+  }
+  zfsdom.close();
+  if (argv.json)
+    console.log(JSON.stringify({command: action, ...result, duration: Date.now() - startTime}, null, 2));
+  writeMetrics();
+  if (!result.success)
+    process.exitCode = 1;
+  return result;
+}
+
+if (action === 'migrate') {
+  finish(zfsdom.migrateDomain(argv.domain, argv['dest'], argv.do, argv.force, {...getMigrationOptions(argv), offline: argv.offline}));
+} else if (action === 'clone') {
+  finish(zfsdom.cloneDomain(argv.domain, argv['dest'], argv.do, {name: argv.name, stream: getStreamOptions(argv), mappings: getMappingOptions(argv)}));
+} else if (action === 'evacuate') {
+  finish(zfsdom.evacuateHost(argv.source, argv.dest, argv.do, argv.force, {
+    include: argv.include,
+    exclude: argv.exclude,
+    concurrency: argv.concurrency,
+    placement: argv.placement,
+    migration: getMigrationOptions(argv),
+  })).then((result) => {
+    if (!argv.json && result.domains)
+      console.log(formatEvacuation(result));
+  });
+} else if (action === 'transfer') {
+  const options = {keep: getRetentionPolicies(argv), stream: getStreamOptions(argv), recursive: argv.recursive, exclude: argv.exclude, destroyRemoved: argv['destroy-removed'], freeze: argv.freeze, freezeTimeout: argv['freeze-timeout']};
   if (argv.domain) {
-    new Zfsdom().transferDomainSnapshot(argv.domain, argv['dest'], argv.do, argv.force)
-        .catch(err => console.error((err + "").trim()));
+    finish(zfsdom.transferDomainSnapshot(argv.domain, argv['dest'], argv.do, argv.force, options));
   } else if (argv.dataset) {
-    new Zfsdom().transferSnapshotByDataset(argv.dataset, argv['dest'], argv.do, argv.force)
-        .catch(err => console.error((err + "").trim()));
+    finish(zfsdom.transferSnapshotByDataset(argv.dataset, argv['dest'], argv.do, argv.force, options));
   } else {
     console.log('Please provide either --dataset or --domain argument for transferring.');
+    process.exitCode = 1;
+  }
+} else if (action === 'status') {
+  const status = argv.domain
+      ? zfsdom.getDomainStatus(argv.domain, argv['dest'])
+      : zfsdom.getDatasetStatus(argv.dataset, argv['dest'], {recursive: argv.recursive, exclude: argv.exclude});
+  finish(status).then((result) => {
+    if (!argv.json && result.datasets && result.datasets.length)
+      console.log(formatStatus(result));
+  });
+} else if (action === 'daemon') {
+  const stateDir = argv['state-dir'] || config.stateDir || '/var/lib/zfsdom';
+  if (argv.status) {
+    const jobs = readStatus(stateDir).filter(status => !argv.job || argv.job.includes(status.job));
+    zfsdom.close();
+    console.log(argv.json ? JSON.stringify(jobs, null, 2) : jobs.length ? formatJobStatus(jobs) : 'no job has run yet');
+  } else {
+    const unknown = (argv.job || []).filter(name => !config.jobs[name]);
+    if (!Object.keys(config.jobs).length || unknown.length) {
+      console.error(unknown.length ? `unknown job ${unknown.join(", ")}` : `no jobs configured${config.file ? ` in ${config.file}` : ""}`);
+      zfsdom.close();
+      process.exitCode = 1;
+    } else {
+      const jobs = argv.job ? Object.fromEntries(argv.job.map(name => [name, config.jobs[name]])) : config.jobs;
+      const replicator = new Replicator(zfsdom, jobs, {stateDir});
+      if (metrics) {
+        metrics.observeReplicator(replicator);
+        replicator.on('job-end', writeMetrics);
+      }
+      if (argv.once) {
+        finish(replicator.runOnce());
+      } else {
+        process.once('SIGINT', () => replicator.stop());
+        process.once('SIGTERM', () => replicator.stop());
+        finish((async () => {
+          const server = argv['metrics-listen'] ? await metrics.listen(argv['metrics-listen']) : null;
+          try {
+            await replicator.start();
+          } finally {
+            if (server)
+              server.close();
+          }
+          return {success: true};
+        })());
+      }
+    }
   }
+} else if (action === 'check') {
+  finish(zfsdom.checkMigration(argv.domain, argv['dest'], {mappings: getMappingOptions(argv)}));
+} else if (action === 'failover') {
+  finish(zfsdom.failoverDomain(argv.domain, argv['replica'] || null, argv.do, {mappings: getMappingOptions(argv)}));
+} else if (action === 'failback') {
+  finish(zfsdom.failbackDomain(argv.domain, argv['home'] || null, argv.do, argv.force, {migration: {...getMigrationOptions(argv), offline: argv.offline}}));
+} else if (action === 'prune') {
+  if (argv.domain)
+    finish(zfsdom.pruneDomainSnapshots(argv.domain, argv['dest'] || null, getRetentionPolicies(argv), argv.do));
+  else
+    finish(zfsdom.pruneSnapshotsByDataset(argv.dataset, argv['dest'] || null, getRetentionPolicies(argv), argv.do));
 } else if (action === 'virsh' && argv.cmd) {
-    new Zfsdom().executeDomainOperation(argv.domain,argv.cmd)
-        .catch(err => console.error((err + "").trim()));
+  finish(zfsdom.executeDomainOperation(argv.domain,argv.cmd));
 } else if (action === 'list-domains') {
   (async ()=>{
-    let domains = await new Zfsdom().getDomains(argv.host,argv.all||false)
-          .catch(err => console.error((err + "").trim()));
-    console.log(argv.plain ? domains.map(i=>Object.keys(i).map(k=>i[k]).join(",")).join("\n") : JSON.stringify(domains,null,2));
+    let domains = await zfsdom.getDomains(argv.host,argv.all||false)
+          .catch(err => {
+            console.error((err + "").trim());
+            process.exitCode = 1;
+          });
+    zfsdom.close();
+    if (domains)
+      console.log(argv.plain ? domains.map(i=>Object.keys(i).map(k=>i[k]).join(",")).join("\n") : JSON.stringify(domains,null,2));
   })();
 } else {
   console.log('Invalid command or missing required arguments.');
+  process.exitCode = 1;
 }
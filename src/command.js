@@ -0,0 +1,71 @@
+/**
+ * Construction of shell commands and validation of the names interpolated into them
+ *
+ * Commands are built from argument arrays, every argument is quoted for a POSIX shell, so names containing spaces, quotes or other
+ * special characters are passed verbatim instead of being interpreted by the shell.
+ */
+
+/**
+ * quote a single argument for a POSIX shell
+ * @param {string|number} arg
+ * @returns {string}
+ */
+function quote(arg) {
+  const str = `${arg}`;
+  if (/^[A-Za-z0-9_\-+=.,/:@%]+$/.test(str))
+    return str;
+  return `'${str.replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * build a shell command from an argument array
+ * @param {...(string|number)} args - the command and its arguments
+ * @returns {string}
+ */
+function command(...args) {
+  return args.map(quote).join(" ");
+}
+
+/**
+ * validate a zfs dataset (filesystem or volume) name
+ * @param {string} name
+ * @returns {string} the name
+ * @throws {Error} if the name is invalid
+ */
+function validateDatasetName(name) {
+  if (typeof name !== "string" || name.length > 255 || !/^[A-Za-z0-9][A-Za-z0-9_.: -]*(\/[A-Za-z0-9_.: -]+)*$/.test(name) || name.split("/").some(component => /^\.\.?$/.test(component)))
+    throw new Error(`invalid zfs dataset name '${name}'`);
+  return name;
+}
+
+/**
+ * validate a zfs snapshot name (the part following the @)
+ * @param {string} name
+ * @returns {string} the name
+ * @throws {Error} if the name is invalid
+ */
+function validateSnapshotName(name) {
+  if (typeof name !== "string" || !/^[A-Za-z0-9_.: -]+$/.test(name))
+    throw new Error(`invalid zfs snapshot name '${name}'`);
+  return name;
+}
+
+/**
+ * validate a libvirt domain name
+ * @param {string} name
+ * @returns {string} the name
+ * @throws {Error} if the name is invalid
+ */
+function validateDomainName(name) {
+  if (typeof name !== "string" || !name.length || /[/\x00-\x1f\x7f]/.test(name))
+    throw new Error(`invalid libvirt domain name '${name}'`);
+  return name;
+}
+
+module.exports = {
+  quote,
+  command,
+  validateDatasetName,
+  validateSnapshotName,
+  validateDomainName,
+};
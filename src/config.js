@@ -0,0 +1,263 @@
+/**
+ * Configuration file defining hypervisors by alias, defaults and per-domain profiles
+ *
+ * The configuration is read from the file given by --config or the first existing zfsdom.yaml, zfsdom.yml or zfsdom.json in ~/.config/zfsdom and
+ * /etc/zfsdom, e.g.:
+ *
+ *   snapshotPrefix: zfsdom-
+ *   ssh:                          # defaults for the ssh options, see transport.js
+ *     user: admin
+ *     sudo: true
+ *   hosts:
+ *     hv2:
+ *       host: hv2.example.com     # ssh endpoint specified as [USER@]HOST, defaults to the alias
+ *       port: 2222
+ *       internal: 10.0.0.2        # internal address used for storage transfers and migrations
+ *       dataset: tank/vms         # default parent of the datasets transferred to this host
+ *       send: [-c]                # additional zfs send arguments if this host is the source
+ *       recv: [-o, compression=lz4]  # additional zfs recv arguments if this host is the destination
+ *       bwlimit: 50MB             # options of the replication stream to or from this host, see stream.js
+ *       compress: zstd
+ *       recvSet: {canmount: noauto}
+ *       tcp: true                 # stream to the internal address over plain tcp instead of ssh
+ *       bridges: {br0: vmbr0}     # names of bridges, portgroups and storage pools on this host by their names on the source of a migration
+ *       pools: {default: vms}
+ *       cpuModel: Haswell         # cpu model of the domains migrated to this host, see domainXml.js
+ *   domains:
+ *     web1:
+ *       host: hv1                 # the host the domain is running on
+ *       dest: hv2                 # default destination specified as [USER@]HOST[(INTERNAL_HOST)][:PORT][:DATASET]
+ *       dataset: tank/vms/web1    # destination dataset if the destination does not specify one
+ *   stateDir: /var/lib/zfsdom     # locks, job log and status of the replication jobs
+ *   jobs:                         # replication jobs run by the daemon, see replicator.js
+ *     web1-dr:
+ *       domain: hv1:web1          # the source, either domain or dataset, optionally prefixed by [USER@]HOST[:PORT]
+ *       dest: dr1:tank/dr/        # the destination, may be omitted for a domain with a configured destination
+ *       every: 15m                # the interval in (s)econds, (m)inutes, (h)ours, (d)ays or (w)eeks
+ *       keep: last=96,daily=7     # retention policy applied on both sides after every run
+ *       retries: 3                # retries of a failed run before waiting for the next interval, defaults to 3
+ *       retryDelay: 1m            # the delay before the first retry, doubled for every further one, defaults to 1m
+ *       stream: {compress: zstd}  # options of the replication stream, see stream.js
+ *       freeze: true              # freeze the file systems of the domain while it is snapshotted (qemu guest agent)
+ */
+
+const {existsSync, readFileSync} = require("fs");
+const {homedir} = require("os");
+const {join, extname} = require("path");
+const yaml = require('js-yaml');
+const {validateStreamOptions} = require('./stream.js');
+const {parseRetentionPolicy, parseDuration} = require('./retention.js');
+
+const CONFIG_DIRS = [join(homedir(), ".config", "zfsdom"), "/etc/zfsdom"];
+const CONFIG_FILES = ["zfsdom.yaml", "zfsdom.yml", "zfsdom.json"];
+
+const SSH_OPTIONS = {
+  user: "string",
+  identity: "string",
+  agent: "string",
+  proxyJump: "string",
+  port: "number",
+  configFile: "string",
+  knownHosts: "string",
+  controlPersist: "number",
+  sudo: "boolean",
+};
+const STREAM_OPTIONS = {
+  bwlimit: "number|string",
+  compress: "string",
+  raw: "boolean",
+  largeBlock: "boolean",
+  embed: "boolean",
+  props: "boolean",
+  recvSet: "object",
+  recvExclude: "array",
+  tcp: "boolean",
+  tcpPort: "number",
+  buffer: "number|string",
+  tlsCert: "string",
+  tlsKey: "string",
+  tlsCa: "string",
+  cipherKey: "string",
+};
+const MAPPING_OPTIONS = {bridges: "object", portgroups: "object", pools: "object", cpuModel: "string"};
+const HOST_OPTIONS = {host: "string", port: "number", internal: "string", dataset: "string", send: "array", recv: "array", ...STREAM_OPTIONS, ...MAPPING_OPTIONS};
+const DOMAIN_OPTIONS = {host: "string", dest: "string", dataset: "string"};
+const JOB_OPTIONS = {
+  dataset: "string",
+  domain: "string",
+  dest: "string",
+  every: "string",
+  keep: "string",
+  recursive: "boolean",
+  exclude: "array",
+  retries: "number",
+  retryDelay: "string",
+  stream: "object",
+  freeze: "boolean",
+  freezeTimeout: "number",
+};
+
+/**
+ * @typedef {Object} Config
+ * @property {string} [file] - the file the configuration has been read from
+ * @property {string} [snapshotPrefix]
+ * @property {TransportOptions} ssh
+ * @property {Object<string, {host?: string, port?: number, internal?: string, dataset?: string, send?: string[], recv?: string[]} & StreamOptions & DomainMappings>} hosts - by alias
+ * @property {Object<string, {host?: string, dest?: string, dataset?: string}>} domains - by domain name
+ * @property {string} [stateDir]
+ * @property {Object<string, Job>} jobs - by job name
+ */
+
+/**
+ * @typedef {Object} Job - a replication job, see replicator.js
+ * @property {string} name
+ * @property {string} [dataset] - the source dataset, optionally prefixed by [USER@]HOST[:PORT]
+ * @property {string} [domain] - the source domain, optionally prefixed by [USER@]HOST[:PORT]
+ * @property {string|null} dest
+ * @property {number} every - milliseconds
+ * @property {RetentionPolicies|null} keep
+ * @property {boolean} recursive
+ * @property {string[]} exclude
+ * @property {number} retries
+ * @property {number} retryDelay - milliseconds
+ * @property {StreamOptions} stream
+ * @property {boolean} freeze - domain jobs only: freeze the file systems of the guest while the snapshot is taken, see Zfsdom.createFrozenSnapshots
+ * @property {number} [freezeTimeout] - seconds
+ */
+
+/**
+ * find the configuration file in the default locations
+ * @returns {string|null}
+ */
+function findConfigFile() {
+  for (const dir of CONFIG_DIRS)
+    for (const file of CONFIG_FILES)
+      if (existsSync(join(dir, file)))
+        return join(dir, file);
+  return null;
+}
+
+/**
+ * check the type of the properties of a configuration section
+ * @param {Object} section
+ * @param {Object<string, string>} types - the expected type by property name, 'array' for arrays of strings
+ * @param {string} path - the path of the section, used in error messages
+ */
+function validateSection(section, types, path) {
+  if (typeof section !== "object" || section === null || Array.isArray(section))
+    throw new Error(`${path}: expected an object`);
+  for (const [key, value] of Object.entries(section)) {
+    const type = types[key];
+    if (!type)
+      throw new Error(`${path}.${key}: unknown option, expected one of ${Object.keys(types).join(", ")}`);
+    const valid = type === "array"
+        ? Array.isArray(value) && value.every(item => typeof item === "string")
+        : type.split("|").includes(typeof value);
+    if (!valid)
+      throw new Error(`${path}.${key}: expected ${type === "array" ? "a list of strings" : `a ${type.split("|").join(" or a ")}`}`);
+  }
+}
+
+/**
+ * validate a replication job and parse its durations and retention policy
+ * @param {string} name
+ * @param {Object} job - the job as configured
+ * @returns {Job}
+ */
+function parseJob(name, job) {
+  const path = `jobs.${name}`;
+  if (!/^[A-Za-z0-9_.-]+$/.test(name))
+    throw new Error(`${path}: invalid job name, expected letters, digits, '_', '.' and '-' only`);
+  validateSection(job, JOB_OPTIONS, path);
+  validateSection(job.stream || {}, STREAM_OPTIONS, `${path}.stream`);
+  if (!job.dataset === !job.domain)
+    throw new Error(`${path}: expected either dataset or domain`);
+  if (job.dataset && !job.dest)
+    throw new Error(`${path}: expected dest`);
+  if (!job.every)
+    throw new Error(`${path}: expected every`);
+  if ((job.recursive || job.exclude) && !job.dataset)
+    throw new Error(`${path}: recursive and exclude require a dataset`);
+  if ((job.freeze || job.freezeTimeout !== undefined) && !job.domain)
+    throw new Error(`${path}: freeze and freezeTimeout require a domain`);
+  if (job.freezeTimeout !== undefined && !(job.freezeTimeout > 0))
+    throw new Error(`${path}: freezeTimeout should be positive`);
+  try {
+    const keep = job.keep ? parseRetentionPolicy(job.keep) : null;
+    return {
+      name,
+      ...job.dataset ? {dataset: job.dataset} : {domain: job.domain},
+      dest: job.dest || null,
+      every: parseDuration(job.every),
+      keep: keep && {source: keep, destination: keep},
+      recursive: !!job.recursive,
+      exclude: job.exclude || [],
+      retries: job.retries ?? 3,
+      retryDelay: parseDuration(job.retryDelay || "1m"),
+      stream: validateStreamOptions(job.stream || {}),
+      freeze: !!job.freeze,
+      ...job.freezeTimeout !== undefined ? {freezeTimeout: job.freezeTimeout} : {},
+    };
+  } catch (err) {
+    throw new Error(`${path}: ${err.message}`);
+  }
+}
+
+/**
+ * parse and validate a configuration
+ * @param {string} text
+ * @param {string} file - the file name, used to choose between json and yaml and in error messages
+ * @returns {Config}
+ */
+function parseConfig(text, file) {
+  let config;
+  try {
+    config = extname(file) === ".json" ? JSON.parse(text) : yaml.load(text);
+  } catch (err) {
+    throw new Error(`${file}: ${err.message}`);
+  }
+  config = config || {};
+  let jobs;
+  try {
+    validateSection(config, {snapshotPrefix: "string", ssh: "object", hosts: "object", domains: "object", stateDir: "string", jobs: "object"}, "config");
+    validateSection(config.ssh || {}, SSH_OPTIONS, "ssh");
+    for (const [alias, host] of Object.entries(config.hosts || {})) {
+      validateSection(host, HOST_OPTIONS, `hosts.${alias}`);
+      try {
+        validateStreamOptions(host);
+      } catch (err) {
+        throw new Error(`hosts.${alias}: ${err.message}`);
+      }
+      for (const mapping of ["bridges", "portgroups", "pools"])
+        for (const [name, value] of Object.entries(host[mapping] || {}))
+          if (typeof value !== "string")
+            throw new Error(`hosts.${alias}.${mapping}.${name}: expected a string`);
+    }
+    for (const [domain, profile] of Object.entries(config.domains || {}))
+      validateSection(profile, DOMAIN_OPTIONS, `domains.${domain}`);
+    jobs = Object.fromEntries(Object.entries(config.jobs || {}).map(([name, job]) => [name, parseJob(name, job)]));
+  } catch (err) {
+    throw new Error(`${file}: ${err.message}`);
+  }
+  return {file, snapshotPrefix: config.snapshotPrefix, ssh: config.ssh || {}, hosts: config.hosts || {}, domains: config.domains || {}, stateDir: config.stateDir, jobs};
+}
+
+/**
+ * load the configuration
+ * @param {string|null} file - the configuration file, null to look it up in the default locations
+ * @returns {Config} an empty configuration if no file is given and none exists in the default locations
+ */
+function loadConfig(file=null) {
+  const path = file || findConfigFile();
+  if (!path)
+    return {ssh: {}, hosts: {}, domains: {}, jobs: {}};
+  let text;
+  try {
+    text = readFileSync(path, "utf8");
+  } catch (err) {
+    throw new Error(`cannot read configuration file ${path}: ${err.message}`);
+  }
+  return parseConfig(text, path);
+}
+
+module.exports = {loadConfig, parseConfig, findConfigFile};
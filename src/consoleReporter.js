@@ -0,0 +1,48 @@
+const bytes = require('bytes');
+const ProgressBar = require('progress');
+
+/**
+ * Print the events emitted by a Zfsdom instance to the console
+ * @param {Zfsdom} zfsdom
+ * @returns {Zfsdom} the given instance
+ */
+function consoleReporter(zfsdom) {
+  let bar = null;
+  let total = null;
+
+  zfsdom.on('status', ({message, success}) => {
+    if (success)
+      console.log("\x1b[1m\x1b[32m%s\x1b[0m", `✔ ${message}`);
+    else
+      console.error("\x1b[1m\x1b[31m%s\x1b[0m", `✖ ${message}`);
+  });
+  zfsdom.on('command', ({command}) => {
+    console.log("\x1b[34m%s\x1b[0m", command);
+  });
+  zfsdom.on('output', ({stream, data}) => {
+    (stream === 'stderr' ? process.stderr : process.stdout).write(data);
+  });
+  zfsdom.on('common-snapshot', ({snapshot}) => {
+    console.log(`latest common snapshot: ${snapshot ? `${snapshot}` : '- none found -'}`);
+  });
+  zfsdom.on('transfer-start', () => {
+    bar = new ProgressBar(':bar :percent', {
+      total: 100,
+      width: 40
+    });
+    total = null;
+  });
+  zfsdom.on('transfer-progress', (progress) => {
+    if (progress.total && !total)
+      console.log(`transferring ${bytes.format(progress.total)}`);
+    total = progress.total;
+    if (bar && total)
+      bar.update(Math.min(progress.bytes/total, 1));
+  });
+  zfsdom.on('migration-phase', ({domain, phase}) => {
+    console.log("\x1b[1m%s\x1b[0m", `${domain}: ${phase}`);
+  });
+  return zfsdom;
+}
+
+module.exports = consoleReporter;
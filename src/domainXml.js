@@ -0,0 +1,371 @@
+/**
+ * Editing of libvirt domain definitions as xml documents
+ *
+ * A migration (or clone) may need the definition of a domain adapted to the destination: the disk sources point to the destination datasets, bridges,
+ * portgroups and storage pools may be named differently there, the cpu model may have to match the destination's. Only the elements and attributes
+ * concerned are changed, everything else (including whitespace and comments) is written back as it has been read.
+ * The parser covers the xml produced by virsh dumpxml: elements, attributes, text, comments, CDATA sections and processing instructions.
+ */
+
+const ENTITIES = {amp: "&", lt: "<", gt: ">", quot: "\"", apos: "'"};
+
+/**
+ * @typedef {Object} DomainMappings - the names of resources on the destination by their names on the source
+ * @property {Object<string, string>} [bridges] - the bridges of interfaces (<interface type='bridge'><source bridge=.../>)
+ * @property {Object<string, string>} [portgroups] - the portgroups of interfaces (<source network=... portgroup=.../>)
+ * @property {Object<string, string>} [pools] - the storage pools of volume disks (<disk type='volume'><source pool=... volume=.../>)
+ * @property {string} [cpuModel] - the cpu model of the domain on the destination, replacing host-model or host-passthrough
+ */
+
+/**
+ * @typedef {Object} XmlRewrites
+ * @property {[string, string][]} [disks] - source and destination paths of disk sources: a file or device path, or a directory containing the files
+ * @property {string} [name] - the name of a clone, which is defined without the uuid and the mac addresses of the domain (libvirt generates new ones)
+ *   and with the name of the domain replaced by the one of the clone in the file name of its nvram
+ */
+
+/**
+ * decode the entity and character references of xml text
+ * @param {string} str
+ * @returns {string}
+ */
+function decode(str) {
+  return str.replace(/&(#x[0-9a-fA-F]+|#\d+|\w+);/g, (ref, name) => {
+    if (name[0] === "#")
+      return String.fromCodePoint(name[1] === "x" ? parseInt(name.slice(2), 16) : Number(name.slice(1)));
+    return ENTITIES[name] ?? ref;
+  });
+}
+
+/**
+ * escape xml text or an attribute value
+ * @param {string} str
+ * @param {string} quote - the quote of the attribute value, empty for text
+ * @returns {string}
+ */
+function escape(str, quote="") {
+  const escaped = `${str}`.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+  return quote === "'" ? escaped.replace(/'/g, "&apos;") : quote === "\"" ? escaped.replace(/"/g, "&quot;") : escaped;
+}
+
+/**
+ * An xml element, or the document containing the root element
+ */
+class XmlElement {
+  /**
+   * @param {string} name - '#document' for the document
+   * @param {{name: string, value: string, quote: string}[]} attributes - values decoded
+   */
+  constructor(name, attributes=[]) {
+    this.name = name;
+    this.attributes = attributes;
+    /* elements and raw text, comments, CDATA sections and processing instructions (as strings) */
+    this.children = [];
+    this.selfClosing = false;
+  }
+
+  /**
+   * get the value of an attribute
+   * @param {string} name
+   * @returns {string|null} null if the element has no such attribute
+   */
+  getAttribute(name) {
+    const attribute = this.attributes.find(attribute => attribute.name === name);
+    return attribute ? attribute.value : null;
+  }
+
+  /**
+   * set the value of an attribute, a new attribute is appended
+   * @param {string} name
+   * @param {string} value
+   */
+  setAttribute(name, value) {
+    const attribute = this.attributes.find(attribute => attribute.name === name);
+    if (attribute)
+      attribute.value = value;
+    else
+      this.attributes.push({name, value, quote: "'"});
+  }
+
+  /**
+   * the child elements, optionally only the ones with the given name
+   * @param {string} [name]
+   * @returns {XmlElement[]}
+   */
+  elements(name) {
+    return this.children.filter(child => child instanceof XmlElement && (!name || child.name === name));
+  }
+
+  /**
+   * find the descendants at a path of element names, e.g. 'devices/disk'
+   * @param {string} path
+   * @returns {XmlElement[]}
+   */
+  findAll(path) {
+    return path.split("/").reduce((elements, name) => elements.flatMap(element => element.elements(name)), [this]);
+  }
+
+  /**
+   * find the first descendant at a path of element names
+   * @param {string} path
+   * @returns {XmlElement|null}
+   */
+  find(path) {
+    return this.findAll(path)[0] || null;
+  }
+
+  /**
+   * all descendants with a name, at any depth
+   * @param {string} name
+   * @returns {XmlElement[]}
+   */
+  descendants(name) {
+    return this.elements().flatMap(element => [...element.name === name ? [element] : [], ...element.descendants(name)]);
+  }
+
+  /**
+   * the text content of the element
+   * @returns {string}
+   */
+  get text() {
+    return this.children.map(child => child instanceof XmlElement ? child.text
+        : child.startsWith("<![CDATA[") ? child.slice(9, -3) : child.startsWith("<") ? "" : decode(child)).join("");
+  }
+
+  /**
+   * replace the content of the element by text
+   * @param {string} text
+   */
+  set text(text) {
+    this.children = [escape(text)];
+    this.selfClosing = false;
+  }
+
+  /**
+   * append a child element, indented like the existing children or one level deeper than the element itself
+   * @param {XmlElement} element
+   * @param {string} indent - the indentation of this element
+   * @returns {XmlElement} the appended element
+   */
+  append(element, indent="") {
+    const isWhitespace = child => typeof child === "string" && !child.startsWith("<") && !child.trim();
+    const [, childIndent] = isWhitespace(this.children[0]) && this.children[0].match(/\n([ \t]*)$/) || [null, `${indent}  `];
+    /* before the whitespace preceding the end tag */
+    const trailing = isWhitespace(this.children[this.children.length - 1]) ? this.children.pop() : `\n${indent}`;
+    this.children.push(`\n${childIndent}`, element, trailing);
+    this.selfClosing = false;
+    return element;
+  }
+
+  /**
+   * remove a child element together with the whitespace preceding it
+   * @param {XmlElement} element
+   */
+  remove(element) {
+    const index = this.children.indexOf(element);
+    if (index < 0)
+      return;
+    const previous = this.children[index - 1];
+    const whitespace = index > 0 && typeof previous === "string" && !previous.startsWith("<") && !previous.trim();
+    this.children.splice(whitespace ? index - 1 : index, whitespace ? 2 : 1);
+  }
+
+  /**
+   * serialize the element (or the document)
+   * @returns {string}
+   */
+  toString() {
+    const content = this.children.map(child => `${child}`).join("");
+    if (this.name === "#document")
+      return content;
+    const attributes = this.attributes.map(({name, value, quote}) => ` ${name}=${quote}${escape(value, quote)}${quote}`).join("");
+    return this.selfClosing && !this.children.length ? `<${this.name}${attributes}/>` : `<${this.name}${attributes}>${content}</${this.name}>`;
+  }
+}
+
+/**
+ * parse an xml document
+ * @param {string} xml
+ * @returns {XmlElement} the document, its root element is the only element among its children
+ * @throws {Error} if the document is not well-formed
+ */
+function parseXml(xml) {
+  const document = new XmlElement("#document");
+  const stack = [document];
+  let i = 0;
+  const fail = (message) => {
+    throw new Error(`invalid xml at line ${xml.slice(0, i).split("\n").length}: ${message}`);
+  };
+  while (i < xml.length) {
+    const parent = stack[stack.length - 1];
+    if (xml[i] !== "<") {
+      const end = xml.indexOf("<", i) < 0 ? xml.length : xml.indexOf("<", i);
+      parent.children.push(xml.slice(i, end));
+      i = end;
+      continue;
+    }
+    const special = [["<!--", "-->"], ["<![CDATA[", "]]>"], ["<?", "?>"], ["<!", ">"]].find(([start]) => xml.startsWith(start, i));
+    if (special) {
+      const end = xml.indexOf(special[1], i + special[0].length);
+      if (end < 0)
+        fail(`unterminated ${special[0]}`);
+      parent.children.push(xml.slice(i, end + special[1].length));
+      i = end + special[1].length;
+      continue;
+    }
+    if (xml[i + 1] === "/") {
+      const match = xml.slice(i).match(/^<\/([^\s>]+)\s*>/);
+      if (!match || match[1] !== parent.name)
+        fail(`unexpected end tag${match ? ` </${match[1]}>` : ""}, expected </${parent.name}>`);
+      stack.pop();
+      i += match[0].length;
+      continue;
+    }
+    const tag = xml.slice(i).match(/^<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:'[^']*'|"[^"]*"))*)\s*(\/?)>/);
+    if (!tag)
+      fail(`invalid tag`);
+    const attributes = [...tag[2].matchAll(/([^\s=]+)\s*=\s*(?:'([^']*)'|"([^"]*)")/g)]
+        .map(([, name, single, double]) => ({name, value: decode(single ?? double), quote: single !== undefined ? "'" : "\""}));
+    const element = new XmlElement(tag[1], attributes);
+    parent.children.push(element);
+    if (tag[3])
+      element.selfClosing = true;
+    else
+      stack.push(element);
+    i += tag[0].length;
+  }
+  if (stack.length > 1)
+    fail(`unterminated element <${stack[stack.length - 1].name}>`);
+  if (document.elements().length !== 1)
+    fail(`expected a single root element`);
+  return document;
+}
+
+/**
+ * get the root element of a domain definition
+ * @param {XmlElement} document
+ * @returns {XmlElement}
+ * @throws {Error} if the document is no domain definition
+ */
+function getDomain(document) {
+  const [domain] = document.elements("domain");
+  if (!domain)
+    throw new Error(`not a libvirt domain definition, the root element is <${document.elements()[0].name}>`);
+  return domain;
+}
+
+/**
+ * get the sources of the disks (not cdroms or floppies) of a domain definition
+ * @param {string} xml
+ * @returns {{type: string, path?: string, pool?: string, volume?: string}[]} type is 'file' or 'block' with the path, or 'volume' with pool and volume
+ */
+function getDiskSources(xml) {
+  return getDomain(parseXml(xml)).findAll("devices/disk")
+      .filter(disk => disk.getAttribute("device") === "disk" || disk.getAttribute("device") === null)
+      .map(disk => disk.find("source"))
+      .filter(source => source)
+      .map(source => {
+        if (source.getAttribute("pool") !== null)
+          return {type: "volume", pool: source.getAttribute("pool"), volume: source.getAttribute("volume")};
+        const path = source.getAttribute("file") ?? source.getAttribute("dev");
+        return path === null ? null : {type: source.getAttribute("dev") !== null ? "block" : "file", path};
+      })
+      .filter(source => source);
+}
+
+/**
+ * replace the beginning of a path
+ * @param {string} path
+ * @param {[string, string][]} replacements - source and destination paths, a source path matches itself and the paths below it
+ * @returns {string|null} null if no replacement matches
+ */
+function replacePath(path, replacements) {
+  for (const [from, to] of replacements) {
+    if (path === from)
+      return to;
+    if (path.startsWith(`${from.replace(/\/$/, "")}/`))
+      return `${to.replace(/\/$/, "")}/${path.slice(from.replace(/\/$/, "").length + 1)}`;
+  }
+  return null;
+}
+
+/**
+ * adapt a domain definition to the destination
+ * @param {string} xml - the definition as dumped by virsh dumpxml
+ * @param {XmlRewrites & DomainMappings} rewrites
+ * @returns {{xml: string, changes: string[]}} the adapted definition and a description of every change
+ * @throws {Error} if the definition cannot be parsed
+ */
+function rewriteDomainXml(xml, rewrites) {
+  const document = parseXml(xml);
+  const domain = getDomain(document);
+  const changes = [];
+  const map = (element, attribute, mapping, what) => {
+    const value = element.getAttribute(attribute);
+    if (value !== null && mapping && Object.prototype.hasOwnProperty.call(mapping, value) && mapping[value] !== value) {
+      element.setAttribute(attribute, mapping[value]);
+      changes.push(`${what} ${value} -> ${mapping[value]}`);
+    }
+  };
+
+  for (const disk of domain.findAll("devices/disk")) {
+    /* the sources of backing files as well */
+    for (const source of disk.descendants("source")) {
+      for (const attribute of ["file", "dev"]) {
+        const path = source.getAttribute(attribute);
+        const replaced = path !== null && replacePath(path, rewrites.disks || []);
+        if (replaced && replaced !== path) {
+          source.setAttribute(attribute, replaced);
+          changes.push(`disk ${path} -> ${replaced}`);
+        }
+      }
+      map(source, "pool", rewrites.pools, "storage pool");
+    }
+  }
+  for (const source of domain.findAll("devices/interface/source")) {
+    map(source, "bridge", rewrites.bridges, "bridge");
+    map(source, "portgroup", rewrites.portgroups, "portgroup");
+  }
+
+  if (rewrites.cpuModel) {
+    const cpu = domain.find("cpu") || domain.append(new XmlElement("cpu"));
+    const previous = cpu.getAttribute("mode") === "custom" || !cpu.getAttribute("mode") ? (cpu.find("model") || {}).text || null : cpu.getAttribute("mode");
+    if (previous !== rewrites.cpuModel) {
+      cpu.setAttribute("mode", "custom");
+      if (cpu.getAttribute("match") === null)
+        cpu.setAttribute("match", "exact");
+      const model = cpu.find("model") || cpu.append(new XmlElement("model", [{name: "fallback", value: "allow", quote: "'"}]), "  ");
+      model.text = rewrites.cpuModel;
+      changes.push(`cpu ${previous || "default"} -> ${rewrites.cpuModel}`);
+    }
+  }
+
+  if (rewrites.name) {
+    const name = domain.find("name");
+    if (!name)
+      throw new Error(`the domain definition has no name`);
+    changes.push(`name ${name.text} -> ${rewrites.name}`);
+    /* the uefi variables of the domain are not shared with the clone, libvirt creates its nvram from the template if it does not exist */
+    for (const nvram of domain.findAll("os/nvram").filter(nvram => nvram.text.trim())) {
+      const path = nvram.text.trim();
+      const [, dir, file] = path.match(/^(.*\/)?([^\/]*)$/);
+      const renamed = `${dir || ""}${file.includes(name.text) ? file.replace(name.text, rewrites.name) : `${rewrites.name}_${file}`}`;
+      nvram.text = renamed;
+      changes.push(`nvram ${path} -> ${renamed}`);
+    }
+    name.text = rewrites.name;
+    for (const uuid of domain.elements("uuid")) {
+      domain.remove(uuid);
+      changes.push(`uuid ${uuid.text} removed`);
+    }
+    for (const iface of domain.findAll("devices/interface")) {
+      for (const mac of iface.elements("mac")) {
+        iface.remove(mac);
+        changes.push(`mac address ${mac.getAttribute("address")} removed`);
+      }
+    }
+  }
+  return {xml: document.toString(), changes};
+}
+
+module.exports = {XmlElement, parseXml, getDiskSources, rewriteDomainXml};
@@ -0,0 +1,230 @@
+/**
+ * Prometheus metrics of transfers, migrations and replication jobs
+ *
+ * The metrics are collected from the events of a Zfsdom instance (see zfsdom.js) and, in the daemon, of a Replicator (see replicator.js). They are either
+ * served over http (/metrics, and /health reporting whether the replication jobs are healthy) or written to a file read by the textfile collector of the
+ * node exporter. Counters start at zero with every process unless they are written to a file: then they are kept in a state file next to it (FILE.json,
+ * which the textfile collector ignores) and continued by every process writing the same file, so they stay monotonic across one-shot commands.
+ */
+
+const http = require('http');
+const {writeFileSync, readFileSync, renameSync, existsSync} = require("fs");
+
+/**
+ * escape a label value of the prometheus text format
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeLabel(value) {
+  return `${value}`.replace(/\\/g, "\\\\").replace(/"/g, "\\\"").replace(/\n/g, "\\n");
+}
+
+/**
+ * format a sample of the prometheus text format
+ * @param {string} name
+ * @param {Object<string, string>} labels
+ * @param {number} value
+ * @returns {string}
+ */
+function formatSample(name, labels, value) {
+  const pairs = Object.entries(labels).map(([label, labelValue]) => `${label}="${escapeLabel(labelValue)}"`);
+  return `${name}${pairs.length ? `{${pairs.join(",")}}` : ""} ${value}`;
+}
+
+/**
+ * Collects the metrics and formats them in the prometheus text format
+ */
+class Metrics {
+  constructor() {
+    /* by dataset and destination */
+    this.transfers = new Map();
+    /* by domain */
+    this.migrations = new Map();
+    /* failed migrations by phase */
+    this.migrationFailures = {};
+    /* job runs by job and result */
+    this.jobRuns = new Map();
+    this.replicator = null;
+  }
+
+  /**
+   * collect the metrics of transfers and migrations
+   * @param {Zfsdom} zfsdom
+   * @returns {Metrics} this instance
+   */
+  observe(zfsdom) {
+    zfsdom.on('transfer-end', ({dataset, destHost, destDataset, success, bytes, duration}) => {
+      const destination = `${destHost}:${destDataset}`;
+      const key = `${dataset}\n${destination}`;
+      const transfer = this.transfers.get(key) || {dataset, destination, bytes: 0, successes: 0, failures: 0, durationSum: 0, lastSuccess: null};
+      transfer.bytes += bytes || 0;
+      transfer.durationSum += duration || 0;
+      if (success) {
+        transfer.successes++;
+        transfer.lastSuccess = Date.now();
+      } else {
+        transfer.failures++;
+      }
+      this.transfers.set(key, transfer);
+    });
+    zfsdom.on('migration-end', ({domain, dryRun, success, phase, duration, downtime}) => {
+      if (dryRun)
+        return;
+      const migration = this.migrations.get(domain) || {successes: 0, failures: 0, duration: null, downtime: null};
+      migration.duration = duration;
+      if (success) {
+        migration.successes++;
+        migration.downtime = downtime;
+      } else {
+        migration.failures++;
+        this.migrationFailures[phase] = (this.migrationFailures[phase] || 0) + 1;
+      }
+      this.migrations.set(domain, migration);
+    });
+    return this;
+  }
+
+  /**
+   * collect the metrics of replication jobs, the status of the jobs (lag, last success, ...) is taken from the replicator when the metrics are formatted
+   * @param {Replicator} replicator
+   * @returns {Metrics} this instance
+   */
+  observeReplicator(replicator) {
+    this.replicator = replicator;
+    replicator.on('job-end', ({job, success, skipped}) => {
+      const key = `${job}\n${skipped ? "skipped" : success ? "success" : "failure"}`;
+      this.jobRuns.set(key, (this.jobRuns.get(key) || 0) + 1);
+    });
+    return this;
+  }
+
+  /**
+   * format the metrics in the prometheus text format
+   * @returns {string}
+   */
+  format() {
+    const lines = [];
+    const metric = (name, type, help, samples) => {
+      lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`, ...samples.map(([labels, value, suffix = ""]) => formatSample(`${name}${suffix}`, labels, value)));
+    };
+    const transfers = [...this.transfers.values()];
+    const migrations = [...this.migrations.entries()];
+    const jobs = this.replicator ? this.replicator.getStatus() : [];
+    const seconds = ms => ms / 1000;
+
+    metric('zfsdom_transfer_bytes_total', 'counter', 'Bytes sent by zfs send per dataset and destination',
+        transfers.map(({dataset, destination, bytes}) => [{dataset, destination}, bytes]));
+    metric('zfsdom_transfers_total', 'counter', 'Transfers per dataset, destination and result',
+        transfers.flatMap(({dataset, destination, successes, failures}) => [[{dataset, destination, result: "success"}, successes], [{dataset, destination, result: "failure"}, failures]]));
+    metric('zfsdom_transfer_duration_seconds', 'summary', 'Duration of the transfers per dataset and destination',
+        transfers.flatMap(({dataset, destination, successes, failures, durationSum}) => [[{dataset, destination}, seconds(durationSum), "_sum"], [{dataset, destination}, successes + failures, "_count"]]));
+    metric('zfsdom_transfer_last_success_timestamp_seconds', 'gauge', 'Time of the last successful transfer per dataset and destination',
+        transfers.filter(({lastSuccess}) => lastSuccess).map(({dataset, destination, lastSuccess}) => [{dataset, destination}, seconds(lastSuccess)]));
+    metric('zfsdom_migrations_total', 'counter', 'Migrations per domain and result',
+        migrations.flatMap(([domain, {successes, failures}]) => [[{domain, result: "success"}, successes], [{domain, result: "failure"}, failures]]));
+    metric('zfsdom_migration_failures_total', 'counter', 'Failed migrations per phase',
+        Object.entries(this.migrationFailures).map(([phase, count]) => [{phase}, count]));
+    metric('zfsdom_migration_duration_seconds', 'gauge', 'Duration of the last migration per domain',
+        migrations.map(([domain, {duration}]) => [{domain}, seconds(duration)]));
+    metric('zfsdom_migration_downtime_seconds', 'gauge', 'Time the domain has been suspended (from suspend to resume) during its last successful migration',
+        migrations.filter(([, {downtime}]) => downtime !== null).map(([domain, {downtime}]) => [{domain}, seconds(downtime)]));
+    if (this.replicator) {
+      metric('zfsdom_job_runs_total', 'counter', 'Runs of replication jobs per job and result (success, failure or skipped because the job was locked)',
+          [...this.jobRuns.entries()].map(([key, count]) => {
+            const [job, result] = key.split("\n");
+            return [{job, result}, count];
+          }));
+      metric('zfsdom_job_last_success_timestamp_seconds', 'gauge', 'Start of the last successful run per replication job',
+          jobs.filter(({lastSuccess}) => lastSuccess).map(({job, lastSuccess}) => [{job}, seconds(lastSuccess)]));
+      metric('zfsdom_replication_lag_seconds', 'gauge', 'Time since the last successful run of a replication job started, i.e. the age of the latest replicated snapshot',
+          jobs.filter(({lag}) => lag !== null).map(({job, lag}) => [{job}, seconds(lag)]));
+      metric('zfsdom_job_consecutive_failures', 'gauge', 'Failed runs of a replication job since its last successful one',
+          jobs.map(({job, failures}) => [{job}, failures]));
+      metric('zfsdom_job_running', 'gauge', 'Whether a replication job is running',
+          jobs.map(({job, running}) => [{job}, running ? 1 : 0]));
+    }
+    return `${lines.join("\n")}\n`;
+  }
+
+  /**
+   * check the health of the replication jobs
+   * A job is unhealthy if its retries are exhausted without success or if it has not succeeded for twice its interval.
+   * @returns {{healthy: boolean, jobs: {job: string, healthy: boolean, lag: number|null, failures: number, lastError: string|null}[]}}
+   */
+  getHealth() {
+    const jobs = (this.replicator ? this.replicator.getStatus() : []).map(({job, lag, failures, lastError}) => {
+      const {every, retries} = this.replicator.jobs[job];
+      return {job, healthy: failures <= retries && (lag === null || lag <= 2 * every), lag, failures, lastError};
+    });
+    return {healthy: jobs.every(job => job.healthy), jobs};
+  }
+
+  /**
+   * write the metrics to a file, e.g. for the textfile collector of the node exporter, and the counters to its state file (see restore)
+   * @param {string} file
+   */
+  writeFile(file) {
+    writeFileSync(`${file}.json.tmp`, JSON.stringify(this.getState()));
+    renameSync(`${file}.json.tmp`, `${file}.json`);
+    writeFileSync(`${file}.tmp`, this.format());
+    renameSync(`${file}.tmp`, file);
+  }
+
+  /**
+   * get the counters and the values of the last transfers and migrations, see restore
+   * @returns {{transfers: Object[], migrations: Array, migrationFailures: Object<string, number>, jobRuns: Array}}
+   */
+  getState() {
+    return {transfers: [...this.transfers.values()], migrations: [...this.migrations.entries()], migrationFailures: this.migrationFailures, jobRuns: [...this.jobRuns.entries()]};
+  }
+
+  /**
+   * continue with the counters saved with a metrics file by a previous process (see writeFile)
+   * @param {string} file - the metrics file
+   * @returns {Metrics} this instance
+   * @throws {Error} if the state file cannot be read
+   */
+  restore(file) {
+    if (!existsSync(`${file}.json`))
+      return this;
+    const state = JSON.parse(readFileSync(`${file}.json`, "utf8"));
+    this.transfers = new Map((state.transfers || []).map(transfer => [`${transfer.dataset}\n${transfer.destination}`, transfer]));
+    this.migrations = new Map(state.migrations || []);
+    this.migrationFailures = state.migrationFailures || {};
+    this.jobRuns = new Map(state.jobRuns || []);
+    return this;
+  }
+
+  /**
+   * serve the metrics (/metrics) and the health of the replication jobs (/health, status 503 if unhealthy) over http
+   * @param {string} address - the address to listen on specified as [HOST:]PORT, all interfaces if no host is given
+   * @returns {Promise<http.Server>} resolves as soon as the server is listening
+   */
+  listen(address) {
+    const [, host, port] = `${address}`.match(/^(?:\[?([^\]]*?)\]?:)?(\d+)$/) || [];
+    if (!port || Number(port) > 65535)
+      return Promise.reject(new Error(`invalid metrics address '${address}', expected [HOST:]PORT`));
+    const server = http.createServer((req, res) => {
+      const path = req.url.replace(/\?.*$/, "");
+      if (req.method !== "GET") {
+        res.writeHead(405, {"Allow": "GET"}).end();
+      } else if (path === "/metrics") {
+        res.writeHead(200, {"Content-Type": "text/plain; version=0.0.4; charset=utf-8"}).end(this.format());
+      } else if (path === "/health") {
+        const health = this.getHealth();
+        res.writeHead(health.healthy ? 200 : 503, {"Content-Type": "application/json"}).end(`${JSON.stringify(health, null, 2)}\n`);
+      } else {
+        res.writeHead(404).end();
+      }
+    });
+    return new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(Number(port), host || undefined, () => {
+        server.off('error', reject);
+        resolve(server);
+      });
+    });
+  }
+}
+
+module.exports = Metrics;
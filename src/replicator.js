@@ -0,0 +1,283 @@
+/**
+ * Continuous replication of the jobs defined in the configuration (see Job in config.js)
+ *
+ * Each job transfers its dataset or domain incrementally every `every` milliseconds, one job at a time. A failed run is retried with exponential backoff
+ * (retryDelay, doubled for every further attempt) up to `retries` times, then the job waits for its next interval. A job is locked by a lock file in the
+ * state directory while it runs, so it is never run twice at the same time, not even by several processes (e.g. the daemon and a cron job).
+ * Every run is appended to the job log (jobs.log, one json document per line), the status of all jobs (last success, lag, ...) is kept in status.json.
+ */
+
+const EventEmitter = require('events');
+const {appendFileSync, mkdirSync, openSync, closeSync, writeSync, readFileSync, writeFileSync, renameSync, unlinkSync} = require("fs");
+const {join} = require("path");
+
+/**
+ * @typedef {Object} JobStatus
+ * @property {string} job
+ * @property {boolean} running
+ * @property {number|null} lastRun - start of the last run in milliseconds since the epoch
+ * @property {number|null} lastSuccess - start of the last successful run, i.e. roughly the creation of the latest replicated snapshot
+ * @property {string|null} lastError - the error of the last run if it failed
+ * @property {number} failures - the number of consecutive failed attempts
+ * @property {number|null} nextRun - the next scheduled run (or retry)
+ * @property {number|null} lag - milliseconds since the last successful run started, null if there has been none
+ */
+
+/**
+ * Runs replication jobs on their schedule
+ *
+ * Events:
+ * - `job-start` {job, attempt}
+ * - `job-end` {job, attempt, success, skipped, duration, bytes, snapshot, error}: skipped is true if the job was locked by another run
+ */
+class Replicator extends EventEmitter {
+  /**
+   * @param {Zfsdom} zfsdom - the instance running the transfers
+   * @param {Object<string, Job>} jobs - by job name
+   * @param {{stateDir: string}} options - the directory holding locks, job log and status
+   */
+  constructor(zfsdom, jobs, options) {
+    super();
+    this.zfsdom = zfsdom;
+    this.jobs = jobs;
+    this.stateDir = options.stateDir;
+    this.stopped = false;
+    this.wakeUp = null;
+    mkdirSync(this.stateDir, {recursive: true});
+    /* the schedule continues where the previous process stopped, overdue jobs are run right away */
+    const saved = Object.fromEntries(readStatus(this.stateDir).map(({lag, ...status}) => [status.job, status]));
+    this.status = {};
+    for (const [name, job] of Object.entries(jobs)) {
+      const status = {job: name, lastRun: null, lastSuccess: null, lastError: null, failures: 0, ...saved[name], running: false};
+      status.nextRun = status.lastRun ? status.lastRun + job.every : Date.now();
+      this.status[name] = status;
+    }
+  }
+
+  /**
+   * get the status of all jobs
+   * @returns {JobStatus[]}
+   */
+  getStatus() {
+    const now = Date.now();
+    return Object.values(this.status).map(status => ({...status, lag: status.lastSuccess ? now - status.lastSuccess : null}));
+  }
+
+  /**
+   * run the jobs on their schedule until stop() is called
+   * @returns {Promise<void>} resolves as soon as the run in progress (if any) has finished after stop() has been called
+   */
+  async start() {
+    this.stopped = false;
+    while (!this.stopped) {
+      const [next] = Object.values(this.status).sort((a, b) => a.nextRun - b.nextRun);
+      if (!next)
+        break;
+      if (next.nextRun > Date.now()) {
+        await new Promise(resolve => {
+          const timer = setTimeout(resolve, Math.min(next.nextRun - Date.now(), 2147483647));
+          this.wakeUp = () => {
+            clearTimeout(timer);
+            resolve();
+          };
+        });
+        this.wakeUp = null;
+        continue;
+      }
+      await this.runAttempt(next.job);
+    }
+  }
+
+  /**
+   * stop running jobs on their schedule, the run in progress is finished
+   */
+  stop() {
+    this.stopped = true;
+    if (this.wakeUp)
+      this.wakeUp();
+  }
+
+  /**
+   * run jobs once, including their retries
+   * @param {string[]} names - the jobs to run, all jobs if empty
+   * @returns {Promise<{success: boolean, jobs: JobStatus[]}>}
+   */
+  async runOnce(names=[]) {
+    for (const name of names.length ? names : Object.keys(this.jobs)) {
+      if (!this.jobs[name])
+        throw new Error(`unknown job '${name}', expected one of ${Object.keys(this.jobs).join(", ")}`);
+      for (let attempt = 0; attempt <= this.jobs[name].retries && !this.stopped; attempt++) {
+        if (attempt)
+          await new Promise(resolve => setTimeout(resolve, this.jobs[name].retryDelay * 2 ** (attempt - 1)));
+        if (await this.runAttempt(name))
+          break;
+      }
+    }
+    const jobs = this.getStatus().filter(status => !names.length || names.includes(status.job));
+    return {success: jobs.every(status => !status.lastError), jobs};
+  }
+
+  /**
+   * run a job once and schedule its next run: the next interval if it succeeded or its retries are exhausted, the next retry otherwise
+   * @param {string} name
+   * @returns {Promise<boolean>} true if the job succeeded or has been skipped because it is locked
+   */
+  async runAttempt(name) {
+    const job = this.jobs[name];
+    const status = this.status[name];
+    const attempt = status.failures + 1;
+    const start = Date.now();
+    const entry = {time: new Date(start).toISOString(), job: name, attempt, success: false, skipped: false, duration: 0, bytes: 0, snapshot: null, error: null};
+
+    /* a failure to lock the job (e.g. an unwritable state directory) fails this attempt only */
+    let locked = false;
+    try {
+      locked = this.lock(name);
+      if (!locked) {
+        entry.skipped = true;
+        entry.error = `job ${name} is locked by another run`;
+      } else {
+        status.running = true;
+        status.lastRun = start;
+        this.writeStatus();
+        this.emit('job-start', {job: name, attempt});
+        this.zfsdom.printResult(`job ${name}: ${attempt > 1 ? `attempt ${attempt}` : "started"}`, true);
+        const result = await this.execute(job);
+        entry.success = !!result.success;
+        entry.bytes = (result.transfers || []).reduce((sum, transfer) => sum + (transfer.bytes || 0), 0);
+        entry.snapshot = result.snapshot || null;
+        entry.error = result.error || (result.success ? null : "transfer failed");
+      }
+    } catch (err) {
+      entry.error = `${(err+"").trim()}`;
+    } finally {
+      if (locked)
+        this.unlock(name);
+    }
+    if (entry.skipped) {
+      this.zfsdom.printResult(entry.error, false);
+      status.nextRun = start + job.every;
+    } else {
+      entry.duration = Date.now() - start;
+      status.running = false;
+      if (entry.success) {
+        status.lastSuccess = start;
+        status.lastError = null;
+        status.failures = 0;
+        status.nextRun = start + job.every;
+      } else {
+        status.lastError = entry.error;
+        status.failures++;
+        /* retry with exponential backoff, then fall back to the schedule until the next run succeeds */
+        const retry = (status.failures - 1) % (job.retries + 1);
+        status.nextRun = retry < job.retries ? Date.now() + job.retryDelay * 2 ** retry : start + job.every;
+      }
+      this.zfsdom.printResult(`job ${name}: ${entry.success ? "succeeded" : `failed: ${entry.error}`}`, entry.success);
+    }
+    appendFileSync(join(this.stateDir, "jobs.log"), `${JSON.stringify(entry)}\n`);
+    this.writeStatus();
+    this.emit('job-end', entry);
+    return entry.success || entry.skipped;
+  }
+
+  /**
+   * transfer the dataset or domain of a job
+   * @param {Job} job
+   * @returns {Promise<TransferResult>}
+   */
+  execute(job) {
+    const options = {keep: job.keep, stream: job.stream};
+    if (job.domain)
+      return this.zfsdom.transferDomainSnapshot(job.domain, job.dest, true, false, {...options, freeze: job.freeze, freezeTimeout: job.freezeTimeout});
+    return this.zfsdom.transferSnapshotByDataset(job.dataset, job.dest, true, false, {...options, recursive: job.recursive, exclude: job.exclude});
+  }
+
+  /**
+   * create the lock file of a job, a lock file left behind by a process that is not running anymore is replaced
+   * @param {string} name
+   * @returns {boolean} false if the job is locked by a running process
+   * @throws {Error} if the lock file cannot be created or read
+   */
+  lock(name) {
+    const file = join(this.stateDir, `${name}.lock`);
+    for (let attempt = 0; attempt < 3; attempt++) {
+      try {
+        const fd = openSync(file, "wx");
+        writeSync(fd, `${process.pid}\n`);
+        closeSync(fd);
+        return true;
+      } catch (err) {
+        if (err.code !== "EEXIST")
+          throw err;
+      }
+      let pid;
+      try {
+        pid = Number(`${readFileSync(file, "utf8")}`.trim());
+      } catch (err) {
+        /* the lock has been released in the meantime, try again */
+        if (err.code !== "ENOENT")
+          throw err;
+        continue;
+      }
+      if (pid && isRunning(pid))
+        return false;
+      this.unlock(name);
+    }
+    return false;
+  }
+
+  /**
+   * remove the lock file of a job
+   * @param {string} name
+   */
+  unlock(name) {
+    try {
+      unlinkSync(join(this.stateDir, `${name}.lock`));
+    } catch (err) {
+      if (err.code !== "ENOENT")
+        throw err;
+    }
+  }
+
+  /**
+   * write the status of all jobs to status.json
+   */
+  writeStatus() {
+    const file = join(this.stateDir, "status.json");
+    writeFileSync(`${file}.tmp`, JSON.stringify(this.getStatus(), null, 2));
+    renameSync(`${file}.tmp`, file);
+  }
+}
+
+/**
+ * check whether a process is running
+ * @param {number} pid
+ * @returns {boolean}
+ */
+function isRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    /* EPERM: the process exists but belongs to another user */
+    return err.code === "EPERM";
+  }
+}
+
+/**
+ * read the status of the jobs written by a replicator
+ * @param {string} stateDir
+ * @returns {JobStatus[]} lag as of now, empty if there is no status yet
+ */
+function readStatus(stateDir) {
+  let list;
+  try {
+    list = JSON.parse(readFileSync(join(stateDir, "status.json"), "utf8"));
+  } catch (err) {
+    return [];
+  }
+  const now = Date.now();
+  return list.map(status => ({...status, lag: status.lastSuccess ? now - status.lastSuccess : null}));
+}
+
+module.exports = {Replicator, readStatus};
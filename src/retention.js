@@ -0,0 +1,121 @@
+/**
+ * Snapshot retention policies for the snapshots created by zfsdom
+ *
+ * A policy is specified as comma-separated list of rules, e.g. 'last=10,hourly=24,daily=7,weekly=4,monthly=6,age=2d'.
+ * A snapshot is kept if at least one of the rules keeps it:
+ * - last=N: keep the N most recent snapshots
+ * - hourly|daily|weekly|monthly=N: keep the most recent snapshot of each of the N most recent hours/days/weeks/months having snapshots
+ * - age=DURATION: keep all snapshots younger than DURATION (see parseDuration), e.g. 36h
+ */
+
+const BUCKETS = {
+  hourly: date => `${date.getFullYear()}-${date.getMonth()}-${date.getDate()}-${date.getHours()}`,
+  daily: date => `${date.getFullYear()}-${date.getMonth()}-${date.getDate()}`,
+  weekly: date => {
+    const monday = new Date(date.getFullYear(), date.getMonth(), date.getDate() - (date.getDay() + 6) % 7);
+    return `${monday.getFullYear()}-${monday.getMonth()}-${monday.getDate()}`;
+  },
+  monthly: date => `${date.getFullYear()}-${date.getMonth()}`,
+};
+
+const DURATION_UNITS = {s: 1, m: 60, h: 3600, d: 86400, w: 604800};
+
+/**
+ * parse a duration specified in (s)econds, (m)inutes, (h)ours, (d)ays or (w)eeks, e.g. 36h
+ * @param {string} spec
+ * @returns {number} milliseconds
+ * @throws {Error} if the duration is invalid
+ */
+function parseDuration(spec) {
+  const [, amount, unit] = `${spec}`.match(/^(\d+)([smhdw])$/) || [];
+  if (!amount || !Number(amount))
+    throw new Error(`invalid duration '${spec}', expected a number followed by s, m, h, d or w`);
+  return amount * DURATION_UNITS[unit] * 1000;
+}
+
+/**
+ * parse a retention policy specification
+ * @param {string} spec - e.g. 'last=10,daily=7'
+ * @returns {{last?: number, hourly?: number, daily?: number, weekly?: number, monthly?: number, age?: number}} age in milliseconds
+ */
+function parseRetentionPolicy(spec) {
+  const policy = {};
+  for (const rule of `${spec}`.split(",").map(s=>s.trim()).filter(s=>s)) {
+    const [, name, value] = rule.match(/^([a-z]+)=(\S+)$/) || [];
+    if (name === "age") {
+      try {
+        policy.age = parseDuration(value);
+      } catch (err) {
+        throw new Error(`invalid retention age '${value}', expected a number followed by s, m, h, d or w`);
+      }
+    } else if (name === "last" || BUCKETS[name]) {
+      if (!/^\d+$/.test(value))
+        throw new Error(`invalid retention count '${value}' for '${name}'`);
+      policy[name] = Number(value);
+    } else
+      throw new Error(`invalid retention rule '${rule}', expected one of last, hourly, daily, weekly, monthly or age`);
+  }
+  if (!Object.keys(policy).length)
+    throw new Error(`empty retention policy`);
+  return policy;
+}
+
+/**
+ * parse the name of a snapshot created by zfsdom
+ * @param {string} snapshot - the snapshot name without dataset, e.g. 'zfsdom-20240101-120000' or 'zfsdom-20240101-120000-1'
+ * @param {string} prefix - the prefix of snapshots created by zfsdom
+ * @returns {{date: Date, sequence: number}|null} sequence distinguishes the snapshots created within the same second, null if the snapshot has not been created by zfsdom
+ */
+function parseSnapshotName(snapshot, prefix="") {
+  if (!snapshot.startsWith(prefix))
+    return null;
+  const [, year, month, day, hours, minutes, seconds, sequence] = snapshot.slice(prefix.length).match(/^(\d{4})(\d{2})(\d{2})-(\d{2})(\d{2})(\d{2})(?:-(\d+))?$/) || [];
+  if (!year)
+    return null;
+  return {date: new Date(year, month - 1, day, hours, minutes, seconds), sequence: Number(sequence || 0)};
+}
+
+/**
+ * get the creation time encoded in the name of a snapshot created by zfsdom
+ * @param {string} snapshot - the snapshot name without dataset, e.g. 'zfsdom-20240101-120000'
+ * @param {string} prefix - the prefix of snapshots created by zfsdom
+ * @returns {Date|null} null if the snapshot has not been created by zfsdom
+ */
+function getSnapshotDate(snapshot, prefix="") {
+  const parsed = parseSnapshotName(snapshot, prefix);
+  return parsed && parsed.date;
+}
+
+/**
+ * select the snapshots to destroy according to a retention policy
+ * Snapshots not created by zfsdom (not matching the prefix and timestamp format) are never selected.
+ * @param {string[]} snapshots - snapshot names without dataset
+ * @param {Object} policy - as returned by parseRetentionPolicy
+ * @param {{prefix?: string, keep?: string[], now?: Date}} options - snapshots in keep are never selected (e.g. the latest common snapshot)
+ * @returns {string[]}
+ */
+function selectSnapshotsToPrune(snapshots, policy, {prefix="", keep=[], now=new Date()}={}) {
+  const managed = snapshots
+      .map(name => ({name, ...parseSnapshotName(name, prefix)}))
+      .filter(snapshot => snapshot.date)
+      .sort((a, b) => b.date - a.date || b.sequence - a.sequence);
+  const kept = new Set(keep);
+  managed.slice(0, policy.last || 0).forEach(snapshot => kept.add(snapshot.name));
+  for (const bucket of Object.keys(BUCKETS).filter(bucket => policy[bucket])) {
+    const seen = new Set();
+    for (const snapshot of managed) {
+      const key = BUCKETS[bucket](snapshot.date);
+      if (seen.has(key))
+        continue;
+      if (seen.size >= policy[bucket])
+        break;
+      seen.add(key);
+      kept.add(snapshot.name);
+    }
+  }
+  if (policy.age)
+    managed.filter(snapshot => now - snapshot.date < policy.age).forEach(snapshot => kept.add(snapshot.name));
+  return managed.filter(snapshot => !kept.has(snapshot.name)).map(snapshot => snapshot.name).reverse();
+}
+
+module.exports = {parseRetentionPolicy, parseDuration, getSnapshotDate, selectSnapshotsToPrune};
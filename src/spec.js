@@ -0,0 +1,127 @@
+/**
+ * Parsing of the host, source and destination specifications given on the command line
+ *
+ *   HOST_PORT   := [USER@]HOST[:PORT]
+ *   SOURCE      := [[USER@]HOST[:PORT]:]NAME
+ *   DESTINATION := [USER@]HOST[(INTERNAL_HOST)][:PORT][(INTERNAL_HOST)][:DATASET]
+ *
+ * HOST is a host name, an alias defined in the configuration, an IPv4 address or an IPv6 address in brackets, e.g. [fd00::1]. NAME is a domain,
+ * dataset or file path, it is always the last part of a source specification (so a domain may have a numeric name). Dataset names never consist of
+ * digits only (pool names start with a letter), so a numeric part of a destination is always the port. The internal host (the address the storage
+ * is transferred to) is given in parentheses, brackets are accepted as well for host names and IPv4 addresses. A source or destination starting with an
+ * IPv6 address without brackets is rejected, it would be split at the first colon of the address.
+ */
+
+const {validateDatasetName} = require('./command.js');
+
+const USER = "[A-Za-z0-9_][A-Za-z0-9_.-]*";
+const NAME = "[A-Za-z0-9_][A-Za-z0-9_.-]*";
+const IPV6 = "[0-9A-Fa-f]*:[0-9A-Fa-f:.]*(?:%[A-Za-z0-9_.-]+)?";
+/* groups: user, IPv6 address, host name */
+const HOST = `(?:(${USER})@)?(?:\\[(${IPV6})\\]|(${NAME}))`;
+/* groups: address in parentheses, host name in brackets */
+const INTERNAL = `(?:\\((${IPV6}|${NAME})\\)|\\[(${NAME})\\])`;
+
+const HOST_PORT_REGEX = new RegExp(`^${HOST}(?::(\\d+))?$`);
+const BARE_IPV6_REGEX = new RegExp(`^(?:(${USER})@)?(${IPV6})$`);
+const SOURCE_REGEX = new RegExp(`^${HOST}(?::(\\d+))?:(.+)$`);
+const DESTINATION_REGEX = new RegExp(`^${HOST}${INTERNAL}?(?::(\\d+))?${INTERNAL}?(?::(.*))?$`);
+/* an IPv6 address without brackets (containing '::' or consisting of eight groups) at the start of a source or destination */
+const BARE_IPV6_PREFIX_REGEX = new RegExp(`^(?:${USER}@)?(?:[0-9A-Fa-f]*::[0-9A-Fa-f:.]*|(?:[0-9A-Fa-f]{1,4}:){7}[0-9A-Fa-f]{1,4})(?:%[A-Za-z0-9_.-]+)?(?::|$)`);
+
+const DESTINATION_FORMAT = "[USER@]HOST[(INTERNAL_HOST)][:PORT][:DATASET], e.g. host1, root@host1:2222, [fd00::1]:pool/vms or host1(10.0.0.1):pool/vms";
+
+/**
+ * @typedef {Object} HostPort
+ * @property {string|null} user
+ * @property {string} host - the host name or address, IPv6 addresses without brackets
+ * @property {string|null} port
+ */
+
+/**
+ * validate a port
+ * @param {string|null} port
+ * @param {string} spec - the specification the port is part of, used in error messages
+ * @returns {string|null}
+ */
+function checkPort(port, spec) {
+  if (port && (Number(port) < 1 || Number(port) > 65535))
+    throw new Error(`invalid port ${port} in '${spec}', expected 1 to 65535`);
+  return port || null;
+}
+
+/**
+ * parse a host specified as [USER@]HOST[:PORT]
+ * IPv6 addresses have to be put in brackets if a port is given, e.g. [fd00::1]:2222.
+ * @param {string} hostPort
+ * @returns {HostPort}
+ * @throws {Error} if the specification is invalid
+ */
+function parseHostPort(hostPort) {
+  const match = `${hostPort}`.match(HOST_PORT_REGEX);
+  if (match) {
+    const [, user, ipv6, name, port] = match;
+    return {user: user || null, host: ipv6 || name, port: checkPort(port, hostPort)};
+  }
+  const ipv6 = `${hostPort}`.match(BARE_IPV6_REGEX);
+  if (ipv6 && ipv6[2].split(":").length > 2)
+    return {user: ipv6[1] || null, host: ipv6[2], port: null};
+  throw new Error(`invalid host '${hostPort}', expected [USER@]HOST[:PORT] (IPv6 addresses in brackets, e.g. [fd00::1]:22)`);
+}
+
+/**
+ * format a host as [USER@]HOST[:PORT], putting IPv6 addresses in brackets
+ * @param {{user?: string|null, host: string, port?: string|number|null}} hostPort
+ * @returns {string}
+ */
+function formatHostPort({user, host, port}) {
+  return `${user ? `${user}@` : ""}${host.includes(":") ? `[${host}]` : host}${port ? `:${port}` : ""}`;
+}
+
+/**
+ * parse a source specified as [[USER@]HOST[:PORT]:]NAME
+ * @param {string} spec
+ * @returns {{host: string|null, port: string|null, attr: string}} host is formatted as [USER@]HOST (see formatHostPort), null for the local system
+ * @throws {Error} if the host is an IPv6 address without brackets
+ */
+function parseSource(spec) {
+  if (BARE_IPV6_PREFIX_REGEX.test(`${spec}`))
+    throw new Error(`invalid source '${spec}', IPv6 addresses have to be put in brackets, e.g. [fd00::1]:NAME`);
+  const match = `${spec}`.match(SOURCE_REGEX);
+  if (!match)
+    return {host: null, port: null, attr: spec};
+  const [, user, ipv6, name, port, attr] = match;
+  return {host: formatHostPort({user, host: ipv6 || name}), port: checkPort(port, spec), attr};
+}
+
+/**
+ * parse a destination specified as [USER@]HOST[(INTERNAL_HOST)][:PORT][:DATASET]
+ * A leading slash of the dataset is removed, a trailing one is kept (it marks the dataset as parent, see Zfsdom.getDestDataset).
+ * @param {string} spec
+ * @returns {{host: string, port: string|null, internal: string|null, dataset: string|null}} host is formatted as [USER@]HOST (see formatHostPort)
+ * @throws {Error} if the specification is invalid
+ */
+function parseDestination(spec) {
+  if (BARE_IPV6_PREFIX_REGEX.test(`${spec}`))
+    throw new Error(`invalid destination '${spec}', IPv6 addresses have to be put in brackets, e.g. [fd00::1]:pool/vms`);
+  const match = `${spec}`.match(DESTINATION_REGEX);
+  if (!match)
+    throw new Error(`invalid destination '${spec}', expected ${DESTINATION_FORMAT}`);
+  const [, user, ipv6, name, internal1, internal2, port, internal3, internal4, path] = match;
+  const internals = [internal1, internal2, internal3, internal4].filter(internal => internal);
+  if (internals.length > 1)
+    throw new Error(`invalid destination '${spec}', more than one internal host given`);
+  let dataset = null;
+  if (path) {
+    dataset = path.replace(/^\//, "");
+    try {
+      validateDatasetName(dataset.replace(/\/$/, ""));
+    } catch (err) {
+      throw new Error(`invalid destination '${spec}': ${err.message}`);
+    }
+  } else if (path !== undefined)
+    throw new Error(`invalid destination '${spec}', empty dataset`);
+  return {host: formatHostPort({user, host: ipv6 || name}), port: checkPort(port, spec), internal: internals[0] || null, dataset};
+}
+
+module.exports = {parseHostPort, formatHostPort, parseSource, parseDestination};
@@ -0,0 +1,108 @@
+const bytes = require('bytes');
+
+/**
+ * format a duration as the two most significant units, e.g. 2d 5h or 3m 20s
+ * @param {number} ms
+ * @returns {string}
+ */
+function formatDuration(ms) {
+  const units = [['d', 86400000], ['h', 3600000], ['m', 60000], ['s', 1000]];
+  const parts = [];
+  let rest = Math.max(ms, 0);
+  for (const [unit, size] of units) {
+    if (rest >= size || (parts.length && parts.length < 2)) {
+      parts.push(`${Math.floor(rest / size)}${unit}`);
+      rest %= size;
+    }
+    if (parts.length === 2)
+      break;
+  }
+  return parts.length ? parts.join(" ") : "0s";
+}
+
+/**
+ * format a timestamp as local date and time, e.g. 2024-05-01 13:05
+ * @param {number} ms - milliseconds since the epoch
+ * @returns {string}
+ */
+function formatTime(ms) {
+  const date = new Date(ms);
+  const pad = n => `${n}`.padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth()+1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/**
+ * format rows as columns padded to the widest cell
+ * @param {string[][]} rows - the first row is the header
+ * @returns {string}
+ */
+function formatTable(rows) {
+  const widths = rows[0].map((_, column) => Math.max(...rows.map(row => `${row[column]}`.length)));
+  return rows.map(row => row.map((cell, column) => `${cell}`.padEnd(widths[column])).join("  ").trimEnd()).join("\n");
+}
+
+/**
+ * format the status of replicated datasets as human readable report
+ * @param {{source: string|null, destination: string, datasets: DatasetStatus[]}} status - as returned by Zfsdom.getReplicationStatus
+ * @returns {string}
+ */
+function formatStatus(status) {
+  const sections = status.datasets.map((dataset) => {
+    const {source, destination} = dataset;
+    const lines = [`${source.host ? `${source.host}:` : ""}${source.dataset} -> ${destination.host}:${destination.dataset}`];
+    if (!destination.exists)
+      lines.push(`  destination dataset does not exist`);
+    lines.push(`  state              ${dataset.inSync ? "in sync" : dataset.modified ? "destination modified (a transfer rolls it back only with --force)" : "behind"}`);
+    lines.push(`  common snapshot    ${dataset.commonSnapshot ? `${dataset.commonSnapshot} (lag ${formatDuration(dataset.lag)})` : "- none -"}`);
+    lines.push(`  source only        ${dataset.missingOnDestination.length ? dataset.missingOnDestination.join(", ") : "- none -"}`);
+    lines.push(`  destination only   ${dataset.missingOnSource.length ? dataset.missingOnSource.join(", ") : "- none -"}`);
+    if (dataset.incrementalBytes !== null)
+      lines.push(`  to transfer        ${bytes.format(dataset.incrementalBytes)}${dataset.commonSnapshot ? "" : " (full stream)"}, ${bytes.format(dataset.sourceWritten)} written since the latest snapshot`);
+    if (dataset.destinationWritten !== null)
+      lines.push(`  destination        ${bytes.format(dataset.destinationWritten)} written since the common snapshot`);
+
+    const names = [...new Set([...source.snapshots, ...destination.snapshots].sort((a, b) => a.creation - b.creation).map(snapshot => snapshot.name))];
+    if (names.length) {
+      const creation = (snapshots, name) => {
+        const snapshot = snapshots.find(snapshot => snapshot.name === name);
+        return snapshot ? formatTime(snapshot.creation) : "-";
+      };
+      const rows = [["SNAPSHOT", "SOURCE", "DESTINATION"], ...names.map(name => [name, creation(source.snapshots, name), creation(destination.snapshots, name)])];
+      lines.push("", ...formatTable(rows).split("\n").map(line => `  ${line}`));
+    }
+    return lines.join("\n");
+  });
+  return sections.join("\n\n");
+}
+
+/**
+ * format the summary of an evacuation as table
+ * @param {{source: string, domains: {domain: string, destination: string|null, status: string, error: string|null}[]}} evacuation - as returned by Zfsdom.evacuateHost
+ * @returns {string}
+ */
+function formatEvacuation(evacuation) {
+  const order = ['succeeded', 'failed', 'skipped'];
+  const domains = [...evacuation.domains].sort((a, b) => order.indexOf(a.status) - order.indexOf(b.status) || a.domain.localeCompare(b.domain));
+  const counts = order.map(status => `${domains.filter(domain => domain.status === status).length} ${status}`).join(", ");
+  const rows = [["DOMAIN", "DESTINATION", "STATUS", "DETAILS"], ...domains.map(domain => [domain.domain, domain.destination || "-", domain.status, domain.error || ""])];
+  return `evacuation of ${evacuation.source}: ${counts}\n\n${domains.length ? formatTable(rows) : "no running domains"}`;
+}
+
+/**
+ * format the status of replication jobs as table
+ * @param {JobStatus[]} jobs - as returned by Replicator.getStatus or readStatus
+ * @returns {string}
+ */
+function formatJobStatus(jobs) {
+  const rows = [["JOB", "LAST SUCCESS", "LAG", "NEXT RUN", "FAILURES", "LAST ERROR"], ...jobs.map(job => [
+    `${job.job}${job.running ? " (running)" : ""}`,
+    job.lastSuccess ? formatTime(job.lastSuccess) : "-",
+    job.lag !== null ? formatDuration(job.lag) : "-",
+    job.nextRun ? formatTime(job.nextRun) : "-",
+    job.failures,
+    job.lastError || "",
+  ])];
+  return formatTable(rows);
+}
+
+module.exports = {formatStatus, formatEvacuation, formatJobStatus, formatDuration, formatTable};
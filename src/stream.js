@@ -0,0 +1,204 @@
+/**
+ * Options of the replication stream (zfs send | ssh HOST zfs recv)
+ *
+ * - bwlimit: limit the stream to this many bytes per second (using pv on the sending side), e.g. 50MB
+ * - compress: compress the stream in transit using zstd, lz4 or gzip (installed on both hosts)
+ * - raw, largeBlock, embed, props: zfs send --raw (keeps encrypted datasets encrypted), --large-block, --embed and --props
+ * - recvSet: properties set on the received dataset (zfs recv -o PROPERTY=VALUE)
+ * - recvExclude: properties not received (zfs recv -x PROPERTY)
+ * - tcp: send the stream over a plain tcp connection (mbuffer) instead of through ssh, which is still used to start the receiving side; for trusted
+ *   networks only unless it is protected by tls (socat, certificate and key of the host, ca to verify the peer)
+ * - cipherKey: encrypt the tcp stream using a key shared by the hosts (openssl enc), which keeps it confidential but does not authenticate it
+ * - tcpPort, buffer: the first port the destination listens on (concurrent streams to a host take the next free ones) and the size of the buffer on
+ *   both sides smoothing out bursts of zfs send
+ */
+
+const bytes = require('bytes');
+
+const COMPRESSORS = {
+  zstd: {compress: ['zstd', '-q', '-c'], decompress: ['zstd', '-q', '-d', '-c']},
+  lz4: {compress: ['lz4', '-q', '-c'], decompress: ['lz4', '-q', '-d', '-c']},
+  gzip: {compress: ['gzip', '-c'], decompress: ['gzip', '-d', '-c']},
+};
+
+const SEND_FLAGS = {raw: '--raw', largeBlock: '--large-block', embed: '--embed', props: '--props'};
+
+const STREAM_OPTIONS = [
+  'bwlimit', 'compress', 'raw', 'largeBlock', 'embed', 'props', 'recvSet', 'recvExclude',
+  'tcp', 'tcpPort', 'buffer', 'tlsCert', 'tlsKey', 'tlsCa', 'cipherKey',
+];
+
+const DEFAULT_TCP_PORT = 9090;
+const DEFAULT_BUFFER = "1GB";
+/* the receiving side gives up if no data arrives for this many seconds, e.g. because the sending side failed to connect */
+const TCP_TIMEOUT = 300;
+
+/**
+ * @typedef {Object} StreamOptions
+ * @property {number|string} [bwlimit] - bytes per second, either a number or a size like 50MB
+ * @property {string} [compress] - one of zstd, lz4 or gzip
+ * @property {boolean} [raw]
+ * @property {boolean} [largeBlock]
+ * @property {boolean} [embed]
+ * @property {boolean} [props]
+ * @property {Object<string, string>} [recvSet] - property values by property name
+ * @property {string[]} [recvExclude] - property names
+ * @property {boolean} [tcp]
+ * @property {number} [tcpPort] - the first port to listen on, defaults to 9090
+ * @property {number|string} [buffer] - the mbuffer size, defaults to 1GB
+ * @property {string} [tlsCert] - the certificate (pem) of the hosts, at the same path on source and destination
+ * @property {string} [tlsKey] - the private key (pem) of the hosts
+ * @property {string} [tlsCa] - the ca certificate the certificate of the peer is verified against
+ * @property {string} [cipherKey] - the file containing the key the stream is encrypted with, at the same path on source and destination
+ */
+
+/**
+ * parse a size given as number of bytes or human readable, e.g. 50M or 1.5GB
+ * @param {number|string} size
+ * @returns {number}
+ * @throws {Error} if the size is invalid
+ */
+function parseSize(size) {
+  const parsed = typeof size === "number" ? size : bytes.parse(`${size}`.trim().replace(/^(\d+(\.\d+)?\s*[kmgtp])$/i, "$1B"));
+  if (typeof parsed !== "number" || isNaN(parsed) || parsed <= 0)
+    throw new Error(`invalid size '${size}'`);
+  return Math.floor(parsed);
+}
+
+/**
+ * validate a zfs property name
+ * @param {string} property
+ * @returns {string}
+ */
+function validateProperty(property) {
+  if (!/^[a-z][a-z0-9_.:-]*$/i.test(property))
+    throw new Error(`invalid zfs property '${property}'`);
+  return property;
+}
+
+/**
+ * merge stream options, later ones take precedence
+ * Properties to set are merged, properties to exclude are combined, undefined options are ignored.
+ * @param {...StreamOptions} list
+ * @returns {StreamOptions}
+ */
+function mergeStreamOptions(...list) {
+  const merged = {};
+  for (const options of list.filter(options => options)) {
+    for (const name of STREAM_OPTIONS.filter(name => options[name] !== undefined)) {
+      if (name === "recvSet")
+        merged.recvSet = {...merged.recvSet, ...options.recvSet};
+      else if (name === "recvExclude")
+        merged.recvExclude = [...new Set([...merged.recvExclude || [], ...options.recvExclude])];
+      else
+        merged[name] = options[name];
+    }
+  }
+  return merged;
+}
+
+/**
+ * the zfs send arguments selected by the stream options
+ * @param {StreamOptions} options
+ * @returns {string[]}
+ */
+function getSendFlags(options) {
+  return Object.keys(SEND_FLAGS).filter(name => options[name]).map(name => SEND_FLAGS[name]);
+}
+
+/**
+ * the zfs recv arguments selected by the stream options
+ * @param {StreamOptions} options
+ * @returns {string[]}
+ */
+function getRecvFlags(options) {
+  return [
+    ...Object.entries(options.recvSet || {}).flatMap(([property, value]) => ['-o', `${validateProperty(property)}=${value}`]),
+    ...(options.recvExclude || []).flatMap(property => ['-x', validateProperty(property)]),
+  ];
+}
+
+/**
+ * the commands the stream is piped through on the sending and on the receiving side
+ * @param {StreamOptions} options
+ * @returns {{send: string[][], recv: string[][]}} argument arrays (see command() in command.js), in pipeline order
+ */
+function getStreamFilters(options) {
+  const send = [];
+  const recv = [];
+  if (options.bwlimit)
+    send.push(['pv', '-q', '-L', `${parseSize(options.bwlimit)}`]);
+  if (options.compress) {
+    const compressor = COMPRESSORS[options.compress];
+    if (!compressor)
+      throw new Error(`invalid compression '${options.compress}', expected one of ${Object.keys(COMPRESSORS).join(", ")}`);
+    send.push(compressor.compress);
+    recv.push(compressor.decompress);
+  }
+  return {send, recv};
+}
+
+/**
+ * the first port the receiving side of a tcp stream listens on
+ * @param {StreamOptions} options
+ * @returns {number}
+ * @throws {Error} if the port is invalid
+ */
+function getTcpPort(options) {
+  const port = Number(options.tcpPort || DEFAULT_TCP_PORT);
+  if (!Number.isInteger(port) || port < 1 || port > 65535)
+    throw new Error(`invalid tcp port ${options.tcpPort}, expected 1 to 65535`);
+  return port;
+}
+
+/**
+ * the commands the stream is piped through to be sent over a plain tcp connection
+ * With tls, socat carries the stream and mbuffer only buffers it, the hosts authenticate each other by their certificates. With a cipher key, the
+ * stream is encrypted using openssl enc, which has no message authentication: a stream decrypted using a different key is only rejected by zfs recv
+ * because its checksums do not match.
+ * @param {StreamOptions} options
+ * @param {string} host - the address the sending side connects to
+ * @param {number} [port] - the port to listen on instead of the first one (see getTcpPort), e.g. as reserved by Zfsdom.reserveTcpPort
+ * @returns {{port: number, connect: string[][], listen: string[][]}} the commands following the filters on the sending side and preceding them on
+ *   the receiving side (see getStreamFilters), in pipeline order
+ * @throws {Error} if the tcp options are invalid
+ */
+function getTcpPipes(options, host, port=getTcpPort(options)) {
+  const buffer = ['-q', '-s', '128k', '-m', `${parseSize(options.buffer || DEFAULT_BUFFER)}`];
+  const tls = [options.tlsCert, options.tlsKey, options.tlsCa];
+  if (tls.some(file => file) && !tls.every(file => file))
+    throw new Error(`tls requires a certificate, a key and a ca certificate`);
+  const address = host.includes(":") ? `[${host}]` : host;
+  const connect = [];
+  const listen = [];
+  if (options.cipherKey) {
+    const cipher = ['-aes-256-ctr', '-pbkdf2', '-pass', `file:${options.cipherKey}`];
+    connect.push(['openssl', 'enc', '-e', ...cipher]);
+    listen.push(['openssl', 'enc', '-d', ...cipher]);
+  }
+  if (options.tlsCert) {
+    const certs = `cert=${options.tlsCert},key=${options.tlsKey},cafile=${options.tlsCa}`;
+    connect.push(['mbuffer', ...buffer], ['socat', '-u', 'STDIN', `OPENSSL:${address}:${port},${certs}`]);
+    listen.unshift(['socat', '-u', '-T', `${TCP_TIMEOUT}`, `OPENSSL-LISTEN:${port},reuseaddr,${certs}`, 'STDOUT'], ['mbuffer', ...buffer]);
+  } else {
+    connect.push(['mbuffer', ...buffer, '-O', `${address}:${port}`]);
+    listen.unshift(['mbuffer', ...buffer, '-W', `${TCP_TIMEOUT}`, '-I', `${port}`]);
+  }
+  return {port, connect, listen};
+}
+
+/**
+ * validate stream options
+ * @param {StreamOptions} options
+ * @returns {StreamOptions} the options
+ * @throws {Error} if an option is invalid
+ */
+function validateStreamOptions(options) {
+  getStreamFilters(options);
+  getRecvFlags(options);
+  if (options.tcp)
+    getTcpPipes(options, "localhost");
+  return options;
+}
+
+module.exports = {COMPRESSORS, STREAM_OPTIONS, parseSize, mergeStreamOptions, getSendFlags, getRecvFlags, getStreamFilters, getTcpPort, getTcpPipes, validateStreamOptions};
@@ -0,0 +1,65 @@
+/**
+ * Parsing of the output of the zfs and virsh commands run on the hosts
+ */
+
+const bytes = require('bytes');
+
+const SIZE = /(\d+(?:\.\d+)?[KMGTP]?i?B?)/;
+/* the lines zfs send -v reports besides the sizes, e.g. 'full send of tank/foo@snap estimated size is 1.2G' or the header of the progress table */
+const SEND_INFO = /^(TIME\s+SENT\s+SNAPSHOT|full send of |send from |incremental |resume token contents)/;
+
+/**
+ * parse a size reported by zfs, e.g. 1.5G
+ * @param {string} size
+ * @returns {number} bytes
+ */
+function parseZfsSize(size) {
+  return bytes.parse(/B$/i.test(size) ? size : `${size}B`);
+}
+
+/**
+ * parse a line zfs send -v reports on stderr
+ * @param {string} line
+ * @returns {{type: 'total'|'progress'|'info', bytes: number|null}|null} the estimated size of the whole stream, the bytes sent so far, or
+ *   null if the line is not part of the progress report (e.g. an error of zfs send or zfs recv)
+ */
+function parseSendProgress(line) {
+  const text = `${line}`.trim();
+  const [, total] = text.match(new RegExp(`^total estimated size is ${SIZE.source}$`)) || [];
+  if (total)
+    return {type: 'total', bytes: parseZfsSize(total)};
+  const [, sent] = text.match(new RegExp(`^\\d{2}:\\d{2}:\\d{2}\\s+${SIZE.source}\\s+\\S+$`)) || [];
+  if (sent)
+    return {type: 'progress', bytes: parseZfsSize(sent)};
+  if (SEND_INFO.test(text))
+    return {type: 'info', bytes: null};
+  return null;
+}
+
+/**
+ * parse the table printed by virsh list [--all]
+ * @param {string} stdout
+ * @returns {{id: string, name: string, state: string}[]} the id is '-' for domains that are not running, the state may consist of several words
+ *   (e.g. 'shut off')
+ */
+function parseDomainList(stdout) {
+  return `${stdout}`.split(/\n/)
+      .map(line => line.trim())
+      .filter(line => line && !/^-+$/.test(line) && !/^Id\s+Name\s+State$/.test(line))
+      .map(line => {
+        const [, id, name, state] = line.match(/^(\S+)\s+(\S+)\s+(.+)$/) || [];
+        return {id, name, state};
+      })
+      .filter(domain => domain.name);
+}
+
+/**
+ * parse the domain names printed by virsh list --name
+ * @param {string} stdout
+ * @returns {string[]}
+ */
+function parseDomainNames(stdout) {
+  return `${stdout}`.split(/\n/).map(name => name.trim()).filter(name => name);
+}
+
+module.exports = {parseZfsSize, parseSendProgress, parseDomainList, parseDomainNames};
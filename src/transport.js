@@ -0,0 +1,206 @@
+/**
+ * Execution of shell commands on the local system or on remote hosts using the OpenSSH client
+ *
+ * Remote commands are run by the ssh binary, so everything configured in ~/.ssh/config (User, Port, IdentityFile, IdentityAgent, ProxyJump, ...)
+ * applies, the options given to the Transport take precedence. Connections are shared per host (ControlMaster) and kept open until the transport is closed.
+ */
+
+const { spawn, spawnSync } = require('child_process');
+const { mkdtempSync, rmSync } = require('fs');
+const { tmpdir } = require('os');
+const { join } = require('path');
+const { command, quote } = require('./command.js');
+const { parseHostPort, formatHostPort } = require('./spec.js');
+
+/**
+ * @typedef {Object} TransportOptions
+ * @property {string} [user] - the ssh user for hosts not specified as USER@HOST
+ * @property {string} [identity] - the private key to authenticate with
+ * @property {string} [agent] - the ssh-agent socket to use instead of SSH_AUTH_SOCK
+ * @property {string} [proxyJump] - jump host(s) specified as [USER@]HOST[:PORT][,...]
+ * @property {string|number} [port] - the ssh port for hosts specified without port
+ * @property {string} [configFile] - the ssh config file to use instead of ~/.ssh/config
+ * @property {string} [knownHosts] - host key policy: 'strict' (only known hosts), 'accept-new' (add unknown hosts) or 'off' (no verification), defaults to the ssh config
+ * @property {number} [controlPersist] - seconds a shared connection is kept open after its last use, defaults to 60
+ * @property {boolean} [sudo] - run remote commands using sudo (non-interactively, so sudo must not ask for a password), for non-root users
+ */
+
+const KNOWN_HOSTS_POLICIES = {
+  'strict': ['-o', 'StrictHostKeyChecking=yes'],
+  'accept-new': ['-o', 'StrictHostKeyChecking=accept-new'],
+  'off': ['-o', 'StrictHostKeyChecking=no', '-o', 'UserKnownHostsFile=/dev/null', '-o', 'LogLevel=ERROR'],
+};
+
+/**
+ * A shell on the local system or on a remote host
+ */
+class Terminal {
+  /**
+   * @param {Transport} transport
+   * @param {string|null} hostPort - the host specified as [USER@]HOST[:PORT], null for the local system
+   */
+  constructor(transport, hostPort) {
+    this.transport = transport;
+    this.hostPort = hostPort;
+  }
+
+  /**
+   * start a shell command
+   * @param {string} cmd - the command, as built by command() (see command.js)
+   * @param {boolean} sudo - false if the command must not be run using sudo (even if configured), e.g. because it wraps single commands itself
+   * @returns {ChildProcess}
+   */
+  spawn(cmd, sudo=true) {
+    const child = this.hostPort
+        ? spawn('ssh', [...this.transport.sshArgs(this.hostPort), '--', sudo ? this.transport.sudo(cmd) : cmd])
+        : spawn('/bin/sh', ['-c', cmd]);
+    /* none of the commands reads its input, ssh would wait for it otherwise */
+    child.stdin.end();
+    return child;
+  }
+
+  /**
+   * run a shell command and collect its output
+   * @param {string} cmd
+   * @returns {Promise<{code: number, stdout: string, stderr: string}>}
+   */
+  run(cmd) {
+    return new Promise((resolve) => {
+      const child = this.spawn(cmd);
+      let stdout = "";
+      let stderr = "";
+      child.stdout.on('data', (data) => stdout += data);
+      child.stderr.on('data', (data) => stderr += data);
+      child.on('error', (err) => resolve({code: -1, stdout, stderr: `${stderr}${err.message}`}));
+      child.on('close', (code) => resolve({code, stdout, stderr}));
+    });
+  }
+
+  /**
+   * run a shell command and get its output
+   * @param {string} cmd
+   * @returns {Promise<string>} stdout
+   * @throws {Error} with the command's stderr if it exits with a non-zero code
+   */
+  async exec(cmd) {
+    const {code, stdout, stderr} = await this.run(cmd);
+    if (code !== 0)
+      throw new Error(stderr.trim() || `'${cmd}' exited with code ${code}`);
+    return stdout;
+  }
+
+  /**
+   * release the terminal, the underlying connection is kept open for reuse until the transport is closed
+   * @returns {Promise<void>}
+   */
+  async close() {
+  }
+}
+
+/**
+ * Opens terminals on the local system and on remote hosts sharing one ssh connection per host
+ */
+class Transport {
+  /**
+   * @param {TransportOptions} options
+   */
+  constructor(options={}) {
+    if (options.knownHosts && !KNOWN_HOSTS_POLICIES[options.knownHosts])
+      throw new Error(`invalid known hosts policy '${options.knownHosts}', expected one of ${Object.keys(KNOWN_HOSTS_POLICIES).join(", ")}`);
+    this.options = options;
+    this.controlDir = null;
+    this.hosts = new Set();
+  }
+
+  /**
+   * get a terminal on a remote host or on the local system
+   * @param {string|null} hostPort - the host specified as [USER@]HOST[:PORT], null for the local system
+   * @returns {Terminal}
+   */
+  connect(hostPort) {
+    if (hostPort)
+      this.hosts.add(hostPort);
+    return new Terminal(this, hostPort || null);
+  }
+
+  /**
+   * the ssh options selecting user, port, key, agent, jump hosts and host key policy of a host
+   * Options referring to local files (key, config file, shared connection) are omitted if the options are used by ssh on another host.
+   * @param {string} hostPort - the host specified as [USER@]HOST[:PORT]
+   * @param {boolean} local - false if ssh is executed on another host, e.g. to stream from the source to the destination host
+   * @returns {string[]} the ssh arguments including the destination
+   */
+  sshArgs(hostPort, local=true) {
+    const {user:hostUser, host, port} = parseHostPort(hostPort);
+    const user = hostUser || this.options.user;
+    const {identity, agent, proxyJump, configFile, knownHosts} = this.options;
+    return [
+      '-o', 'BatchMode=yes',
+      ...local && configFile ? ['-F', configFile] : [],
+      ...local && identity ? ['-i', identity] : [],
+      ...local && agent ? ['-o', `IdentityAgent=${agent}`] : [],
+      ...local ? ['-o', 'ControlMaster=auto', '-o', `ControlPath=${join(this.getControlDir(), '%C')}`, '-o', `ControlPersist=${this.options.controlPersist || 60}`] : [],
+      ...proxyJump ? ['-J', proxyJump] : [],
+      ...knownHosts ? KNOWN_HOSTS_POLICIES[knownHosts] : [],
+      ...user ? ['-l', user] : [],
+      ...port || this.options.port ? ['-p', `${port || this.options.port}`] : [],
+      host,
+    ];
+  }
+
+  /**
+   * build a shell command executing a command on a remote host
+   * @param {string} hostPort - the host specified as [USER@]HOST[:PORT]
+   * @param {string} remoteCommand - the command to execute, as built by command() (see command.js)
+   * @param {boolean} local - false if the command is executed on another host
+   * @returns {string}
+   */
+  sshCommand(hostPort, remoteCommand, local=true) {
+    return `${command('ssh', ...this.sshArgs(hostPort, local), '--')} ${quote(this.sudo(remoteCommand))}`;
+  }
+
+  /**
+   * wrap a command to be run on a remote host using sudo if configured
+   * @param {string} cmd
+   * @returns {string}
+   */
+  sudo(cmd) {
+    return this.options.sudo ? command('sudo', '-n', 'sh', '-c', cmd) : cmd;
+  }
+
+  /**
+   * the libvirt connection uri of the hypervisor on a remote host
+   * Only user and port are part of the uri, libvirt uses the ssh config of the system virsh is executed on for everything else.
+   * @param {string} hostPort - the host specified as [USER@]HOST[:PORT]
+   * @returns {string}
+   */
+  libvirtUri(hostPort) {
+    const {user, host, port} = parseHostPort(hostPort);
+    return `qemu+ssh://${formatHostPort({user: user || this.options.user, host, port: port || this.options.port})}/system`;
+  }
+
+  /**
+   * the directory holding the sockets of the shared connections, created on first use
+   * @returns {string}
+   */
+  getControlDir() {
+    if (!this.controlDir)
+      this.controlDir = mkdtempSync(join(tmpdir(), 'zfsdom-'));
+    return this.controlDir;
+  }
+
+  /**
+   * close all shared connections
+   */
+  close() {
+    if (!this.controlDir)
+      return;
+    for (const hostPort of this.hosts)
+      spawnSync('ssh', ['-O', 'exit', ...this.sshArgs(hostPort)], {stdio: 'ignore'});
+    rmSync(this.controlDir, {recursive: true, force: true});
+    this.controlDir = null;
+    this.hosts.clear();
+  }
+}
+
+module.exports = {Transport, Terminal};
@@ -1,35 +1,192 @@
-const { spawn } = require('child_process');
-const shell = require('shelljs');
-const SSH2Promise = require('ssh2-promise');
+const EventEmitter = require('events');
 const bytes = require('bytes');
-const {homedir} = require("os");
-const ProgressBar = require('progress');
-const {statSync} = require("fs");
-function execAsync(command, options = {},_shell=shell) {
-  return new Promise((resolve) => {
-    options.async = true;
-    options.silent = true;
-    _shell.exec(command, options, (code, stdout, stderr) => {
-      resolve({code,stdout,stderr});
-    });
-  });
+const {gzipSync, gunzipSync} = require("zlib");
+const {posix} = require("path");
+const {selectSnapshotsToPrune} = require('./retention.js');
+const {quote, command, validateDatasetName, validateSnapshotName, validateDomainName} = require('./command.js');
+const {parseHostPort, formatHostPort, parseSource, parseDestination} = require('./spec.js');
+const {Transport} = require('./transport.js');
+const {mergeStreamOptions, getSendFlags, getRecvFlags, getStreamFilters, getTcpPort, getTcpPipes, validateStreamOptions} = require('./stream.js');
+const {getDiskSources:getDomainDiskSources, rewriteDomainXml} = require('./domainXml.js');
+const {parseSendProgress, parseDomainList, parseDomainNames} = require('./toolOutput.js');
+
+/**
+ * @typedef {Object} DatasetTransferResult
+ * @property {boolean} success
+ * @property {boolean} dryRun - true if nothing has been transferred because `run` was not set
+ * @property {{host: string|null, dataset: string}} source - host is null for the local system
+ * @property {{host: string, dataset: string, exists: boolean}} destination
+ * @property {string|null} commonSnapshot - the latest snapshot the transfer is incremental to
+ * @property {string|null} snapshot - the transferred snapshot
+ * @property {boolean} resumed - true if an interrupted transfer has been resumed before
+ * @property {number} bytes - the number of bytes transferred
+ * @property {number|null} duration - the duration of the transfer in milliseconds
+ * @property {string|null} error
+ */
+
+/**
+ * the phases of a migration in the order they are passed through
+ * @type {string[]}
+ */
+const MIGRATION_PHASES = ['resolve', 'check', 'pre-sync', 'pre-copy', 'migrate', 'final-sync', 'define', 'chown', 'resume', 'undefine', 'done'];
+
+/**
+ * the placement strategies of an evacuation, see Zfsdom.evacuateHost
+ * @type {string[]}
+ */
+const PLACEMENTS = ['round-robin', 'capacity'];
+
+/**
+ * the seconds to wait for the guest agent to freeze or thaw the file systems of a domain, see Zfsdom.createFrozenSnapshots
+ * @type {number}
+ */
+const FREEZE_TIMEOUT = 30;
+
+/**
+ * the user properties describing the copies of the datasets of a domain on the destination of its transfers, see Zfsdom.recordReplica
+ * @type {{domain: string, source: string, chunks: string, xml: string}}
+ */
+const REPLICA_PROPERTIES = {domain: "zfsdom:domain", source: "zfsdom:source", chunks: "zfsdom:xml-chunks", xml: "zfsdom:xml"};
+
+/**
+ * the length of the parts the stored definition of a domain is split into, the value of a user property is limited to 8192 bytes
+ * @type {number}
+ */
+const XML_CHUNK_SIZE = 8000;
+
+/**
+ * the number of ports from the configured one the receiving sides of concurrent tcp streams to a host may listen on, see Zfsdom.reserveTcpPort
+ * @type {number}
+ */
+const TCP_PORT_RANGE = 100;
+
+/**
+ * convert a glob pattern to a regular expression, '*' matches any characters but '/', '**' any characters, '?' a single character but '/'
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+function globToRegExp(pattern) {
+  return new RegExp(`^${pattern.split(/(\*\*|\*|\?)/).map(part =>
+      part === "**" ? ".*" : part === "*" ? "[^/]*" : part === "?" ? "[^/]" : part.replace(/[.+^${}()|[\]\\]/g, "\\$&")).join("")}$`);
+}
+
+/**
+ * check whether a dataset of a tree matches one of the exclude patterns
+ * Patterns are matched against the dataset name relative to the root of the tree (e.g. 'cache' or '*\/tmp') and against the full name, '*' matches
+ * any characters but '/', '**' any characters (see globToRegExp). A dataset is excluded if itself or one of its parents within the tree matches.
+ * @param {string} root
+ * @param {string} dataset - the root itself or one of its descendants
+ * @param {string[]} patterns
+ * @returns {boolean}
+ */
+function isExcluded(root, dataset, patterns) {
+  const regexes = patterns.map(globToRegExp);
+  const relative = dataset.slice(root.length + 1).split("/").filter(name => name);
+  for (let depth = 1; depth <= relative.length; depth++) {
+    const name = relative.slice(0, depth).join("/");
+    if (regexes.some(regex => regex.test(name) || regex.test(`${root}/${name}`)))
+      return true;
+  }
+  return false;
 }
 
-class Zfsdom {
+/**
+ * @typedef {Object} RetentionPolicies - retention policies (as returned by parseRetentionPolicy in retention.js) per side, snapshots are not pruned on a side without policy
+ * @property {Object|null} source
+ * @property {Object|null} destination
+ */
+
+/**
+ * @typedef {Object} DatasetStatus
+ * @property {{host: string|null, dataset: string, snapshots: {name: string, creation: number}[]}} source - host is null for the local system, creation in
+ *   milliseconds since the epoch, oldest snapshot first
+ * @property {{host: string, dataset: string, exists: boolean, snapshots: {name: string, creation: number}[]}} destination
+ * @property {string|null} commonSnapshot - the latest snapshot existing on both sides, the base of the next incremental transfer
+ * @property {string[]} missingOnDestination - source snapshots not existing on the destination
+ * @property {string[]} missingOnSource - destination snapshots not existing on the source
+ * @property {number|null} incrementalBytes - the estimated size of the stream from the common snapshot (a full stream if there is none) to the latest
+ *   source snapshot, null if the source has no snapshots
+ * @property {number} sourceWritten - the bytes written on the source since its latest snapshot
+ * @property {number|null} destinationWritten - the bytes written on the destination since the common snapshot, null if there is none
+ * @property {boolean} modified - true if the destination has been modified since the common snapshot (written to or snapshotted), a transfer rolls it back only if forced
+ * @property {number|null} lag - milliseconds since the creation of the common snapshot, null if there is none
+ * @property {boolean} inSync - true if the latest source snapshot is the common snapshot and the destination has not been modified
+ */
+
+/**
+ * @typedef {Object} TransferResult
+ * @property {boolean} success
+ * @property {string|null} snapshot - the snapshot created on all source datasets
+ * @property {DatasetTransferResult[]} transfers - one entry per dataset
+ * @property {string[]} [removed] - recursive transfers only: the datasets on the destination whose source has been removed since the last transfer
+ * @property {string|null} error
+ */
+
+/**
+ * Transfers zfs datasets and migrates libvirt domains.
+ *
+ * Nothing is printed to the console, progress is reported by the following events instead (see consoleReporter.js):
+ * - `status` {message, success}: generic status information
+ * - `command` {command}: a shell command that is about to be executed
+ * - `output` {stream, data}: output of a virsh command, stream is either 'stdout' or 'stderr'
+ * - `dataset-resolved` {side, host, dataset, exists}: a dataset has been looked up, side is either 'source' or 'destination'
+ * - `common-snapshot` {dataset, destDataset, snapshot}: the latest common snapshot of a dataset pair (null if none)
+ * - `transfer-start` {dataset, destHost, destDataset, snapshot, commonSnapshot, resumeToken}: snapshot is null when resuming an interrupted transfer
+ * - `transfer-progress` {dataset, bytes, total}: total is null as long as zfs has not estimated the stream size
+ * - `transfer-end` {dataset, destHost, destDataset, success, bytes, duration}
+ * - `migration-phase` {domain, phase}: one of MIGRATION_PHASES or 'rollback' when a failed migration is rolled back
+ * - `migration-end` {domain, destination, dryRun, success, phase, duration, downtime}: phase is the one that failed if success is false, downtime is the
+ *   time the domain has been suspended (null unless it has been resumed on the destination)
+ * - `precopy-pass` {domain, pass, bytes, delta, expectedDowntime}: delta is the estimated size of the data written since the pass
+ * - `error` {Error} with an additional `phase` property: only emitted if a listener is attached
+ */
+class Zfsdom extends EventEmitter {
   /**
-   * print generic status information to the console
+   * @param {{snapshotPrefix?: string, ssh?: TransportOptions, transport?: Transport, config?: Config}} options - snapshotPrefix is prepended to the names of snapshots created by zfsdom,
+   * which are identified by it when pruning, ssh configures the connections to remote hosts (see transport.js) unless a transport is given, config provides host aliases,
+   * domain profiles and defaults for the other options (see config.js)
+   */
+  constructor(options={}) {
+    super();
+    this.config = options.config || {ssh: {}, hosts: {}, domains: {}, jobs: {}};
+    this.snapshotPrefix = options.snapshotPrefix ?? this.config.snapshotPrefix ?? "";
+    if (this.snapshotPrefix)
+      validateSnapshotName(this.snapshotPrefix);
+    const ssh = Object.fromEntries(Object.entries(options.ssh || {}).filter(([, value]) => value !== undefined));
+    this.transport = options.transport || new Transport({...this.config.ssh, ...ssh});
+    /* the ports the receiving sides of tcp streams listen on by host (see reserveTcpPort) */
+    this.tcpPorts = new Map();
+  }
+
+  /**
+   * close the connections to remote hosts, which are kept open for reuse otherwise
+   */
+  close() {
+    this.transport.close();
+  }
+
+  /**
+   * report generic status information
    * @param {string} result
    * @param {boolean} success
    */
   printResult(result, success) {
-    if (success)
-      console.log("\x1b[1m\x1b[32m%s\x1b[0m", `✔ ${result}`);
-    else
-      console.error("\x1b[1m\x1b[31m%s\x1b[0m", `✖ ${result}`);
+    this.emit('status', {message: result, success});
+  }
+
+  /**
+   * report an error as failed status and as `error` event (if anyone listens to it)
+   * @param {string} message
+   * @param {string|null} phase - the migration phase the error occurred in, if any
+   */
+  reportError(message, phase=null) {
+    this.printResult(message, false);
+    if (this.listenerCount('error'))
+      this.emit('error', Object.assign(new Error(message), {phase}));
   }
 
   /**
-   * print action status information to the console
+   * report action status information
    * @param {string} actionName
    * @param {boolean} success
    */
@@ -38,102 +195,96 @@ class Zfsdom {
   }
 
   /**
-   * print shell cmd
+   * report shell cmd
    * @param {string} cmd
-   * @param {boolean} success
    */
   printShellCmd(cmd) {
-    console.log("\x1b[34m%s\x1b[0m", cmd);
-  }
-
-  /**
-   * Connect to remote host using ssh
-   * @param {string} remoteHost - The remote host. Include the port if it's not 22, e.g. remotehost:2222.
-   * @param {string} username - The username to use for the connection, defaults to root
-   * @param {string} identity - The path to the local user's private key, defaults to ~/.ssh/id_rsa
-   * @returns {SSH2Promise}
-   */
-  openRemoteSSH(remoteHost,username="root",identity=`/${homedir()}/.ssh/id_rsa`) {
-    let [host,port] = remoteHost.split(":");
-    let [,_username,_host] = host.match(/([^@]+)@([^@]+)$/)||[];
-
-    return new SSH2Promise({
-      host:_host||host,
-      username:_username||username,
-      port: port || 22,
-      identity
-    })
+    this.emit('command', {command: cmd});
   }
 
   /**
-   * Get/validate a zfs dataset by pattern on a remote or local system
-   * @param {SSH2Promise|shell} terminal - the connection (SSH2Promise) or shell to use for the zfs command
-   * @param {string} pattern - the pattern
-   * @returns {Promise<{size: string, dataset: *}>}
+   * Get a terminal on a remote host or on the local system
+   * @param {string|null} hostPort - the remote host specified as [USER@]HOST[:PORT], null for the local system
+   * @returns {Terminal}
    */
-  async getDatasetByPattern(terminal,pattern) {
-    let size, dataset, path;
-    const list = (await terminal.exec(`zfs list | grep '${pattern}'`, { silent: true })).split(/\n/).filter(s=>s);
-    if (list.length)
-      [dataset,,,,path] = list[list.length-1].split(/\s+/);
-    return {dataset}
+  connect(hostPort) {
+    return this.transport.connect(hostPort);
   }
 
   /**
    * Get/validate a zfs dataset by mount point on a remote or local system
-   * @param {SSH2Promise|shell} terminal - the connection (SSH2Promise) or shell to use for the zfs command
-   * @param {string} path - the pattern
-   * @returns {Promise<{size: string, dataset: *}>}
+   * @param {Terminal} terminal - the terminal to use for the zfs command
+   * @param {string} path - the mount point
+   * @returns {Promise<{dataset: *}>}
    */
   async getDatasetByMountPoint(terminal, path){
-    return await this.getDatasetByPattern(terminal,`\\s${path}$`);
+    const list = `${await terminal.exec(command('zfs', 'list', '-H', '-o', 'name,mountpoint', '-t', 'filesystem'))}`.split(/\n/).filter(s=>s);
+    const [dataset] = (list.map(line=>line.split(/\t/)).find(([, mountPoint])=>mountPoint === path) || []);
+    return {dataset};
   }
 
   /**
    * Get/validate a zfs dataset by its name on a remote or local system
-   * @param {SSH2Promise|shell} terminal - the connection (SSH2Promise) or shell to use for the zfs command
-   * @param {string} datasetName - the pattern
-   * @returns {Promise<{size: string, dataset: *}>}
+   * @param {Terminal} terminal - the terminal to use for the zfs command
+   * @param {string} datasetName - the dataset name
+   * @returns {Promise<{dataset: *}>}
    */
   async getDatasetByName(terminal, datasetName){
-    return await this.getDatasetByPattern(terminal,`\\b${datasetName}$`);
+    validateDatasetName(datasetName);
+    /* zfs list fails if the dataset does not exist */
+    const name = `${await terminal.exec(`${command('zfs', 'list', '-H', '-o', 'name', datasetName)} 2>/dev/null || true`)}`.trim();
+    return {dataset: name === datasetName ? datasetName : undefined};
+  }
+
+  /**
+   * Get a zfs dataset and all its descendant filesystems and volumes on a remote or local system
+   * @param {Terminal} terminal - the terminal to use for the zfs command
+   * @param {string} datasetName - the root of the tree
+   * @returns {Promise<string[]>} the dataset names, parents before their children, empty if the dataset does not exist
+   */
+  async getDatasetTree(terminal, datasetName) {
+    validateDatasetName(datasetName);
+    return `${await terminal.exec(`${command('zfs', 'list', '-H', '-o', 'name', '-t', 'filesystem,volume', '-r', datasetName)} 2>/dev/null || true`)}`
+        .split(/\n/).filter(name=>name === datasetName || name.startsWith(`${datasetName}/`)).sort();
   }
 
   /**
    * Get a list of all snapshots of a particular zfs dataset on a remote or local system
-   * @param {SSH2Promise|shell} terminal - the connection (SSH2Promise) or shell to use for the zfs command
+   * @param {Terminal} terminal - the terminal to use for the zfs command
    * @param {string} datasetName - the dataset name
+   * @returns {Promise<string[]>} snapshots as DATASET@SNAPSHOT, oldest first
    */
   async getSnapshots(terminal, datasetName) {
-    return (await terminal.exec(`(zfs list -r ${datasetName} -t snapshot | awk '{print $1}')`,{ silent: true })).split(/\n/).filter(s=>s.match("@"))
+    return `${await terminal.exec(`${command('zfs', 'list', '-H', '-o', 'name', '-s', 'createtxg', '-t', 'snapshot', '-d', '1', datasetName)} 2>/dev/null || true`)}`.split(/\n/).filter(s=>s.match("@"))
   }
 
   /**
-   * Get the latest snapshot of a particular zfs dataset on a remote or local system
-   * @param {SSH2Promise|shell} terminal - the connection (SSH2Promise) or shell to use for the zfs command
-   * @param {string} dataset
+   * Get the snapshots of a particular zfs dataset with their creation time on a remote or local system
+   * @param {Terminal} terminal - the terminal to use for the zfs command
+   * @param {string} datasetName - the dataset name
+   * @returns {Promise<{name: string, creation: number}[]>} name without dataset, creation in milliseconds since the epoch, oldest first
    */
-  async getLatestSnapshot(terminal, dataset) {
-    let list = await this.getSnapshots(terminal, dataset);
-    return list.length>0 ? list[list.length-1] : null;
+  async getSnapshotDetails(terminal, datasetName) {
+    return `${await terminal.exec(`${command('zfs', 'list', '-H', '-p', '-o', 'name,creation', '-s', 'createtxg', '-t', 'snapshot', '-d', '1', datasetName)} 2>/dev/null || true`)}`
+        .split(/\n/).map(line=>line.split(/\t/)).filter(([name])=>name && name.startsWith(`${datasetName}@`))
+        .map(([name, creation])=>({name: name.split("@")[1], creation: Number(creation) * 1000}));
   }
 
   /**
    * Get the latest snapshot on the remote system that exists on the local system as well
-   * @param {SSH2Promise} destShell - the connection to use for the dest dataset
+   * @param {Terminal} destShell - the terminal to use for the dest dataset
    * @param {string} srcHostDataset - the local dataset name/path
    * @param {string} destDataset - the remote dataset name/path
    */
   async getLatestCommonSnapshot(destShell, srcHostDataset, destDataset) {
     const {host:srcHost, port:srcPort, attr:srcDataset} = this.splitHostPortAttr(srcHostDataset);
     const srcHostPort = srcHost ? `${srcHost}${srcPort ? `:${srcPort}` : ""}` : null;
-    const srcShell = srcHost ? await this.openRemoteSSH(srcHostPort) : shell;
+    const srcShell = this.connect(srcHostPort);
     if (!destDataset)
       destDataset = srcDataset;
 
     let srcList = (await this.getSnapshots(srcShell,srcDataset)).map(item=>item.split("@")[1]);
-    if (srcHost)
-      await srcShell.close();
+    await srcShell.close();
     let destList = (await this.getSnapshots(destShell,destDataset)).map(item=>item.split("@")[1]);
     let i = destList.length;
     while (i>=0 && !srcList.find(item=>item===destList[i]))
@@ -144,417 +295,2253 @@ class Zfsdom {
   }
 
   /**
-   * extract the disk path from a libvirt domain xml definition
+   * extract the sources of all disks from a libvirt domain xml definition, the volumes of storage pools are resolved to their paths
    * @param {string} targetHostDomain - the domain name with optional HOST[:PORT] prefix
-   * @returns {Promise<string>}
+   * @returns {Promise<{type: string, path: string, pool?: string, volume?: string}[]>} type is either 'file' or 'block'
    */
-  async getDiskPath(targetHostDomain) {
+  async getDiskSources(targetHostDomain) {
     const {host, port, attr:domain} = this.splitHostPortAttr(targetHostDomain);
-    const { stdout } = await execAsync(`${host ? `ssh ${host}${port ? ` -p ${port}` : ""} ` : ""}virsh dumpxml "${domain}" | grep "source file" | grep -o "'[^']*'" | sed "s/^'//g" | sed "s/'$//g" | head -1`);
-    return stdout.trim();
+    const { stdout } = await this.execVirsh(host, port, ['dumpxml', validateDomainName(domain)]);
+    const sources = [];
+    for (const source of getDomainDiskSources(stdout)) {
+      if (source.type !== "volume") {
+        sources.push(source);
+        continue;
+      }
+      const {code, stdout:path, stderr} = await this.execVirsh(host, port, ['vol-path', '--pool', source.pool, source.volume]);
+      if (code !== 0)
+        throw new Error(`failed to resolve volume ${source.volume} of storage pool ${source.pool}: ${stderr.trim()}`);
+      sources.push({type: path.trim().startsWith("/dev/") ? "block" : "file", path: path.trim(), pool: source.pool, volume: source.volume});
+    }
+    return sources;
   }
 
   /**
-   * extract the disk path from a libvirt domain xml definition
-   * @param {string} targetHostPort - the target host specified as HOST[:PORT]
-   * @returns {Promise<string>}
+   * extract the paths of all disks from a libvirt domain xml definition
+   * @param {string} targetHostDomain - the domain name with optional HOST[:PORT] prefix
+   * @returns {Promise<string[]>}
    */
-  async getDomains(targetHostPort, showAll=false) {
-    const [host,port] = (targetHostPort||"").split(":");
-    const { stdout } = await execAsync(`${host ? `ssh ${host}${port ? ` -p ${port}` : ""} ` : ""}virsh list ${showAll ? " --all" : ""} | tail -n+3`);
-    return stdout.split(/\n/g).filter(i=>i).map(i=>{
-      let [id,name,state] = i.trim().split(/\s+/g).map(i=>i.trim());
-      return {id,name,state};
-    });
+  async getDiskPaths(targetHostDomain) {
+    return (await this.getDiskSources(targetHostDomain)).map(source=>source.path);
   }
 
   /**
-   * split colon-separated arguments containing an attribute with optional HOST[:PORT] prefix
-   * @param hostPortAttr
-   * @returns {{port: string, host: string, attr: string}}
+   * Get the zfs volume (zvol) backing a block device on a remote or local system
+   * @param {Terminal} terminal - the terminal to use for the zfs command
+   * @param {string} path - the block device path, either /dev/zvol/{dataset} or the device node it links to (e.g. /dev/zd0)
+   * @returns {Promise<{dataset: *}>}
    */
-  splitHostPortAttr(hostPortAttr) {
-    let host = null;
-    let port = null;
-    let attr = hostPortAttr;
-    let parts = hostPortAttr.split(":");
-    if (parts.length>1) {
-      host = parts.shift();
-      let part = parts.shift();
-      if (isNaN(part))
-        attr = part;
-      else
-        port = part;
-    }
-    if (parts.length)
-      attr = parts.shift();
-    return {
-      host, port, attr
+  async getDatasetByZvolPath(terminal, path) {
+    let zvolPath = path;
+    if (!path.startsWith("/dev/zvol/")) {
+      const device = `${await terminal.exec(command('readlink', '-f', path))}`.trim();
+      /* the links below /dev/zvol point to the device nodes relative to their directory, e.g. ../../zd0 */
+      zvolPath = `${await terminal.exec(command('find', '/dev/zvol', '-type', 'l', '-printf', '%p\\t%l\\n'))}`.split(/\n/).filter(s=>s)
+          .map(line=>line.split(/\t/))
+          .filter(([link, target])=>posix.resolve(posix.dirname(link), target) === device)
+          .map(([link])=>link)[0] || "";
     }
+    const datasetName = zvolPath.replace(/^\/dev\/zvol\//,"");
+    if (!datasetName)
+      return {dataset: undefined};
+    const {dataset} = await this.getDatasetByName(terminal, datasetName);
+    if (!dataset || (await this.getVolumeProperties(terminal, dataset)).type !== "volume")
+      return {dataset: undefined};
+    return {dataset};
   }
 
   /**
-   * Transfer snapshot of a particular zfs dataset to the target system
-   * @param {string} srcHostDataset - specify source dataset, optionally prefixed by HOST[:PORT]
-   * @param {string} destHostPath - specify target as {hostname}:{dataset}
-   * @param {boolean} run - only actually do anything if set to true, dry-run otherwise
-   * @param {boolean} force - if true, rollback incremental snapshot source on destination if modified or discard existing dataset's contents if no snapshot exists on destination
-   * @returns {Promise<boolean>}
+   * Get the dataset type and volume specific properties of a zfs dataset on a remote or local system
+   * @param {Terminal} terminal - the terminal to use for the zfs command
+   * @param {string} dataset
+   * @returns {Promise<{type: string, volsize: string, volblocksize: string}>} volsize and volblocksize are '-' for filesystems
    */
-  async transferSnapshot(srcHostDataset, destHostPath, run, force) {
-    let bar = new ProgressBar(':bar :percent', {
-      total: 100,
-      width: 40
-    });
-
-    let {host:srcHost, port:srcPort, attr:dataset} = this.splitHostPortAttr(srcHostDataset);
+  async getVolumeProperties(terminal, dataset) {
+    const props = {};
+    `${await terminal.exec(command('zfs', 'get', '-Hp', '-o', 'property,value', 'type,volsize,volblocksize', dataset))}`
+        .split(/\n/).filter(s=>s).forEach(line=>{
+          const [property, value] = line.split(/\t/);
+          props[property] = value;
+        });
+    return {type: props.type, volsize: props.volsize, volblocksize: props.volblocksize};
+  }
 
-      let destParts = destHostPath.split(":");
-      let destHost = destParts.shift();
-      let destHostInternal = null
-      let destDataset = null;
-      if (destParts.length) {
-          let part = destParts.shift();
-          let regexInternalHostname = /\[([^)]+)\]$/;
-          ([,destHostInternal] = part.match(regexInternalHostname)||[]);
-          if (destHostInternal)
-              part = part.replace(regexInternalHostname,"");
-          if (isNaN(part))
-              destDataset = part;
-          else
-              destHost = `${destHost}:${part}`
-      }
-      if (destParts.length)
-          destDataset = destParts.shift();
-
-    const ssh = await this.openRemoteSSH(destHost);
-    let remoteDataset = null;
-    let latestCommonSnapshot = null;
+  /**
+   * Resolve the zfs datasets (filesystems or volumes) holding the disks of a libvirt domain
+   * @param {string} srcHostDomain - the domain name with optional HOST[:PORT] prefix
+   * @returns {Promise<{type: string, path: string, dataset: string}[]|null>} one entry per disk, null if a disk does not reside on a zfs dataset
+   */
+  async getDomainDisks(srcHostDomain) {
+    const {host, port} = this.splitHostPortAttr(srcHostDomain);
+    const hostPort = host ? `${host}${port ? `:${port}` : ""}` : null;
+    const sources = await this.getDiskSources(srcHostDomain);
+    const terminal = this.connect(hostPort);
+    const disks = [];
     try {
-      ({dataset:remoteDataset} = await this.getDatasetByName(ssh,destDataset || dataset));
-      latestCommonSnapshot = await this.getLatestCommonSnapshot(ssh,srcHostDataset,destDataset || dataset);
-    } catch (err) {
-      console.error("\x1b[31m%s\x1b[0m", `${(err+"").trim()}`);
-    }
-
-    if (remoteDataset)
-      this.printResult(`zfs dataset on ${destHost} found: ${remoteDataset}`,true)
-    else {
-      let parentDir = (destDataset||dataset).replace(/\/[^/]+$/,"");
-      let {dataset:remoteDatasetParent} = await this.getDatasetByName(ssh,parentDir);
-      if (remoteDatasetParent)
-        this.printResult(`zfs parent dataset on ${destHost} found: '${destDataset||dataset}' can be created`,true)
-      else
-        this.printResult(`zfs parent dataset on ${destHost} not found: '${parentDir}' does not exist`,false)
+      for (const {type, path} of sources) {
+        const {dataset} = type === "block"
+            ? await this.getDatasetByZvolPath(terminal, path)
+            : await this.getDatasetByMountPoint(terminal, path.replace(/\/[^\/]*$/g,""));
+        if (!dataset) {
+          this.reportError(`no zfs ${type === "block" ? "volume" : "dataset"} found for '${path}'`);
+          return null;
+        }
+        this.emit('dataset-resolved', {side: 'source', host: hostPort, dataset, exists: true});
+        disks.push({type, path, dataset});
+      }
+    } finally {
+      await terminal.close();
     }
-    await ssh.close();
+    return disks;
+  }
 
-    console.log(`latest common snapshot: ${latestCommonSnapshot ? `${latestCommonSnapshot}` : '- none found -'}`);
+  /**
+   * list the libvirt domains of a host (see parseDomainList in toolOutput.js)
+   * @param {string} targetHostPort - the target host specified as [USER@]HOST[:PORT]
+   * @param {boolean} showAll - include the domains that are not running
+   * @returns {Promise<{id: string, name: string, state: string}[]>}
+   */
+  async getDomains(targetHostPort, showAll=false) {
+    const hostPort = this.resolveHostPort(targetHostPort);
+    const { stdout } = await this.connect(hostPort).run(command('virsh', 'list', ...showAll ? ['--all'] : []));
+    return parseDomainList(stdout);
+  }
 
-    await new Promise(resolve=>setTimeout(()=>resolve(),1000));
+  /**
+   * resolve a host alias defined in the configuration to its ssh endpoint
+   * @param {string|null} host - a host alias or host specified as [USER@]HOST, a user given here takes precedence over the one configured for the alias
+   * @param {string|null} port - the port given explicitly, overrides the one configured for the alias
+   * @returns {{host: string|null, port: string|null}} host formatted as [USER@]HOST (see formatHostPort in spec.js)
+   */
+  resolveHost(host, port=null) {
+    const {user, host:name} = host ? parseHostPort(host) : {};
+    const entry = name && this.config.hosts[name];
+    if (!entry)
+      return {host: host || null, port: port || null};
+    const endpoint = parseHostPort(entry.host || name);
+    return {host: formatHostPort({user: user || endpoint.user, host: endpoint.host}), port: port || (entry.port ? `${entry.port}` : null)};
+  }
 
-    if (run) {
-      let srcHostPort = `${srcHost}${srcPort ? `:${srcPort}` : ""}`
-      let terminal = srcHost ? await this.openRemoteSSH(srcHostPort) : shell;
-      await terminal.exec(`zfs snapshot ${dataset}@$(date +%Y%m%d-%H%M%S)`, { silent: true });
-      const localLatest = await this.getLatestSnapshot(terminal,dataset);
-      if (srcHost)
-        await terminal.close();
+  /**
+   * resolve a host specified as [USER@]HOST[:PORT] whose host may be an alias defined in the configuration
+   * @param {string|null} hostPort
+   * @returns {string|null} the ssh endpoint formatted as [USER@]HOST[:PORT], null for the local system
+   */
+  resolveHostPort(hostPort) {
+    if (!hostPort)
+      return null;
+    const {user, host, port} = parseHostPort(hostPort);
+    const resolved = this.resolveHost(formatHostPort({user, host}), port);
+    return `${resolved.host}${resolved.port ? `:${resolved.port}` : ""}`;
+  }
 
-      const cmdIncremental = latestCommonSnapshot ? `-i ${dataset}@${latestCommonSnapshot}` : "";
-      const cmdForce = (force) ? '-F' : "";
-      const sendCmd = `zfs`;
-      const sendOpts = ['send', '-v', cmdIncremental, localLatest];
-      const recvCmd = 'ssh';
-      const [destHostName, destPort] = (destHostInternal||destHost).split(":");
-      const recvOpts = [...destPort ? ['-p', destPort] : [], destHostName, 'zfs', 'recv', destDataset || dataset, cmdForce];
+  /**
+   * Get the configuration of a host by its alias or ssh endpoint
+   * @param {string|null} hostPort - a host alias or host specified as [USER@]HOST[:PORT]
+   * @returns {{host?: string, port?: number, internal?: string, dataset?: string, send?: string[], recv?: string[]} & StreamOptions} an empty object if the host is not configured
+   */
+  getHostConfig(hostPort) {
+    if (!hostPort)
+      return {};
+    const {host:name} = parseHostPort(hostPort);
+    return this.config.hosts[name] || Object.values(this.config.hosts).find(entry => entry.host && parseHostPort(entry.host).host === name) || {};
+  }
 
-      this.printShellCmd(`${sendCmd} ${sendOpts.join(" ")} | ${recvCmd} ${recvOpts.join(" ")}`);
+  /**
+   * Get the mappings applied to the definition of a domain moved to a host: the ones configured for the host, overridden by the given ones
+   * @param {string|null} destHost - a host alias or host specified as [USER@]HOST[:PORT]
+   * @param {DomainMappings} mappings
+   * @returns {DomainMappings}
+   */
+  getDomainMappings(destHost, mappings={}) {
+    const {bridges, portgroups, pools, cpuModel} = this.getHostConfig(destHost);
+    return {
+      bridges: {...bridges, ...mappings.bridges},
+      portgroups: {...portgroups, ...mappings.portgroups},
+      pools: {...pools, ...mappings.pools},
+      cpuModel: mappings.cpuModel || cpuModel || null,
+    };
+  }
 
-      const ssh = srcHost ? await this.openRemoteSSH(srcHostPort) : null;
+  /**
+   * apply the profile of a domain defined in the configuration to the source and destination arguments
+   * The profile provides the source host if the domain is given without host, the destination if none is given and the destination dataset if the
+   * destination does not specify one.
+   * @param {string} srcHostDomain - the domain name with optional HOST[:PORT] prefix
+   * @param {string|null} destHostPath - specify target as {hostname}:{port}({internal_hostname}):{dataset}
+   * @param {boolean} requireDestination - throw if there is neither a destination argument nor a profile providing one
+   * @returns {{srcHostDomain: string, destHostPath: string|null}}
+   */
+  applyDomainProfile(srcHostDomain, destHostPath, requireDestination=true) {
+    const {host, attr:domain} = this.splitHostPortAttr(srcHostDomain);
+    const profile = this.config.domains[domain] || {};
+    if (!host && profile.host)
+      srcHostDomain = `${profile.host}:${domain}`;
+    if (!destHostPath && requireDestination)
+      destHostPath = profile.dest || null;
+    if (destHostPath && profile.dataset && !this.splitDestHostPath(destHostPath, false).destDataset)
+      destHostPath = `${destHostPath}:${profile.dataset}`;
+    if (!destHostPath && requireDestination)
+      throw new Error(`no destination given for domain ${domain} and none configured`);
+    return {srcHostDomain, destHostPath};
+  }
 
-      const sendRecv = await (ssh ? ssh.spawn : spawn).call(this,`${sendCmd} ${sendOpts.join(" ")} | ${recvCmd} ${recvOpts.join(" ")}`,[],{shell:true})
+  /**
+   * split a source argument specified as [[USER@]HOST[:PORT]:]ATTR (see parseSource in spec.js)
+   * Host aliases defined in the configuration are resolved. The attribute has to be validated by the caller as its type depends on the argument.
+   * @param hostPortAttr
+   * @returns {{port: string, host: string, attr: string}} host formatted as [USER@]HOST, null for the local system
+   */
+  splitHostPortAttr(hostPortAttr) {
+    const {host, port, attr} = parseSource(hostPortAttr);
+    return {...this.resolveHost(host, port), attr};
+  }
 
-      let totalSize = Infinity;
-      let transferredBytes = 0;
-      let hasErrors = false;
-      try {
-        //send.stdout.pipe(recv.stdin);
-        await new Promise((resolve, reject)=>{
-          let errors = [];
-          sendRecv.stderr.on('data', (data) => {
-            const totalMatch = `${data}`.match(/total estimated size is (\d+(\.\d+)?[KMGT]?i?B?)/);
-            if (totalMatch) {
-              let totalSizeHuman = totalMatch[1];
-              if (!totalSizeHuman.match(/B$/i))
-                totalSizeHuman+="B";
-              totalSize = bytes.parse(totalSizeHuman);
-              console.log(`transferring ${totalSizeHuman}`)
-            }
-            else {
-              const out = data.toString().trim();
-              const lines = out.split('\n');
-              for(const line of lines) {
-                let [,transferred] = line.split(/\s+/);
-                if (transferred) {
-                  if (!transferred.match(/B$/i))
-                    transferred+="B";
-                  transferredBytes = bytes.parse(transferred);
-                }
-                if (transferredBytes)
-                  bar.update(transferredBytes/totalSize);
-                else
-                  errors.push(line)
-              }
-            }
-          });
-          sendRecv.on('close', (code) => {
-            if (code === 0) {
-              bar.update(1);
+  /**
+   * split a destination argument specified as [USER@]HOST[(INTERNAL_HOST)][:PORT][:DATASET] (see parseDestination in spec.js)
+   * Host aliases defined in the configuration are resolved, the port, internal host and dataset default to the ones configured for the alias. A leading
+   * slash of the dataset is ignored, a trailing one marks it as parent of the transferred datasets (see getDestDataset).
+   * @param {string} destHostPath
+   * @param {boolean} defaults - false to leave the dataset empty if none is given, instead of defaulting to the one configured for the alias
+   * @returns {{destHost: string, destHostInternal: string, destDataset: string}} destHost formatted as [USER@]HOST[:PORT]
+   */
+  splitDestHostPath(destHostPath, defaults=true) {
+    const {host, port, internal, dataset} = parseDestination(destHostPath);
+    const entry = this.getHostConfig(host);
+    const resolved = this.resolveHost(host, port);
+    let destDataset = dataset;
+    if (!destDataset && defaults && entry.dataset)
+      destDataset = `${entry.dataset.replace(/^\/|\/$/g,"")}/`;
+    return {
+      destHost: `${resolved.host}${resolved.port ? `:${resolved.port}` : ""}`,
+      destHostInternal: internal || entry.internal || null,
+      destDataset,
+    };
+  }
 
-              resolve();
-            } else {
-              reject(errors);
-            }
-          });
-          /* listener needs to be attached on stdout, otherwise the process keeps hanging */
-          sendRecv.stdout.on('data', (data) => {});
-        });
-      } catch (errors) {
-        sendRecv.stdout.destroy();
-        hasErrors = true;
-        console.error("\x1b[31m%s\x1b[0m", `${errors.filter(e=>!e.match(/^TIME\s+SENT\s+SNAPSHOT/)).join("\n")}`);
-      }
-      if (ssh)
-        ssh.close();
-      if (!hasErrors) {
-        console.log("\x1b[1m\x1b[32m%s\x1b[0m", `✔ transfer successful`);
-        return true;
-      }
-      else
-        console.log("\x1b[1m\x1b[31m%s\x1b[0m", "✖ transfer failed");
+  /**
+   * Atomically create a snapshot with the same name on all given datasets
+   * The name is the prefix followed by the current time (see getSnapshotDate in retention.js). If one of the datasets already has a snapshot of the
+   * same second (e.g. of a previous pre-copy pass), a sequence number is appended, e.g. 20240101-120000-1.
+   * @param {string|null} srcHostPort - the source host specified as HOST[:PORT], null for the local system
+   * @param {string[]} datasets
+   * @returns {Promise<string>} the snapshot name
+   */
+  async createSnapshots(srcHostPort, datasets) {
+    const now = new Date();
+    const pad = n => `${n}`.padStart(2,"0");
+    const name = `${this.snapshotPrefix}${now.getFullYear()}${pad(now.getMonth()+1)}${pad(now.getDate())}-${pad(now.getHours())}${pad(now.getMinutes())}${pad(now.getSeconds())}`;
+    const terminal = this.connect(srcHostPort);
+    let snapshot = name;
+    try {
+      const existing = new Set();
+      for (const dataset of datasets)
+        (await this.getSnapshots(terminal, validateDatasetName(dataset))).forEach(item=>existing.add(item.split("@")[1]));
+      for (let sequence = 1; existing.has(snapshot); sequence++)
+        snapshot = `${name}-${sequence}`;
+      await terminal.exec(command('zfs', 'snapshot', ...datasets.map(dataset=>`${validateDatasetName(dataset)}@${snapshot}`)));
+    } finally {
+      await terminal.close();
     }
-    else
-      return true;
-    return false;
+    return snapshot;
   }
 
   /**
-   * Transfer snapshot of a particular zfs dataset - specified by the path to a file in it - to the target system
-   * @param {string} srcHostPath - specify source file path, optionally prefixed by HOST[:PORT]
-   * @param {string} destHostPath - specify target as {hostname}:{dataset}
+   * Transfer a consistent set of snapshots of several zfs datasets to the target system
+   * If more than one dataset is transferred and a destination dataset is given, it is used as the parent of the transferred datasets.
+   * @param {string|null} srcHostPort - the source host specified as HOST[:PORT], null for the local system
+   * @param {string[]} datasets - the source datasets
+   * @param {string} destHostPath - specify target as {hostname}:{port}({internal_hostname}):{dataset}
    * @param {boolean} run - only actually do anything if set to true, dry-run otherwise
    * @param {boolean} force - if true, rollback incremental snapshot source on destination if modified or discard existing dataset's contents if no snapshot exists on destination
-   * @returns {Promise<boolean>}
+   * @param {{keep?: RetentionPolicies, snapshot?: string, stream?: StreamOptions, root?: string}} options - prune snapshots according to the given retention policies after a successful transfer, transfer an existing snapshot instead of creating a new one, options of the replication stream (see stream.js),
+   *   the root of the tree the datasets are part of (see getDestDataset)
+   * @returns {Promise<TransferResult>}
    */
-  async transferSnapshotByFilePath(srcHostPath, destHostPath, run, force) {
-    if (!srcHostPath) return false;
+  async transferDatasets(srcHostPort, datasets, destHostPath, run, force, options={}) {
+    const {destDataset} = this.splitDestHostPath(destHostPath);
+    const collision = this.getDestDatasetCollision(datasets, destDataset, options.root);
+    if (collision)
+      return this.failure(collision);
+    let snapshot = null;
+    if (run) {
+      try {
+        snapshot = options.snapshot || await this.createSnapshots(srcHostPort, datasets);
+      } catch (err) {
+        return this.failure(`failed to create snapshot of ${datasets.join(", ")}: ${(err+"").trim()}`);
+      }
+    }
+    const result = {success: true, snapshot, transfers: [], error: null};
+    for (const dataset of datasets) {
+      const transfer = await this.transferSnapshot(`${srcHostPort ? `${srcHostPort}:` : ""}${dataset}`, destHostPath, run, force, {
+        snapshot,
+        destDataset: this.getDestDataset(dataset, destDataset, datasets.length, options.root),
+        stream: options.stream,
+      });
+      result.transfers.push(transfer);
+      if (!transfer.success)
+        return {...result, success: false, error: transfer.error};
+    }
+    if (options.keep && run) {
+      const prune = await this.pruneDatasets(srcHostPort, datasets, destHostPath, options.keep, run, options.root);
+      result.pruned = prune.results;
+      if (!prune.success)
+        return {...result, success: false, error: prune.error};
+    }
+    return result;
+  }
 
-    const {host:srcHost, port:srcPort, attr:path} = this.splitHostPortAttr(srcHostPath);
-    const srcHostPort = srcHost ? `${srcHost}${srcPort ? `:${srcPort}` : ""}` : null;
-    const terminal = srcHost ? await this.openRemoteSSH(srcHostPort) : shell;
-    const mountPoint = path.replace(/\/[^\/]*$/g,"");
-    const {dataset} = await this.getDatasetByMountPoint(terminal,mountPoint);
-    if (srcHost)
+  /**
+   * Destroy the snapshots created by zfsdom of a dataset on a remote or local system according to a retention policy
+   * @param {string|null} hostPort - the host specified as HOST[:PORT], null for the local system
+   * @param {string} dataset
+   * @param {Object} policy - as returned by parseRetentionPolicy (see retention.js)
+   * @param {string[]} keep - snapshots that must not be destroyed
+   * @param {boolean} run - only actually do anything if set to true, dry-run otherwise
+   * @returns {Promise<{host: string|null, dataset: string, kept: string[], destroyed: string[]}>}
+   */
+  async pruneSnapshots(hostPort, dataset, policy, keep, run) {
+    const terminal = this.connect(hostPort);
+    try {
+      const snapshots = (await this.getSnapshots(terminal, dataset))
+          .filter(item=>item.startsWith(`${dataset}@`))
+          .map(item=>item.split("@")[1]);
+      const destroy = selectSnapshotsToPrune(snapshots, policy, {prefix: this.snapshotPrefix, keep});
+      if (destroy.length) {
+        const cmd = command('zfs', 'destroy', `${dataset}@${destroy.join(",")}`);
+        this.printShellCmd(`${hostPort ? `${hostPort}: ` : ""}${cmd}`);
+        if (run)
+          await terminal.exec(cmd);
+      }
+      this.printResult(`${destroy.length} snapshot${destroy.length===1 ? "" : "s"} of ${dataset}${hostPort ? ` on ${hostPort}` : ""} ${run ? "destroyed" : "to be destroyed"}`, true);
+      return {host: hostPort, dataset, kept: snapshots.filter(snapshot=>!destroy.includes(snapshot)), destroyed: run ? destroy : []};
+    } finally {
       await terminal.close();
+    }
+  }
 
-    if (dataset) {
-      const srcHostDataset = `${srcHostPort ? `${srcHostPort}:` : ""}${dataset}`;
-      this.printResult(`${!srcHostPort ? "local " : ""}zfs dataset ${srcHostPort ? `on ${srcHostPort} ` : ""}found: ${dataset}`,true)
-      return this.transferSnapshot(srcHostDataset, destHostPath, run, force)
-    } else {
-      this.printResult(`no zfs dataset found for '${path}'`,false)
+  /**
+   * Prune the snapshots created by zfsdom of several datasets on the source system and their copies on the target system
+   * The latest common snapshot of each dataset pair is always kept.
+   * @param {string|null} srcHostPort - the source host specified as HOST[:PORT], null for the local system
+   * @param {string[]} datasets - the source datasets
+   * @param {string|null} destHostPath - specify target as {hostname}:{port}:{dataset}, null to prune the source only
+   * @param {RetentionPolicies} policies
+   * @param {boolean} run - only actually do anything if set to true, dry-run otherwise
+   * @param {string|null} root - the root of the tree the datasets are part of (see getDestDataset)
+   * @returns {Promise<{success: boolean, results: {commonSnapshot: string|null, source: Object|null, destination: Object|null}[], error: string|null}>}
+   */
+  async pruneDatasets(srcHostPort, datasets, destHostPath, policies, run, root=null) {
+    const {destHost, destDataset} = destHostPath ? this.splitDestHostPath(destHostPath) : {};
+    const results = [];
+    try {
+      for (const dataset of datasets) {
+        const target = this.getDestDataset(dataset, destDataset, datasets.length, root);
+        let commonSnapshot = null;
+        if (destHost) {
+          const ssh = this.connect(destHost);
+          try {
+            commonSnapshot = await this.getLatestCommonSnapshot(ssh, `${srcHostPort ? `${srcHostPort}:` : ""}${dataset}`, target);
+          } finally {
+            await ssh.close();
+          }
+          this.emit('common-snapshot', {dataset, destDataset: target, snapshot: commonSnapshot});
+        }
+        const keep = commonSnapshot ? [commonSnapshot] : [];
+        results.push({
+          commonSnapshot,
+          source: policies.source ? await this.pruneSnapshots(srcHostPort, dataset, policies.source, keep, run) : null,
+          destination: destHost && policies.destination ? await this.pruneSnapshots(destHost, target, policies.destination, keep, run) : null,
+        });
+      }
+    } catch (err) {
+      const error = `${(err+"").trim()}`;
+      this.reportError(error);
+      return {success: false, results, error};
     }
-    return false;
+    return {success: true, results, error: null};
   }
 
   /**
-   * Transfer snapshot of a particular zfs dataset to the target system
-   * @param {string} srcHostDatasetName - specify source file path
-   * @param {string} destHostPath - specify target as {hostname}:{dataset}
+   * Prune the snapshots created by zfsdom of a particular zfs dataset and its copy on the target system
+   * @param {string} srcHostDatasetName - specify source dataset, optionally prefixed by HOST[:PORT]
+   * @param {string|null} destHostPath - specify target as {hostname}:{port}:{dataset}, null to prune the source only
+   * @param {RetentionPolicies} policies
    * @param {boolean} run - only actually do anything if set to true, dry-run otherwise
-   * @param {boolean} force - if true, rollback incremental snapshot source on destination if modified or discard existing dataset's contents if no snapshot exists on destination
-   * @returns {Promise<boolean>}
+   * @returns {Promise<{success: boolean, results: Object[], error: string|null}>}
    */
-  async transferSnapshotByDataset(srcHostDatasetName, destHostPath, run, force) {
+  async pruneSnapshotsByDataset(srcHostDatasetName, destHostPath, policies, run) {
     const {host:srcHost, port:srcPort, attr:datasetName} = this.splitHostPortAttr(srcHostDatasetName);
     const srcHostPort = srcHost ? `${srcHost}${srcPort ? `:${srcPort}` : ""}` : null;
-    const terminal = srcHost ? await this.openRemoteSSH(srcHostPort) : shell;
+    const terminal = this.connect(srcHostPort);
     const {dataset} = await this.getDatasetByName(terminal,datasetName);
-    if (srcHost)
-      terminal.close();
-
-    if (dataset) {
-      this.printResult(`${!srcHostPort ? "local " : ""}zfs dataset ${srcHostPort ? `on ${srcHostPort} ` : ""}found: ${dataset}`,true)
-      return this.transferSnapshot(`${srcHostPort ? `${srcHostPort}:` : ""}${dataset}`, destHostPath, run, force)
-    } else {
-      this.printResult(`no zfs dataset found for '${srcHostDatasetName}'`,false)
+    await terminal.close();
+    if (!dataset) {
+      const error = `no zfs dataset found for '${srcHostDatasetName}'`;
+      this.reportError(error);
+      return {success: false, results: [], error};
     }
-    return false;
+    return this.pruneDatasets(srcHostPort, [dataset], destHostPath, policies, run);
   }
 
   /**
-   * Transfer snapshot of a particular zfs dataset (specified by the libvirt domain that has its disks stored on it) to the target system
-   * @param {string} srcHostDomain - specify domain name
-   * @param {string} destHostPath - specify target as {hostname}:{port}({internal_hostname}):{dataset}
+   * Prune the snapshots created by zfsdom of the zfs datasets holding the disks of a libvirt domain and their copies on the target system
+   * @param {string} srcHostDomain - specify domain name, optionally prefixed by HOST[:PORT]
+   * @param {string|null} destHostPath - specify target as {hostname}:{port}:{dataset}, null to prune the source only
+   * @param {RetentionPolicies} policies
    * @param {boolean} run - only actually do anything if set to true, dry-run otherwise
-   * @param {boolean} force - if true, rollback incremental snapshot source on destination if modified or discard existing dataset's contents if no snapshot exists on destination
-   * @returns {Promise<boolean>}
+   * @returns {Promise<{success: boolean, results: Object[], error: string|null}>}
    */
-  async transferDomainSnapshot(srcHostDomain, destHostPath, run, force) {
+  async pruneDomainSnapshots(srcHostDomain, destHostPath, policies, run) {
+    ({srcHostDomain, destHostPath} = this.applyDomainProfile(srcHostDomain, destHostPath, false));
     const {host:srcHost, port:srcPort, attr:domain} = this.splitHostPortAttr(srcHostDomain);
     const srcHostPort = srcHost ? `${srcHost}${srcPort ? `:${srcPort}` : ""}` : null;
-    let path = await this.getDiskPath(srcHostDomain);
-    if (!path) {
-      this.printResult(`no disk path found for '${srcHostDomain}' (does the domain ${domain} exist on ${srcHostPort}?)`,false)
-      return false;
+    const disks = await this.getDomainDisks(srcHostDomain);
+    if (!disks || !disks.length) {
+      const error = `no zfs backed disks found for domain ${domain}`;
+      this.reportError(error);
+      return {success: false, results: [], error};
     }
-    return await this.transferSnapshotByFilePath(`${srcHostPort ? `${srcHostPort}:` : ""}${path}`, destHostPath, run, force);
+    return this.pruneDatasets(srcHostPort, [...new Set(disks.map(disk=>disk.dataset))], destHostPath, policies, run);
   }
 
   /**
-   * Migrate libvirt domain to target hypervisor by incrementally transferring zfs snapshots and doing live (suspended) migration in-between
-   * @param {string} domain - specify domain name
-   * @param {string} destHostPath - specify target as {hostname}:{port}({internal_hostname}):{dataset}
+   * Derive the destination dataset name for a source dataset
+   * The destination dataset is used as parent if several datasets are transferred together or if it ends with a slash. The datasets of a tree keep
+   * their path relative to the root, which is mapped like a single dataset.
+   * @param {string} dataset - the source dataset
+   * @param {string|null} destDataset - the destination dataset given by the user, if any
+   * @param {number} count - number of datasets transferred together
+   * @param {string|null} root - the root of the tree the dataset is part of
+   * @returns {string}
+   */
+  getDestDataset(dataset, destDataset, count=1, root=null) {
+    if (root)
+      return `${this.getDestDataset(root, destDataset)}${dataset.slice(root.length)}`;
+    if (!destDataset)
+      return dataset;
+    return count>1 || destDataset.endsWith("/") ? `${destDataset.replace(/\/$/,"")}/${dataset.replace(/^.*\//,"")}` : destDataset;
+  }
+
+  /**
+   * Find source datasets that would be transferred to the same destination dataset
+   * Datasets transferred into a parent only keep their last name, e.g. tank/vms/web1 and ssd/web1 both become data/vms/web1 for data/vms/.
+   * @param {string[]} datasets - the source datasets transferred together
+   * @param {string|null} destDataset - the destination dataset given by the user, if any
+   * @param {string|null} root - the root of the tree the datasets are part of
+   * @returns {string|null} an error naming the colliding datasets, null if every dataset has a destination of its own
+   */
+  getDestDatasetCollision(datasets, destDataset, root=null) {
+    const targets = datasets.map(dataset=>this.getDestDataset(dataset, destDataset, datasets.length, root));
+    const duplicate = targets.find((target, i)=>targets.indexOf(target) !== i);
+    if (!duplicate)
+      return null;
+    return `the datasets ${datasets.filter((dataset, i)=>targets[i] === duplicate).join(", ")} would all be transferred to ${duplicate}, give them distinct names or transfer them separately`;
+  }
+
+  /**
+   * Transfer snapshot of a particular zfs dataset to the target system
+   * @param {string} srcHostDataset - specify source dataset, optionally prefixed by HOST[:PORT]
+   * @param {string} destHostPath - specify target as {hostname}:{dataset}
    * @param {boolean} run - only actually do anything if set to true, dry-run otherwise
    * @param {boolean} force - if true, rollback incremental snapshot source on destination if modified or discard existing dataset's contents if no snapshot exists on destination
-   * @returns {Promise<boolean>}
+   * @param {{snapshot?: string, destDataset?: string, stream?: StreamOptions}} options - send the existing snapshot instead of creating a new one, override the destination dataset,
+   *   options of the replication stream taking precedence over the ones configured for the source and destination host
+   * @returns {Promise<DatasetTransferResult>}
    */
-  async migrateDomain(srcHostDomain, destHostPath, run, force) {
-    let destParts = destHostPath.split(":");
-    let destHost = destParts.shift();
-    let destHostInternal = null
-    let destPath = null;
-    if (destParts.length) {
-      let part = destParts.shift();
-      let regexInternalHostname = /\[([^)]+)\]$/;
-      ([,destHostInternal] = part.match(regexInternalHostname)||[]);
-      if (destHostInternal)
-        part = part.replace(regexInternalHostname,"");
-      if (isNaN(part))
-        destPath = part;
-      else
-        destHost = `${destHost}:${part}`
-    }
-    if (destParts.length)
-      destPath = destParts.shift();
-
-    const destHostPathInternal = destHostInternal ? `${destHostInternal||destHost}${destPath ? `:${destPath}` : ""}` : null;
+  async transferSnapshot(srcHostDataset, destHostPath, run, force, options={}) {
+    let {host:srcHost, port:srcPort, attr:dataset} = this.splitHostPortAttr(srcHostDataset);
+    validateDatasetName(dataset);
 
-    const {host:srcHost, port:srcPort, attr:domain} = this.splitHostPortAttr(srcHostDomain);
+    let {destHost, destHostInternal, destDataset} = this.splitDestHostPath(destHostPath);
+    destDataset = options.destDataset ? validateDatasetName(options.destDataset) : this.getDestDataset(dataset, destDataset);
+    if (options.snapshot)
+      validateSnapshotName(options.snapshot);
     const srcHostPort = srcHost ? `${srcHost}${srcPort ? `:${srcPort}` : ""}` : null;
+    const stream = validateStreamOptions(mergeStreamOptions(this.getHostConfig(srcHostPort), this.getHostConfig(destHost), options.stream));
 
-    let { stdout:isRunning } = await execAsync(`${srcHost ? `ssh ${srcHost}${srcPort ? ` -p ${srcPort}` : ""} ` : ""}virsh list --name | grep -x "\\b${domain}\\b"`);
-    isRunning = isRunning.trim();
+    const result = {
+      success: false,
+      dryRun: !run,
+      source: {host: srcHostPort, dataset},
+      destination: {host: destHost, dataset: destDataset || dataset, exists: false},
+      commonSnapshot: null,
+      snapshot: null,
+      resumed: false,
+      bytes: 0,
+      duration: null,
+      error: null,
+    };
 
-    if (!isRunning) {
-      console.error(`domain ${domain} is not running, aborting`);
-      return false;
+    /* the source and the destination are inspected before anything is sent, a failure (e.g. an unreachable host) fails the transfer */
+    const ssh = this.connect(destHost);
+    let remoteDataset = null;
+    let latestCommonSnapshot = null;
+    let resumeToken = null;
+    let srcVolume;
+    try {
+      resumeToken = await this.getResumeToken(ssh,destDataset || dataset);
+      ({dataset:remoteDataset} = await this.getDatasetByName(ssh,destDataset || dataset));
+      latestCommonSnapshot = await this.getLatestCommonSnapshot(ssh,srcHostDataset,destDataset || dataset);
+      result.destination.exists = !!remoteDataset;
+      result.commonSnapshot = latestCommonSnapshot;
+      this.emit('dataset-resolved', {side: 'destination', host: destHost, dataset: destDataset || dataset, exists: !!remoteDataset});
+
+      if (remoteDataset)
+        this.printResult(`zfs dataset on ${destHost} found: ${remoteDataset}`,true)
+      else {
+        let parentDir = (destDataset||dataset).replace(/\/[^/]+$/,"");
+        let {dataset:remoteDatasetParent} = await this.getDatasetByName(ssh,parentDir);
+        if (remoteDatasetParent)
+          this.printResult(`zfs parent dataset on ${destHost} found: '${destDataset||dataset}' can be created`,true)
+        else
+          this.printResult(`zfs parent dataset on ${destHost} not found: '${parentDir}' does not exist`,false)
+      }
+
+      const srcTerminal = this.connect(result.source.host);
+      try {
+        srcVolume = await this.getVolumeProperties(srcTerminal, dataset);
+      } finally {
+        await srcTerminal.close();
+      }
+      if (srcVolume.type === "volume" && remoteDataset) {
+        const destVolume = await this.getVolumeProperties(ssh, remoteDataset);
+        if (destVolume.volblocksize !== srcVolume.volblocksize) {
+          result.error = `zfs volume on ${destHost} has volblocksize ${destVolume.volblocksize}, source has ${srcVolume.volblocksize}: cannot receive into '${remoteDataset}'`;
+          this.reportError(result.error);
+          return result;
+        }
+      }
+    } catch (err) {
+      result.error = `${(err+"").trim()}`;
+      this.reportError(result.error);
+      return result;
+    } finally {
+      await ssh.close();
     }
 
-    const path = await this.getDiskPath(srcHostDomain);
-    const transferSuccess = await this.transferSnapshotByFilePath(`${srcHostPort ? `${srcHostPort}:` : ""}${path}`, destHostPath, run, force);
+    this.emit('common-snapshot', {dataset, destDataset: destDataset || dataset, snapshot: latestCommonSnapshot});
+    if (resumeToken)
+      this.printResult(`interrupted transfer to ${destDataset || dataset} on ${destHost} found: it will be resumed`,true);
 
-    const terminal = srcHost ? await this.openRemoteSSH(srcHostPort) : shell;
-    const [uid,gid] = (await terminal.exec(`stat -c '%u %g' ${path}`)).split(/\s+/);
-    const fileUser = (await terminal.exec(`id -nu ${uid}`,{silent:true})).trim();
-    const fileGroup = (await terminal.exec(`id -ng ${gid}`,{silent:true})).trim();
+    if (run) {
+      /* additional zfs send/recv arguments configured for the hosts, a resumed stream is defined by its token */
+      const {send:hostSendOpts = []} = this.getHostConfig(srcHostPort);
+      const {recv:hostRecvOpts = []} = this.getHostConfig(destHost);
+      const recvOpts = [...hostRecvOpts, ...getRecvFlags(stream)];
+      const startTime = Date.now();
 
-    if (!transferSuccess) {
-      console.error("\x1b[1m\x1b[31m%s\x1b[0m", `snapshot transfer failed, aborting`);
-      if (srcHost)
-        terminal.close();
-      return false;
+      if (resumeToken) {
+        this.emit('transfer-start', {dataset, destHost, destDataset: destDataset || dataset, snapshot: null, commonSnapshot: latestCommonSnapshot, resumeToken});
+        const resumed = await this.sendStream(srcHostPort, ['-t', resumeToken], destHost, destDataset || dataset, force, dataset, recvOpts, stream, destHostInternal);
+        result.bytes += resumed.bytes;
+        if (resumed.success) {
+          result.resumed = true;
+          this.printActionResult("resumed transfer", true);
+          const ssh = this.connect(destHost);
+          try {
+            latestCommonSnapshot = await this.getLatestCommonSnapshot(ssh,srcHostDataset,destDataset || dataset);
+          } finally {
+            await ssh.close();
+          }
+          result.commonSnapshot = latestCommonSnapshot;
+          this.emit('common-snapshot', {dataset, destDataset: destDataset || dataset, snapshot: latestCommonSnapshot});
+        } else if (force) {
+          this.reportError(`resumed transfer failed, discarding partially received state of ${destDataset || dataset}`);
+          if (!await this.abortResumableReceive(destHost, destDataset || dataset)) {
+            result.error = `failed to discard partially received state of ${destDataset || dataset} on ${destHost}`;
+            return result;
+          }
+        } else {
+          result.error = `resumed transfer failed, use --force to discard the partially received state: ${resumed.error}`;
+          this.reportError(result.error);
+          return result;
+        }
+      }
+
+      const localLatest = `${dataset}@${options.snapshot || await this.createSnapshots(srcHostPort, [dataset])}`;
+      result.snapshot = localLatest.replace(/^.*@/,"");
+
+      let hasErrors = false;
+      if (result.snapshot !== latestCommonSnapshot) {
+        const sendOpts = [...hostSendOpts, ...getSendFlags(stream), ...latestCommonSnapshot ? ['-i', `${dataset}@${latestCommonSnapshot}`] : [], localLatest];
+        this.emit('transfer-start', {dataset, destHost, destDataset: destDataset || dataset, snapshot: result.snapshot, commonSnapshot: latestCommonSnapshot});
+        const transfer = await this.sendStream(srcHostPort, sendOpts, destHost, destDataset || dataset, force, dataset, recvOpts, stream, destHostInternal);
+        result.bytes += transfer.bytes;
+        hasErrors = !transfer.success;
+        result.error = transfer.error;
+      }
+      if (!hasErrors && srcVolume.type === "volume") {
+        hasErrors = !await this.syncVolumeSize(destHost, destDataset || dataset, srcVolume.volsize);
+        if (hasErrors)
+          result.error = `failed to set volsize on ${destHost}`;
+      }
+      result.duration = Date.now() - startTime;
+      result.success = !hasErrors;
+      this.emit('transfer-end', {dataset, destHost, destDataset: destDataset || dataset, success: result.success, bytes: result.bytes, duration: result.duration});
+      this.printActionResult("transfer", result.success);
     }
+    else
+      result.success = true;
+    return result;
+  }
 
-    if (run) {
-      let customXml;
-      if (destPath) {
-        customXml = `/tmp/snpshmgr-${domain}.xml`;
-        await terminal.exec(`virsh dumpxml ${domain} > ${customXml}`);
-        const srcPath = path.replace(/\/[^\/]*$/, '');
-        await terminal.exec(`sed -i "s?${srcPath}?/${destPath}?g" ${customXml}`);
-      }
-      await terminal.exec(`virsh autostart ${domain} --disable`);
+  /**
+   * Stream a zfs send to a resumable zfs recv on the target system and report its progress
+   * @param {string|null} srcHostPort - the source host specified as HOST[:PORT], null for the local system
+   * @param {string[]} sendOpts - the zfs send arguments following 'send -v', e.g. ['-i', 'pool/a@1', 'pool/a@2'] or ['-t', token]
+   * @param {string} recvHost - the host to receive on specified as HOST[:PORT]
+   * @param {string} recvDataset - the dataset to receive into
+   * @param {boolean} force - rollback the destination to the latest snapshot (zfs recv -F)
+   * @param {string} dataset - the source dataset progress events are reported for
+   * @param {string[]} recvOpts - additional zfs recv arguments, e.g. ['-o', 'compression=lz4']
+   * @param {StreamOptions} stream - the filters (bandwidth limit, compression) and the tcp connection the stream is sent over (see stream.js)
+   * @param {string|null} internalHost - the (internal) address of the receiving host the stream is sent to, instead of the address of recvHost
+   * @returns {Promise<{success: boolean, bytes: number, error: string|null}>}
+   */
+  async sendStream(srcHostPort, sendOpts, recvHost, recvDataset, force, dataset, recvOpts=[], stream={}, internalHost=null) {
+    const pipe = (commands) => commands.map(args => command(...args));
+    const filters = getStreamFilters(stream);
+    /* with a tcp stream, ssh to recvHost is only used to start the receiving side, the source connects to its (internal) address directly */
+    let tcp = null;
+    if (stream.tcp) {
       try {
-        await new Promise(async (resolve, reject) => {
-          const args = [
-            'migrate',
-            '--live',
-            '--suspend',
-            '--persistent',
-            '--verbose',
-            '--unsafe',
-            ...(
-                destPath ? [
-                  '--persistent-xml',
-                  customXml,
-                  '--xml',
-                  customXml
-                ] : []
-            ),
-            domain,
-            `qemu+ssh://${destHostInternal||destHost}/system`
-          ];
-          const virsh = await (srcHost ? terminal.spawn : spawn).call(this,'virsh', args, {shell:true});
-          virsh.stdout.on('data', (data) => {
-            process.stdout.write(data);
-          });
-          virsh.stderr.on('data', (data) => {
-            process.stderr.write(data);
-          });
-          virsh.on('error', (error) => {
-            reject(error);
-          });
-          virsh.on('exit', (code) => {
-            if (code === 0) {
-              resolve();
-            } else {
-              reject(new Error(`virsh process exited with code ${code}`));
-            }
-          });
-        });
-      } catch (error) {
-        console.error('An error occurred:', error);
+        tcp = getTcpPipes(stream, internalHost || parseHostPort(recvHost).host, await this.reserveTcpPort(recvHost, getTcpPort(stream)));
+      } catch (err) {
+        const error = `${(err+"").trim()}`;
+        this.reportError(error);
+        return {success: false, bytes: 0, error};
       }
+    }
+    const recvCmd = [
+      ...pipe(tcp ? tcp.listen : []),
+      ...pipe(filters.recv),
+      command('zfs', 'recv', '-s', ...force ? ['-F'] : [], ...recvOpts, recvDataset),
+    ].join(" | ");
+    const sendCmd = command('zfs', 'send', '-v', ...sendOpts);
+    /* on a remote source only zfs send is privileged, the ssh to the destination is run by the ssh user */
+    const cmd = [
+      srcHostPort ? this.transport.sudo(sendCmd) : sendCmd,
+      ...pipe(filters.send),
+      ...tcp ? pipe(tcp.connect) : [this.transport.sshCommand(internalHost || recvHost, recvCmd, !srcHostPort)],
+    ].join(" | ");
 
-      await this.transferSnapshotByFilePath(`${srcHostPort ? `${srcHostPort}:` : ""}${path}`, destHostPath, run, true);
-
-      const ssh = await this.openRemoteSSH(destHost);
+    let listener = null;
+    if (tcp) {
+      this.printShellCmd(`${recvHost}: ${recvCmd}`);
       try {
-        await ssh.exec(`chown ${fileUser} $(virsh dumpxml "${domain}" | grep "source file" | grep -o "'[^']*'" | sed "s/^'//g" | sed "s/'$//g" | head -1)`);
+        listener = await this.startTcpListener(recvHost, recvCmd, tcp.port);
       } catch (err) {
-        console.error("\x1b[31m%s\x1b[0m", `${(err+"").trim()}`);
-      } finally {
-        await ssh.close();
+        this.releaseTcpPort(recvHost, tcp.port);
+        const error = `${(err+"").trim()}`;
+        this.reportError(error);
+        return {success: false, bytes: 0, error};
       }
+      listener.done.then(() => this.releaseTcpPort(recvHost, tcp.port));
+    }
+    this.printShellCmd(cmd);
+
+    const terminal = this.connect(srcHostPort);
 
-      let {code:resumeDomainResult} = await execAsync(`${srcHost ? `ssh ${srcHost}${srcPort ? ` -p ${srcPort}` : ""} ` : ""}virsh -c qemu+ssh://${destHostInternal||destHost}/system resume ${domain}`);
-      await execAsync(`${srcHost ? `ssh ${srcHost}${srcPort ? ` -p ${srcPort}` : ""} ` : ""}virsh -c qemu+ssh://${destHostInternal||destHost}/system autostart ${domain}`);
-      this.printActionResult("domain migration",resumeDomainResult===0)
+    const sendRecv = terminal.spawn(cmd, false);
 
+    let totalSize = null;
+    let transferredBytes = 0;
+    let error = null;
+    try {
+      //send.stdout.pipe(recv.stdin);
+      await new Promise((resolve, reject)=>{
+        let errors = [];
+        sendRecv.stderr.on('data', (data) => {
+          for (const line of `${data}`.split('\n').filter(line => line.trim())) {
+            const progress = parseSendProgress(line);
+            if (!progress)
+              errors.push(line);
+            else if (progress.type === 'total') {
+              totalSize = progress.bytes;
+              this.emit('transfer-progress', {dataset, bytes: 0, total: totalSize});
+            } else if (progress.type === 'progress') {
+              transferredBytes = progress.bytes;
+              this.emit('transfer-progress', {dataset, bytes: transferredBytes, total: totalSize});
+            }
+          }
+        });
+        sendRecv.on('close', (code) => {
+          if (code === 0) {
+            if (totalSize)
+              transferredBytes = Math.max(transferredBytes, totalSize);
+            this.emit('transfer-progress', {dataset, bytes: transferredBytes, total: totalSize || transferredBytes});
+            resolve();
+          } else {
+            reject(errors);
+          }
+        });
+        /* listener needs to be attached on stdout, otherwise the process keeps hanging */
+        sendRecv.stdout.on('data', (data) => {});
+      });
+    } catch (errors) {
+      sendRecv.stdout.destroy();
+      error = errors.join("\n");
+      this.reportError(error);
+    }
+    if (listener) {
+      if (error)
+        listener.child.kill();
+      const {code, stderr} = await listener.done;
+      if (code !== 0 && !error) {
+        error = stderr.trim() || `receiving side on ${recvHost} exited with code ${code}`;
+        this.reportError(error);
+      }
     }
-    if (srcHost)
-      terminal.close();
+    await terminal.close();
+    return {success: !error, bytes: transferredBytes, error};
   }
+
   /**
-   * Execute virsh operation upon libvirt domain
-   * @param {string} srcHostDomain - specify domain name
-   * @param {string} cmd - command to execute
-   * @returns {Promise<boolean>}
+   * Reserve a port for the receiving side of a tcp stream on a host
+   * The first port from the given one on that is neither listened on by the host nor reserved by another stream of this instance is taken, so
+   * concurrent streams to the same host (e.g. of evacuateHost) listen on ports of their own. It is released by releaseTcpPort.
+   * @param {string} recvHost - the host to receive on specified as HOST[:PORT]
+   * @param {number} firstPort
+   * @returns {Promise<number>}
+   * @throws {Error} if none of the next TCP_PORT_RANGE ports is free
+   */
+  async reserveTcpPort(recvHost, firstPort) {
+    if (!this.tcpPorts.has(recvHost))
+      this.tcpPorts.set(recvHost, new Set());
+    const reserved = this.tcpPorts.get(recvHost);
+    const terminal = this.connect(recvHost);
+    try {
+      for (let port = firstPort; port < firstPort + TCP_PORT_RANGE && port <= 65535; port++) {
+        if (reserved.has(port))
+          continue;
+        const listening = !!`${(await terminal.run(command('ss', '-Hltn', `sport = :${port}`))).stdout}`.trim();
+        /* another stream may have reserved the port while the host was asked */
+        if (!listening && !reserved.has(port)) {
+          reserved.add(port);
+          return port;
+        }
+      }
+    } finally {
+      await terminal.close();
+    }
+    throw new Error(`no free port from ${firstPort} to ${Math.min(firstPort + TCP_PORT_RANGE - 1, 65535)} on ${recvHost}`);
+  }
+
+  /**
+   * Release a port reserved by reserveTcpPort
+   * @param {string} recvHost - the host to receive on specified as HOST[:PORT]
+   * @param {number} port
+   */
+  releaseTcpPort(recvHost, port) {
+    this.tcpPorts.get(recvHost)?.delete(port);
+  }
+
+  /**
+   * Start the receiving side of a tcp stream (see getTcpPipes in stream.js) and wait until it accepts connections
+   * @param {string} recvHost - the host to receive on specified as HOST[:PORT]
+   * @param {string} recvCmd - the command listening on the port and receiving the stream
+   * @param {number} port
+   * @returns {Promise<{child: ChildProcess, done: Promise<{code: number, stderr: string}>}>} done resolves as soon as the receiving side exits
+   * @throws {Error} if the port is already in use or the receiving side exits before listening on it
+   */
+  async startTcpListener(recvHost, recvCmd, port) {
+    const terminal = this.connect(recvHost);
+    const isListening = async () => !!`${(await terminal.run(command('ss', '-Hltn', `sport = :${port}`))).stdout}`.trim();
+    if (await isListening())
+      throw new Error(`port ${port} is already in use on ${recvHost}`);
+
+    const child = terminal.spawn(recvCmd);
+    let stderr = "";
+    let exited = false;
+    child.stderr.on('data', (data) => stderr += data);
+    child.stdout.on('data', (data) => {});
+    const done = new Promise((resolve) => {
+      child.on('error', (err) => resolve({code: -1, stderr: `${stderr}${err.message}`}));
+      child.on('close', (code) => resolve({code, stderr}));
+    }).then((result) => {
+      exited = true;
+      return result;
+    });
+
+    for (let attempt = 0; attempt < 50 && !exited; attempt++) {
+      if (await isListening())
+        return {child, done};
+      await new Promise(resolve=>setTimeout(()=>resolve(),200));
+    }
+    child.kill();
+    const {stderr:error} = await done;
+    throw new Error(`failed to listen on port ${port} on ${recvHost}${error.trim() ? `: ${error.trim()}` : ""}`);
+  }
+
+  /**
+   * Get the token to resume an interrupted zfs recv of a dataset on a remote or local system
+   * @param {Terminal} terminal - the terminal to use for the zfs command
+   * @param {string} dataset
+   * @returns {Promise<string|null>} null if there is no partially received state
+   */
+  async getResumeToken(terminal, dataset) {
+    try {
+      const token = `${await terminal.exec(command('zfs', 'get', '-H', '-o', 'value', 'receive_resume_token', dataset))}`.trim();
+      return token && token !== "-" ? token : null;
+    } catch (err) {
+      /* the dataset does not exist (yet) */
+      return null;
+    }
+  }
+
+  /**
+   * Discard the partially received state of an interrupted zfs recv on the target system
+   * @param {string} destHost - the target host specified as HOST[:PORT]
+   * @param {string} destDataset
+   * @returns {Promise<boolean>}
+   */
+  async abortResumableReceive(destHost, destDataset) {
+    const ssh = this.connect(destHost);
+    try {
+      const cmd = command('zfs', 'recv', '-A', destDataset);
+      this.printShellCmd(cmd);
+      await ssh.exec(cmd);
+      return true;
+    } catch (err) {
+      this.reportError(`${(err+"").trim()}`);
+      return false;
+    } finally {
+      await ssh.close();
+    }
+  }
+
+  /**
+   * Grow a received zfs volume on the target system to the size of its source volume
+   * @param {string} destHost - the target host specified as HOST[:PORT]
+   * @param {string} destDataset - the received volume
+   * @param {string} volsize - the volsize of the source volume in bytes
+   * @returns {Promise<boolean>}
+   */
+  async syncVolumeSize(destHost, destDataset, volsize) {
+    const ssh = this.connect(destHost);
+    try {
+      const {volsize:destVolsize} = await this.getVolumeProperties(ssh, destDataset);
+      if (Number(destVolsize) < Number(volsize)) {
+        const cmd = command('zfs', 'set', `volsize=${volsize}`, destDataset);
+        this.printShellCmd(cmd);
+        await ssh.exec(cmd);
+      }
+      return true;
+    } catch (err) {
+      this.reportError(`failed to set volsize on ${destHost}: ${(err+"").trim()}`);
+      return false;
+    } finally {
+      await ssh.close();
+    }
+  }
+
+  /**
+   * report an error and build the result of a transfer that could not be started
+   * @param {string} message
+   * @returns {TransferResult}
+   */
+  failure(message) {
+    this.reportError(message);
+    return {success: false, snapshot: null, transfers: [], error: message};
+  }
+
+  /**
+   * Transfer snapshot of a particular zfs dataset - specified by the path to a file in it - to the target system
+   * @param {string} srcHostPath - specify source file path, optionally prefixed by HOST[:PORT]
+   * @param {string} destHostPath - specify target as {hostname}:{dataset}
+   * @param {boolean} run - only actually do anything if set to true, dry-run otherwise
+   * @param {boolean} force - if true, rollback incremental snapshot source on destination if modified or discard existing dataset's contents if no snapshot exists on destination
+   * @param {{keep?: RetentionPolicies, stream?: StreamOptions}} options - prune snapshots according to the given retention policies after a successful transfer, options of the replication stream
+   * @returns {Promise<TransferResult>}
+   */
+  async transferSnapshotByFilePath(srcHostPath, destHostPath, run, force, options={}) {
+    if (!srcHostPath) return this.failure(`no source path given`);
+
+    const {host:srcHost, port:srcPort, attr:path} = this.splitHostPortAttr(srcHostPath);
+    const srcHostPort = srcHost ? `${srcHost}${srcPort ? `:${srcPort}` : ""}` : null;
+    const terminal = this.connect(srcHostPort);
+    const mountPoint = path.replace(/\/[^\/]*$/g,"");
+    const {dataset} = await this.getDatasetByMountPoint(terminal,mountPoint);
+    await terminal.close();
+
+    if (dataset) {
+      this.emit('dataset-resolved', {side: 'source', host: srcHostPort, dataset, exists: true});
+      this.printResult(`${!srcHostPort ? "local " : ""}zfs dataset ${srcHostPort ? `on ${srcHostPort} ` : ""}found: ${dataset}`,true)
+      return this.transferDatasets(srcHostPort, [dataset], destHostPath, run, force, options)
+    }
+    return this.failure(`no zfs dataset found for '${path}'`);
+  }
+
+  /**
+   * Transfer snapshot of a particular zfs dataset to the target system
+   * @param {string} srcHostDatasetName - specify source file path
+   * @param {string} destHostPath - specify target as {hostname}:{dataset}
+   * @param {boolean} run - only actually do anything if set to true, dry-run otherwise
+   * @param {boolean} force - if true, rollback incremental snapshot source on destination if modified or discard existing dataset's contents if no snapshot exists on destination
+   * @param {{keep?: RetentionPolicies, stream?: StreamOptions, recursive?: boolean, exclude?: string[], destroyRemoved?: boolean}} options - prune snapshots according to the given retention policies after a successful transfer, options of the replication stream,
+   *   transfer the dataset with its descendants (see transferDatasetTree)
+   * @returns {Promise<TransferResult>}
+   */
+  async transferSnapshotByDataset(srcHostDatasetName, destHostPath, run, force, options={}) {
+    const {host:srcHost, port:srcPort, attr:datasetName} = this.splitHostPortAttr(srcHostDatasetName);
+    const srcHostPort = srcHost ? `${srcHost}${srcPort ? `:${srcPort}` : ""}` : null;
+    const terminal = this.connect(srcHostPort);
+    const {dataset} = await this.getDatasetByName(terminal,datasetName);
+    await terminal.close();
+
+    if (dataset) {
+      this.emit('dataset-resolved', {side: 'source', host: srcHostPort, dataset, exists: true});
+      this.printResult(`${!srcHostPort ? "local " : ""}zfs dataset ${srcHostPort ? `on ${srcHostPort} ` : ""}found: ${dataset}`,true)
+      if (options.recursive)
+        return this.transferDatasetTree(srcHostPort, dataset, destHostPath, run, force, options);
+      return this.transferDatasets(srcHostPort, [dataset], destHostPath, run, force, options)
+    }
+    return this.failure(`no zfs dataset found for '${srcHostDatasetName}'`);
+  }
+
+  /**
+   * Transfer a zfs dataset with all its descendants to the target system
+   * All datasets of the tree are snapshotted together and transferred one by one (parents first), so children missing on the destination are created
+   * and children added since the last transfer are sent in full. Children removed on the source are reported and only destroyed on the destination if
+   * requested. The properties are sent along (zfs send --props) unless disabled by the stream options.
+   * @param {string|null} srcHostPort - the source host specified as HOST[:PORT], null for the local system
+   * @param {string} root - the source dataset
+   * @param {string} destHostPath - specify target as {hostname}:{port}({internal_hostname}):{dataset}, the dataset is the destination of the root
+   * @param {boolean} run - only actually do anything if set to true, dry-run otherwise
+   * @param {boolean} force - if true, rollback incremental snapshot source on destination if modified or discard existing dataset's contents if no snapshot exists on destination
+   * @param {{keep?: RetentionPolicies, stream?: StreamOptions, exclude?: string[], destroyRemoved?: boolean}} options - see transferDatasets, glob patterns of
+   *   the datasets to skip (see isExcluded), destroy the datasets on the destination whose source has been removed
+   * @returns {Promise<TransferResult>}
+   */
+  async transferDatasetTree(srcHostPort, root, destHostPath, run, force, options={}) {
+    const exclude = options.exclude || [];
+    const terminal = this.connect(srcHostPort);
+    let datasets;
+    try {
+      datasets = (await this.getDatasetTree(terminal, root)).filter(dataset=>!isExcluded(root, dataset, exclude));
+    } finally {
+      await terminal.close();
+    }
+    if (!datasets.length)
+      return this.failure(`no zfs dataset found for '${root}'`);
+    this.printResult(`${datasets.length} dataset${datasets.length>1 ? "s" : ""} in tree ${root}${exclude.length ? ` (excluding ${exclude.join(", ")})` : ""}: ${datasets.join(", ")}`, true);
+
+    const result = await this.transferDatasets(srcHostPort, datasets, destHostPath, run, force, {
+      ...options,
+      root,
+      stream: mergeStreamOptions({props: true}, options.stream),
+    });
+    if (!result.success)
+      return result;
+
+    const {destHost, destDataset} = this.splitDestHostPath(destHostPath);
+    const destRoot = this.getDestDataset(root, destDataset);
+    const expected = datasets.map(dataset=>this.getDestDataset(dataset, destDataset, datasets.length, root));
+    const ssh = this.connect(destHost);
+    try {
+      const removed = (await this.getDatasetTree(ssh, destRoot))
+          .filter(dataset=>!expected.includes(dataset) && !isExcluded(destRoot, dataset, exclude));
+      /* destroying a dataset destroys its descendants, only the topmost ones are listed */
+      result.removed = removed.filter(dataset=>!removed.some(parent=>dataset.startsWith(`${parent}/`)));
+      for (const dataset of result.removed) {
+        if (!options.destroyRemoved) {
+          this.printResult(`zfs dataset ${dataset} on ${destHost} has no source anymore, use --destroy-removed to destroy it`, false);
+          continue;
+        }
+        const cmd = command('zfs', 'destroy', '-r', dataset);
+        this.printShellCmd(`${destHost}: ${cmd}`);
+        if (run)
+          await ssh.exec(cmd);
+        this.printResult(`zfs dataset ${dataset} on ${destHost} ${run ? "destroyed" : "to be destroyed"}`, true);
+      }
+    } catch (err) {
+      result.error = `${(err+"").trim()}`;
+      this.reportError(result.error);
+      return {...result, success: false};
+    } finally {
+      await ssh.close();
+    }
+    return result;
+  }
+
+  /**
+   * Transfer snapshots of the zfs datasets (specified by the libvirt domain that has its disks stored on them) to the target system
+   * @param {string} srcHostDomain - specify domain name
+   * @param {string|null} destHostPath - specify target as {hostname}:{port}({internal_hostname}):{dataset}, null for the destination of the domain's profile (see applyDomainProfile)
+   * @param {boolean} run - only actually do anything if set to true, dry-run otherwise
+   * @param {boolean} force - if true, rollback incremental snapshot source on destination if modified or discard existing dataset's contents if no snapshot exists on destination
+   * @param {{keep?: RetentionPolicies, stream?: StreamOptions, freeze?: boolean, freezeTimeout?: number}} options - prune snapshots according to the given retention policies after a successful transfer, options of the replication stream,
+   *   freeze the file systems of the guest while the snapshot is taken (see createFrozenSnapshots)
+   * @returns {Promise<TransferResult & {domain: string, frozen: boolean}>} frozen is true if the snapshot has been taken with the file systems frozen (application-consistent)
+   */
+  async transferDomainSnapshot(srcHostDomain, destHostPath, run, force, options={}) {
+    ({srcHostDomain, destHostPath} = this.applyDomainProfile(srcHostDomain, destHostPath));
+    const {host:srcHost, port:srcPort, attr:domain} = this.splitHostPortAttr(srcHostDomain);
+    const srcHostPort = srcHost ? `${srcHost}${srcPort ? `:${srcPort}` : ""}` : null;
+    const disks = await this.getDomainDisks(srcHostDomain);
+    if (!disks)
+      return {success: false, snapshot: null, transfers: [], error: `not all disks of domain ${domain} reside on zfs`, domain};
+    if (!disks.length)
+      return {...this.failure(`no disk path found for '${srcHostDomain}' (does the domain ${domain} exist on ${srcHostPort}?)`), domain};
+    const datasets = [...new Set(disks.map(disk=>disk.dataset))];
+    this.printResult(`${!srcHostPort ? "local " : ""}zfs dataset${datasets.length>1 ? "s" : ""} ${srcHostPort ? `on ${srcHostPort} ` : ""}found: ${datasets.join(", ")}`,true)
+    const collision = this.getDestDatasetCollision(datasets, this.splitDestHostPath(destHostPath).destDataset);
+    if (collision)
+      return {...this.failure(collision), domain, frozen: false};
+    let snapshot, frozen = false;
+    if (run && options.freeze) {
+      try {
+        ({snapshot, frozen} = await this.createFrozenSnapshots(srcHostPort, domain, datasets, options.freezeTimeout));
+      } catch (err) {
+        return {...this.failure(`${err.message}`.trim()), domain, frozen};
+      }
+    }
+    const result = {...await this.transferDatasets(srcHostPort, datasets, destHostPath, run, force, {...options, snapshot}), domain, frozen};
+    if (run && result.success) {
+      try {
+        await this.recordReplica(srcHostPort, domain, disks, destHostPath);
+      } catch (err) {
+        result.error = `failed to store the definition of domain ${domain} with its replica: ${(err+"").trim()}`;
+        this.reportError(result.error);
+        return {...result, success: false};
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Store the definition of a domain with the copies of its datasets, so the domain can be started from them if its host fails (see failoverDomain)
+   * The source dataset (prefixed by HOST[:PORT] if remote) and the domain are set as user properties of every destination dataset, the persistent
+   * definition of the domain with the disk paths of the destination as the properties of the first one (compressed and split into parts).
+   * @param {string|null} srcHostPort - the source host specified as HOST[:PORT], null for the local system
+   * @param {string} domain
+   * @param {{type: string, path: string, dataset: string}[]} disks - as returned by getDomainDisks
+   * @param {string} destHostPath - specify target as {hostname}:{port}({internal_hostname}):{dataset}
+   * @returns {Promise<void>}
+   */
+  async recordReplica(srcHostPort, domain, disks, destHostPath) {
+    const {destHost, destDataset} = this.splitDestHostPath(destHostPath);
+    const datasets = [...new Set(disks.map(disk=>disk.dataset))];
+    const srcTerminal = this.connect(srcHostPort);
+    const destTerminal = this.connect(destHost);
+    try {
+      const {xml} = rewriteDomainXml(`${await srcTerminal.exec(command('virsh', 'dumpxml', '--inactive', domain))}`, {disks: this.getDiskPathReplacements(disks, destDataset)});
+      const chunks = gzipSync(xml).toString("base64").match(new RegExp(`.{1,${XML_CHUNK_SIZE}}`, "g"));
+      for (const [i, dataset] of datasets.entries()) {
+        await destTerminal.exec(command('zfs', 'set',
+            `${REPLICA_PROPERTIES.domain}=${domain}`,
+            `${REPLICA_PROPERTIES.source}=${srcHostPort ? `${srcHostPort}:` : ""}${dataset}`,
+            ...i === 0 ? [`${REPLICA_PROPERTIES.chunks}=${chunks.length}`, ...chunks.map((chunk, j) => `${REPLICA_PROPERTIES.xml}${j}=${chunk}`)] : [],
+            this.getDestDataset(dataset, destDataset, datasets.length)));
+      }
+    } finally {
+      await destTerminal.close();
+      await srcTerminal.close();
+    }
+  }
+
+  /**
+   * Find the copies of the datasets of a domain on a host by the properties stored by recordReplica
+   * @param {Terminal} terminal - the terminal of the host holding the copies
+   * @param {string} domain
+   * @param {string|null} root - only look for copies below this dataset
+   * @returns {Promise<{datasets: {dataset: string, source: string}[], xml: string|null}>} source is the dataset the copy has been transferred from, prefixed by
+   *   HOST[:PORT] if remote, xml is the stored definition of the domain (null if there is none)
+   * @throws {Error} if the definition of the domain is stored with more than one copy
+   */
+  async getReplica(terminal, domain, root=null) {
+    const columns = ['name', REPLICA_PROPERTIES.domain, REPLICA_PROPERTIES.source, REPLICA_PROPERTIES.chunks];
+    const replicas = `${await terminal.exec(command('zfs', 'list', '-H', '-o', columns.join(","), '-t', 'filesystem,volume', ...root ? ['-r', validateDatasetName(root)] : []))}`
+        .split(/\n/).filter(line=>line).map(line=>line.split(/\t/))
+        .filter(([, name, source])=>name === domain && source !== "-")
+        .map(([dataset, , source, chunks])=>({dataset, source, chunks: Number(chunks) || 0}));
+    const withXml = replicas.filter(replica=>replica.chunks);
+    if (withXml.length > 1)
+      throw new Error(`several copies of domain ${domain} found (${withXml.map(replica=>replica.dataset).join(", ")}), specify the dataset they reside below`);
+    let xml = null;
+    if (withXml.length) {
+      const properties = Array.from({length: withXml[0].chunks}, (_, i) => `${REPLICA_PROPERTIES.xml}${i}`);
+      const values = Object.fromEntries(`${await terminal.exec(command('zfs', 'get', '-H', '-o', 'property,value', properties.join(","), withXml[0].dataset))}`
+          .split(/\n/).filter(line=>line).map(line=>line.split(/\t/)));
+      xml = gunzipSync(Buffer.from(properties.map(property=>values[property]).join(""), "base64")).toString();
+    }
+    return {datasets: replicas.map(({dataset, source})=>({dataset, source})), xml};
+  }
+
+  /**
+   * Snapshot the datasets of a running domain with the file systems of the guest frozen by the qemu guest agent (virsh domfsfreeze), so the snapshot is
+   * application-consistent instead of only crash-consistent
+   * The file systems are thawed right after the snapshot, also if it fails. If the guest agent is missing or does not respond within the timeout, the
+   * snapshot is taken without freezing (after thawing, in case the freeze completes late).
+   * @param {string|null} srcHostPort - the source host specified as HOST[:PORT], null for the local system
+   * @param {string} domain
+   * @param {string[]} datasets
+   * @param {number} timeout - the seconds to wait for the guest agent to freeze and to thaw the file systems
+   * @returns {Promise<{snapshot: string, frozen: boolean}>} frozen is false if the snapshot has been taken without freezing
+   * @throws {Error} if the snapshot cannot be created or the frozen file systems cannot be thawed
+   */
+  async createFrozenSnapshots(srcHostPort, domain, datasets, timeout=FREEZE_TIMEOUT) {
+    const terminal = this.connect(srcHostPort);
+    /* coreutils timeout exits with 124 if virsh has been killed */
+    const agent = (operation) => terminal.run(command('timeout', `${timeout}`, 'virsh', operation, validateDomainName(domain)));
+    const thaw = async () => {
+      const {code, stderr} = await agent('domfsthaw');
+      if (code !== 0)
+        throw new Error(`failed to thaw the file systems of domain ${domain}, they may still be frozen: ${code === 124 ? `the guest agent has not responded within ${timeout}s` : stderr.trim().split(/\n/).pop()}`);
+      this.printResult(`file systems of domain ${domain} thawed`, true);
+    };
+    try {
+      const freeze = await agent('domfsfreeze');
+      const frozen = freeze.code === 0;
+      if (frozen) {
+        this.printResult(`file systems of domain ${domain} frozen`, true);
+      } else {
+        this.printResult(`file systems of domain ${domain} not frozen, the snapshot is only crash-consistent: ${freeze.code === 124 ? `the guest agent has not responded within ${timeout}s` : freeze.stderr.trim().split(/\n/).pop()}`, false);
+        if (freeze.code === 124)
+          await thaw();
+      }
+      let snapshot;
+      try {
+        snapshot = await this.createSnapshots(srcHostPort, datasets);
+      } finally {
+        if (frozen)
+          await thaw();
+      }
+      return {snapshot, frozen};
+    } finally {
+      await terminal.close();
+    }
+  }
+
+  /**
+   * Estimate the size of a zfs send stream on a remote or local system
+   * @param {Terminal} terminal - the terminal to use for the zfs command
+   * @param {string} dataset
+   * @param {string|null} fromSnapshot - the snapshot to send incrementally from, null for a full stream
+   * @param {string} toSnapshot
+   * @returns {Promise<number>} the estimated size in bytes
+   */
+  async estimateSendSize(terminal, dataset, fromSnapshot, toSnapshot) {
+    const out = `${await terminal.exec(`${command('zfs', 'send', '-nvP', ...fromSnapshot ? ['-i', `${dataset}@${fromSnapshot}`] : [], `${dataset}@${toSnapshot}`)} 2>&1`)}`;
+    const [, size] = out.match(/^size\s+(\d+)/m) || [];
+    return Number(size) || 0;
+  }
+
+  /**
+   * Repeat incremental transfers of a set of datasets until the amount of data written in the meantime converges
+   * Each pass snapshots the datasets and estimates the delta to the previously transferred snapshot (zfs send -nv). Pre-copy stops as soon as the delta
+   * is below the threshold or the maximum number of passes (including the initial transfer) is reached.
+   * @param {string|null} srcHostPort - the source host specified as HOST[:PORT], null for the local system
+   * @param {string[]} datasets - the source datasets
+   * @param {string} destHostPath - specify target as {hostname}:{port}({internal_hostname}):{dataset}
+   * @param {boolean} force - if true, rollback incremental snapshot source on destination if modified
+   * @param {TransferResult} transfer - the result of the initial transfer
+   * @param {{maxPasses?: number, threshold?: number, domain?: string, stream?: StreamOptions}} options - threshold in bytes
+   * @returns {Promise<{success: boolean, passes: number, delta: number|null, expectedDowntime: number|null, transfers: TransferResult[], error: string|null}>} expectedDowntime in milliseconds, based on the throughput of the last pass
+   */
+  async precopy(srcHostPort, datasets, destHostPath, force, transfer, options={}) {
+    const maxPasses = options.maxPasses || 1;
+    const threshold = options.threshold || 0;
+    const result = {success: true, passes: 1, delta: null, expectedDowntime: null, transfers: [], error: null};
+    let last = transfer;
+    while (true) {
+      const terminal = this.connect(srcHostPort);
+      let snapshot;
+      try {
+        snapshot = await this.createSnapshots(srcHostPort, datasets);
+        result.delta = 0;
+        for (const dataset of datasets)
+          result.delta += await this.estimateSendSize(terminal, dataset, last.snapshot, snapshot);
+      } catch (err) {
+        result.error = `${(err+"").trim()}`;
+        this.reportError(result.error);
+        return {...result, success: false};
+      } finally {
+        await terminal.close();
+      }
+
+      const [bytesSent, duration] = last.transfers.reduce(([b, d], t) => [b + t.bytes, d + (t.duration || 0)], [0, 0]);
+      result.expectedDowntime = bytesSent && duration ? Math.round(result.delta / (bytesSent / duration)) : null;
+      this.emit('precopy-pass', {domain: options.domain, pass: result.passes, bytes: bytesSent, delta: result.delta, expectedDowntime: result.expectedDowntime});
+      if (result.delta <= threshold || result.passes >= maxPasses)
+        break;
+
+      result.passes++;
+      this.printResult(`pre-copy pass ${result.passes}: ${bytes.format(result.delta)} written since the last pass`, true);
+      last = await this.transferDatasets(srcHostPort, datasets, destHostPath, true, force, {snapshot, stream: options.stream});
+      result.transfers.push(last);
+      if (!last.success)
+        return {...result, success: false, error: last.error};
+    }
+    this.printResult(`pre-copy ${result.delta <= threshold ? "converged" : "stopped"} after ${result.passes} pass${result.passes>1 ? "es" : ""}: ${bytes.format(result.delta)} left to transfer while suspended${result.expectedDowntime !== null ? `, expected downtime ~${(result.expectedDowntime/1000).toFixed(1)}s` : ""}`, true);
+    return result;
+  }
+
+  /**
+   * Estimate the size of the next transfer of a dataset on a remote or local system
+   * The estimate consists of the incremental stream from the common snapshot to the latest snapshot (zfs send -nv) and the data written since then.
+   * @param {Terminal} terminal - the terminal to use for the zfs command
+   * @param {string} dataset
+   * @param {string|null} commonSnapshot - the latest snapshot existing on the destination as well, null if the transfer is a full one
+   * @returns {Promise<number>} the estimated size in bytes
+   */
+  async estimateTransferSize(terminal, dataset, commonSnapshot) {
+    const getProperty = async (property) => Number(`${await terminal.exec(command('zfs', 'get', '-Hp', '-o', 'value', property, dataset))}`.trim()) || 0;
+    const snapshots = (await this.getSnapshots(terminal, dataset)).filter(item=>item.startsWith(`${dataset}@`));
+    if (!snapshots.length)
+      return await getProperty("referenced");
+    const latest = snapshots[snapshots.length-1].split("@")[1];
+    const stream = latest === commonSnapshot ? 0 : await this.estimateSendSize(terminal, dataset, commonSnapshot, latest);
+    return stream + await getProperty("written");
+  }
+
+  /**
+   * Compare a dataset with its copy on the target system
+   * @param {string|null} srcHostPort - the source host specified as HOST[:PORT], null for the local system
+   * @param {string} dataset - the source dataset
+   * @param {string} destHost - the destination host specified as HOST[:PORT]
+   * @param {string} destDataset
+   * @returns {Promise<DatasetStatus>}
+   */
+  async getDatasetPairStatus(srcHostPort, dataset, destHost, destDataset) {
+    const srcTerminal = this.connect(srcHostPort);
+    const destTerminal = this.connect(destHost);
+    try {
+      const getProperty = async (terminal, property, name) => Number(`${await terminal.exec(command('zfs', 'get', '-Hp', '-o', 'value', property, name))}`.trim()) || 0;
+      const srcSnapshots = await this.getSnapshotDetails(srcTerminal, dataset);
+      const {dataset:existing} = await this.getDatasetByName(destTerminal, destDataset);
+      const destSnapshots = existing ? await this.getSnapshotDetails(destTerminal, destDataset) : [];
+      const srcNames = srcSnapshots.map(snapshot=>snapshot.name);
+      const destNames = destSnapshots.map(snapshot=>snapshot.name);
+      const common = [...destSnapshots].reverse().find(snapshot=>srcNames.includes(snapshot.name)) || null;
+      const latest = srcSnapshots.length ? srcSnapshots[srcSnapshots.length-1].name : null;
+
+      const missingOnSource = destNames.filter(name=>!srcNames.includes(name));
+      const destinationWritten = common ? await getProperty(destTerminal, `written@${common.name}`, destDataset) : null;
+      const modified = !!(destinationWritten || (common && destNames.indexOf(common.name) < destNames.length-1));
+      return {
+        source: {host: srcHostPort, dataset, snapshots: srcSnapshots},
+        destination: {host: destHost, dataset: destDataset, exists: !!existing, snapshots: destSnapshots},
+        commonSnapshot: common && common.name,
+        missingOnDestination: srcNames.filter(name=>!destNames.includes(name)),
+        missingOnSource,
+        incrementalBytes: !latest ? null : common && common.name === latest ? 0 : await this.estimateSendSize(srcTerminal, dataset, common && common.name, latest),
+        sourceWritten: await getProperty(srcTerminal, "written", dataset),
+        destinationWritten,
+        modified,
+        lag: common ? Date.now() - common.creation : null,
+        inSync: !!common && common.name === latest && !modified,
+      };
+    } finally {
+      await destTerminal.close();
+      await srcTerminal.close();
+    }
+  }
+
+  /**
+   * Compare several datasets with their copies on the target system
+   * @param {string|null} srcHostPort - the source host specified as HOST[:PORT], null for the local system
+   * @param {string[]} datasets - the source datasets
+   * @param {string} destHostPath - specify target as {hostname}:{port}({internal_hostname}):{dataset}
+   * @param {string|null} root - the root of the tree the datasets are part of (see getDestDataset)
+   * @returns {Promise<{success: boolean, source: string|null, destination: string, datasets: DatasetStatus[], error: string|null}>}
+   */
+  async getReplicationStatus(srcHostPort, datasets, destHostPath, root=null) {
+    const {destHost, destDataset} = this.splitDestHostPath(destHostPath);
+    const result = {success: true, source: srcHostPort, destination: destHost, datasets: [], error: null};
+    try {
+      for (const dataset of datasets)
+        result.datasets.push(await this.getDatasetPairStatus(srcHostPort, dataset, destHost, this.getDestDataset(dataset, destDataset, datasets.length, root)));
+    } catch (err) {
+      result.error = `${(err+"").trim()}`;
+      this.reportError(result.error);
+      return {...result, success: false};
+    }
+    return result;
+  }
+
+  /**
+   * Compare a particular zfs dataset (optionally with its descendants) with its copy on the target system
+   * @param {string} srcHostDatasetName - specify source dataset, optionally prefixed by HOST[:PORT]
+   * @param {string} destHostPath - specify target as {hostname}:{port}({internal_hostname}):{dataset}
+   * @param {{recursive?: boolean, exclude?: string[]}} options - compare the descendants as well, except the ones matching the patterns (see isExcluded)
+   * @returns {Promise<{success: boolean, source: string|null, destination: string, datasets: DatasetStatus[], error: string|null}>}
+   */
+  async getDatasetStatus(srcHostDatasetName, destHostPath, options={}) {
+    const {host:srcHost, port:srcPort, attr:datasetName} = this.splitHostPortAttr(srcHostDatasetName);
+    const srcHostPort = srcHost ? `${srcHost}${srcPort ? `:${srcPort}` : ""}` : null;
+    const terminal = this.connect(srcHostPort);
+    let datasets;
+    try {
+      datasets = options.recursive
+          ? (await this.getDatasetTree(terminal, datasetName)).filter(dataset=>!isExcluded(datasetName, dataset, options.exclude || []))
+          : [(await this.getDatasetByName(terminal, datasetName)).dataset].filter(dataset=>dataset);
+    } finally {
+      await terminal.close();
+    }
+    if (!datasets.length) {
+      const error = `no zfs dataset found for '${srcHostDatasetName}'`;
+      this.reportError(error);
+      return {success: false, source: srcHostPort, destination: null, datasets: [], error};
+    }
+    return this.getReplicationStatus(srcHostPort, datasets, destHostPath, options.recursive ? datasetName : null);
+  }
+
+  /**
+   * Compare the zfs datasets holding the disks of a libvirt domain with their copies on the target system
+   * @param {string} srcHostDomain - specify domain name, optionally prefixed by HOST[:PORT]
+   * @param {string|null} destHostPath - specify target as {hostname}:{port}({internal_hostname}):{dataset}, null for the destination of the domain's profile (see applyDomainProfile)
+   * @returns {Promise<{success: boolean, source: string|null, destination: string, datasets: DatasetStatus[], error: string|null, domain: string}>}
+   */
+  async getDomainStatus(srcHostDomain, destHostPath) {
+    ({srcHostDomain, destHostPath} = this.applyDomainProfile(srcHostDomain, destHostPath));
+    const {host:srcHost, port:srcPort, attr:domain} = this.splitHostPortAttr(srcHostDomain);
+    const srcHostPort = srcHost ? `${srcHost}${srcPort ? `:${srcPort}` : ""}` : null;
+    const disks = await this.getDomainDisks(srcHostDomain);
+    if (!disks || !disks.length) {
+      const error = `no zfs backed disks found for domain ${domain}`;
+      this.reportError(error);
+      return {success: false, source: srcHostPort, destination: null, datasets: [], error, domain};
+    }
+    return {...await this.getReplicationStatus(srcHostPort, [...new Set(disks.map(disk=>disk.dataset))], destHostPath), domain};
+  }
+
+  /**
+   * Check whether a libvirt domain can be migrated to the target hypervisor
+   * Verifies ssh access, the availability of zfs and virsh on both systems, the destination datasets (parent dataset, free space for the estimated
+   * transfer size), domain name collisions, the networks, bridges and storage pools the domain is connected to and the cpu compatibility (virsh cpu-compare),
+   * the latter ones as mapped for the destination.
+   * @param {string} srcHostDomain - specify domain name, optionally prefixed by HOST[:PORT]
+   * @param {string|null} destHostPath - specify target as {hostname}:{port}({internal_hostname}):{dataset}, null for the destination of the domain's profile (see applyDomainProfile)
+   * @param {{mappings?: DomainMappings}} options - mappings of the domain definition in addition to the ones configured for the destination (see getDomainMappings)
+   * @returns {Promise<{success: boolean, domain: string, source: string|null, destination: string, checks: {check: string, success: boolean, message: string}[]}>}
+   */
+  async checkMigration(srcHostDomain, destHostPath, options={}) {
+    ({srcHostDomain, destHostPath} = this.applyDomainProfile(srcHostDomain, destHostPath));
+    const {destHost, destHostInternal, destDataset:destPath} = this.splitDestHostPath(destHostPath);
+    const {host:srcHost, port:srcPort, attr:domain} = this.splitHostPortAttr(srcHostDomain);
+    validateDomainName(domain);
+    const srcHostPort = srcHost ? `${srcHost}${srcPort ? `:${srcPort}` : ""}` : null;
+    const destUri = this.transport.libvirtUri(destHostInternal||destHost);
+
+    const checks = [];
+    const check = (name, success, message) => {
+      checks.push({check: name, success, message});
+      this.printResult(`${name}: ${message}`, success);
+      return success;
+    };
+    const result = () => ({success: checks.every(check=>check.success), domain, source: srcHostPort, destination: destHost, checks});
+
+    const srcTerminal = this.connect(srcHostPort);
+    if (srcHost) {
+      try {
+        await srcTerminal.exec(`true`);
+        check("ssh source", true, `${srcHostPort} reachable`);
+      } catch (err) {
+        check("ssh source", false, `${srcHostPort} not reachable: ${(err+"").trim()}`);
+        return result();
+      }
+    }
+    const destTerminal = this.connect(destHost);
+    /* the definition adapted to the destination, written for virsh cpu-compare */
+    let xmlFile = null;
+    try {
+      try {
+        await destTerminal.exec(`true`);
+        check("ssh destination", true, `${destHost} reachable`);
+      } catch (err) {
+        check("ssh destination", false, `${destHost} not reachable: ${(err+"").trim()}`);
+        return result();
+      }
+
+      for (const [side, terminal, host] of [["source", srcTerminal, srcHostPort || "local system"], ["destination", destTerminal, destHost]]) {
+        for (const tool of ["zfs", "virsh"]) {
+          const path = `${await terminal.exec(`command -v ${tool} || true`)}`.trim();
+          check(`${tool} on ${side}`, !!path, path ? `found on ${host}: ${path}` : `not found on ${host}`);
+        }
+      }
+      if (!checks.every(check=>check.success))
+        return result();
+
+      const disks = await this.getDomainDisks(srcHostDomain);
+      if (!check("domain disks", !!(disks && disks.length), disks && disks.length ? `${disks.length} zfs backed disk${disks.length>1 ? "s" : ""} found` : `no zfs backed disks found for domain ${domain}`))
+        return result();
+      const datasets = [...new Set(disks.map(disk=>disk.dataset))];
+      const collision = this.getDestDatasetCollision(datasets, destPath);
+      if (!check("destination datasets", !collision, collision || `${datasets.length} distinct destination dataset${datasets.length>1 ? "s" : ""}`))
+        return result();
+      for (const dataset of datasets) {
+        const target = this.getDestDataset(dataset, destPath, datasets.length);
+        const {dataset:existing} = await this.getDatasetByName(destTerminal, target);
+        const parent = target.replace(/\/[^/]+$/,"");
+        if (!existing) {
+          const {dataset:existingParent} = await this.getDatasetByName(destTerminal, parent);
+          if (!check(`parent dataset of ${target}`, !!existingParent, existingParent ? `'${parent}' exists on ${destHost}` : `'${parent}' does not exist on ${destHost}`))
+            continue;
+        }
+        let commonSnapshot = null;
+        if (existing)
+          commonSnapshot = await this.getLatestCommonSnapshot(destTerminal, `${srcHostPort ? `${srcHostPort}:` : ""}${dataset}`, target);
+        const estimate = await this.estimateTransferSize(srcTerminal, dataset, commonSnapshot);
+        const available = Number(`${await destTerminal.exec(command('zfs', 'get', '-Hp', '-o', 'value', 'available', existing ? target : parent))}`.trim()) || 0;
+        check(`free space for ${target}`, available > estimate, `${bytes.format(estimate)} to transfer${commonSnapshot ? ` (incremental from ${commonSnapshot})` : ""}, ${bytes.format(available)} available on ${destHost}`);
+      }
+
+      const {stdout:srcUuid} = await this.execVirsh(srcHost, srcPort, ['domuuid', domain]);
+      const {code:destCode, stdout:destUuid} = await this.execVirsh(srcHost, srcPort, ['domuuid', domain], destUri);
+      if (destCode !== 0)
+        check("domain name", true, `no domain named ${domain} defined on ${destHost}`);
+      else
+        check("domain name", srcUuid.trim() === destUuid.trim(), srcUuid.trim() === destUuid.trim()
+            ? `domain ${domain} is already defined on ${destHost} with the same uuid`
+            : `another domain named ${domain} (uuid ${destUuid.trim()}) is defined on ${destHost}`);
+
+      xmlFile = await this.createTempFile(srcTerminal);
+      const {xml} = await this.writeDomainXml(srcTerminal, domain, xmlFile, {disks: this.getDiskPathReplacements(disks, destPath), ...this.getDomainMappings(destHost, options.mappings)});
+      for (const [, network] of xml.matchAll(/<source network=['"]([^'"]+)['"]/g)) {
+        try {
+          const info = `${await destTerminal.exec(command('virsh', 'net-info', network))}`;
+          check(`network ${network}`, /^Active:\s+yes/m.test(info), /^Active:\s+yes/m.test(info) ? `active on ${destHost}` : `not active on ${destHost}`);
+        } catch (err) {
+          check(`network ${network}`, false, `not found on ${destHost}`);
+        }
+      }
+      for (const [, bridge] of xml.matchAll(/<source bridge=['"]([^'"]+)['"]/g)) {
+        try {
+          await destTerminal.exec(command('ip', 'link', 'show', 'dev', bridge));
+          check(`bridge ${bridge}`, true, `found on ${destHost}`);
+        } catch (err) {
+          check(`bridge ${bridge}`, false, `not found on ${destHost}`);
+        }
+      }
+      for (const pool of new Set(getDomainDiskSources(xml).filter(source=>source.type === "volume").map(source=>source.pool))) {
+        try {
+          const info = `${await destTerminal.exec(command('virsh', 'pool-info', pool))}`;
+          check(`storage pool ${pool}`, /^State:\s+running/m.test(info), /^State:\s+running/m.test(info) ? `active on ${destHost}` : `not active on ${destHost}`);
+        } catch (err) {
+          check(`storage pool ${pool}`, false, `not found on ${destHost}`);
+        }
+      }
+
+      const {code:cpuCode, stdout:cpuOut, stderr:cpuErr} = await this.execVirsh(srcHost, srcPort, ['cpu-compare', xmlFile], destUri);
+      check("cpu", cpuCode === 0 && !/incompatible/i.test(cpuOut), (cpuOut.trim() || cpuErr.trim()).split(/\n/)[0]);
+      return result();
+    } finally {
+      if (xmlFile)
+        await this.removeTempFiles(srcTerminal, [xmlFile]);
+      await destTerminal.close();
+      await srcTerminal.close();
+    }
+  }
+
+  /**
+   * Execute a virsh command on the local system or on a remote host via ssh
+   * @param {string|null} host - the host to execute the command on, null for the local system
+   * @param {string|null} port - the ssh port of the host
+   * @param {string[]} args - the virsh arguments
+   * @param {string|null} uri - the libvirt connection uri to use instead of the default one, e.g. qemu+ssh://host/system
+   * @returns {Promise<{code: number, stdout: string, stderr: string}>}
+   */
+  execVirsh(host, port, args, uri=null) {
+    return this.connect(host ? `${host}${port ? `:${port}` : ""}` : null).run(command('virsh', ...uri ? ['-c', uri] : [], ...args));
+  }
+
+  /**
+   * Look up the owners of the file disks of a domain, which are restored on the destination (see chownDisks)
+   * @param {Terminal} terminal - the terminal of the host the domain is defined on
+   * @param {{type: string, path: string, user?: string}[]} disks - as returned by getDomainDisks, the owner is set as user of the file disks
+   * @returns {Promise<void>}
+   */
+  async getDiskOwners(terminal, disks) {
+    for (const disk of disks.filter(disk=>disk.type === "file")) {
+      const [uid] = (await terminal.exec(command('stat', '-c', '%u %g', disk.path))).split(/\s+/);
+      disk.user = (await terminal.exec(command('id', '-nu', uid))).trim();
+    }
+  }
+
+  /**
+   * Change the owner of the file disks of a domain on the destination to the one on the source
+   * @param {string} destHost - the destination host specified as [USER@]HOST[:PORT]
+   * @param {string} domain - the domain on the destination
+   * @param {{type: string, user?: string}[]} disks - the disks of the domain on the source with their owner (see getDiskOwners), in the order of its definition
+   * @returns {Promise<void>}
+   * @throws {Error} if the owner of a disk cannot be changed
+   */
+  async chownDisks(destHost, domain, disks) {
+    const destDiskPaths = await this.getDiskPaths(`${destHost}:${domain}`);
+    const ssh = this.connect(destHost);
+    try {
+      for (const [i, destDiskPath] of destDiskPaths.entries()) {
+        if (disks[i] && disks[i].type === "file")
+          await ssh.exec(command('chown', disks[i].user, destDiskPath));
+      }
+    } finally {
+      await ssh.close();
+    }
+  }
+
+  /**
+   * Map the disk paths of a domain to the ones on the destination
+   * @param {{type: string, path: string, dataset: string}[]} disks - as returned by getDomainDisks
+   * @param {string|null} destPath - the destination dataset given by the user, the paths are kept if none is given
+   * @returns {[string, string][]} pairs of source and destination path: the zvol of a block device, the mount point of the dataset holding file disks
+   */
+  getDiskPathReplacements(disks, destPath) {
+    if (!destPath)
+      return [];
+    const datasets = [...new Set(disks.map(disk=>disk.dataset))];
+    return datasets.map((dataset) => {
+      const disk = disks.find(disk=>disk.dataset===dataset);
+      const destDataset = this.getDestDataset(dataset, destPath, datasets.length);
+      return disk.type === "block"
+          ? [disk.path, `/dev/zvol/${destDataset}`]
+          : [disk.path.replace(/\/[^\/]*$/, ''), `/${destDataset}`];
+    });
+  }
+
+  /**
+   * Write the xml definition of a domain adapted to the destination to a file on the host the domain is defined on (see rewriteDomainXml in domainXml.js)
+   * @param {Terminal} terminal - the terminal of the host the domain is defined on, virsh reads the file there
+   * @param {string} domain
+   * @param {string} file
+   * @param {XmlRewrites & DomainMappings} rewrites - the disk paths (see getDiskPathReplacements), the mappings (see getDomainMappings) and the name of a clone
+   * @param {boolean} inactive - the persistent definition of the domain instead of the one it is running with
+   * @returns {Promise<{xml: string, changes: string[]}>} the definition written and its differences to the one of the domain
+   */
+  async writeDomainXml(terminal, domain, file, rewrites, inactive=false) {
+    const rewritten = rewriteDomainXml(`${await terminal.exec(command('virsh', 'dumpxml', ...inactive ? ['--inactive'] : [], domain))}`, rewrites);
+    await terminal.exec(`${command('printf', '%s', rewritten.xml)} > ${quote(file)}`);
+    return rewritten;
+  }
+
+  /**
+   * Create an empty temporary file with a unique name on a host, removed by removeTempFiles
+   * @param {Terminal} terminal - the terminal of the host to create the file on
+   * @returns {Promise<string>} the path of the file
+   */
+  async createTempFile(terminal) {
+    return `${await terminal.exec(command('mktemp', '-t', 'zfsdom-XXXXXXXX'))}`.trim();
+  }
+
+  /**
+   * Remove temporary files created by createTempFile, a failure is ignored
+   * @param {Terminal} terminal - the terminal of the host the files have been created on
+   * @param {string[]} files
+   * @returns {Promise<void>}
+   */
+  async removeTempFiles(terminal, files) {
+    if (files.length)
+      await terminal.run(command('rm', '-f', ...files)).catch(() => {});
+  }
+
+  /**
+   * Migrate libvirt domain to target hypervisor by incrementally transferring zfs snapshots and doing live (suspended) migration in-between
+   * The migration passes through the phases listed in MIGRATION_PHASES. If a phase after pre-copy fails, the source is restored (see rollbackMigration).
+   * A domain that is shut off is migrated offline: its storage is transferred once (final-sync), it is defined on the destination (define) and undefined
+   * on the source (undefine). The source is not touched before the last phase, a failed offline migration only undefines the domain on the destination if
+   * requested.
+   * @param {string} domain - specify domain name
+   * @param {string|null} destHostPath - specify target as {hostname}:{port}({internal_hostname}):{dataset}, null for the destination of the domain's profile (see applyDomainProfile)
+   * @param {boolean} run - only actually do anything if set to true, dry-run otherwise
+   * @param {boolean} force - if true, rollback incremental snapshot source on destination if modified or discard existing dataset's contents if no snapshot exists on destination
+   * @param {{offline?: boolean, maxPasses?: number, threshold?: number, cleanupDestination?: boolean, stream?: StreamOptions, mappings?: DomainMappings}} options - migrate a domain that is shut off (a running one is refused and vice versa),
+   *   pre-copy passes before suspending the domain (see precopy), undefine the domain on the destination when rolling back a failed migration, options of the replication stream used by all transfers,
+   *   mappings of the domain definition in addition to the ones configured for the destination (see getDomainMappings)
+   * @returns {Promise<{success: boolean, dryRun: boolean, domain: string, source: string|null, destination: string, phase: string, checks: Object[]|null, transfers: TransferResult[], precopy: Object|null, rollback: Object|null, downtime: number|null, error: string|null}>} phase is the last phase entered, i.e. the one that failed if success is false,
+   *   downtime is the time in milliseconds the domain has been suspended
+   */
+  async migrateDomain(srcHostDomain, destHostPath, run, force, options={}) {
+    ({srcHostDomain, destHostPath} = this.applyDomainProfile(srcHostDomain, destHostPath));
+    const {destHost, destHostInternal, destDataset:destPath} = this.splitDestHostPath(destHostPath);
+
+    const {host:srcHost, port:srcPort, attr:domain} = this.splitHostPortAttr(srcHostDomain);
+    validateDomainName(domain);
+    const srcHostPort = srcHost ? `${srcHost}${srcPort ? `:${srcPort}` : ""}` : null;
+    const destUri = this.transport.libvirtUri(destHostInternal||destHost);
+
+    const result = {success: false, dryRun: !run, domain, source: srcHostPort, destination: destHost, phase: null, checks: null, transfers: [], precopy: null, rollback: null, downtime: null, error: null};
+    const startTime = Date.now();
+    /* the domain is suspended as soon as virsh migrate has finished, until it is resumed on the destination */
+    let suspendTime = null;
+    const enterPhase = (phase) => {
+      if (MIGRATION_PHASES.indexOf(phase) <= MIGRATION_PHASES.indexOf(result.phase))
+        throw new Error(`invalid migration phase transition from ${result.phase} to ${phase}`);
+      result.phase = phase;
+      this.emit('migration-phase', {domain, phase});
+    };
+    const end = () => {
+      this.emit('migration-end', {domain, destination: destHost, dryRun: result.dryRun, success: result.success, phase: result.phase, duration: Date.now() - startTime, downtime: result.downtime});
+      return result;
+    };
+    const fail = (error) => {
+      result.error = error;
+      this.reportError(error, result.phase);
+      return end();
+    };
+    /* state required to restore the source, set as soon as the migration starts to modify it */
+    let rollbackState = null;
+    const failAndRollback = async (error) => {
+      result.error = error;
+      this.reportError(error, result.phase);
+      if (rollbackState) {
+        this.emit('migration-phase', {domain, phase: 'rollback'});
+        result.rollback = await this.rollbackMigration(rollbackState);
+      }
+      return end();
+    };
+
+    enterPhase('resolve');
+    const { stdout:running } = await this.execVirsh(srcHost, srcPort, ['list', '--name']);
+    const isRunning = parseDomainNames(running).includes(domain);
+
+    if (!isRunning && !options.offline)
+      return fail(`domain ${domain} is not running, aborting (a domain that is shut off has to be migrated offline)`);
+    if (isRunning && options.offline)
+      return fail(`domain ${domain} is running, shut it down before migrating it offline`);
+
+    const disks = await this.getDomainDisks(srcHostDomain);
+    if (!disks || !disks.length)
+      return fail(`no zfs backed disks found for domain ${domain}, aborting`);
+    const datasets = [...new Set(disks.map(disk=>disk.dataset))];
+    const rewrites = {disks: this.getDiskPathReplacements(disks, destPath), ...this.getDomainMappings(destHost, options.mappings)};
+    const printChanges = (changes) => changes.forEach(change => this.printResult(`definition of ${domain} on ${destHost}: ${change}`, true));
+
+    if (run) {
+      enterPhase('check');
+      const check = await this.checkMigration(srcHostDomain, destHostPath, {mappings: options.mappings});
+      result.checks = check.checks;
+      if (!check.success)
+        return fail(`pre-flight checks failed, aborting`);
+    }
+
+    /* the storage of a domain that is shut off does not change, a single transfer is the final one */
+    enterPhase(options.offline ? 'final-sync' : 'pre-sync');
+    const transfer = await this.transferDatasets(srcHostPort, datasets, destHostPath, run, force, {stream: options.stream});
+    result.transfers.push(transfer);
+
+    if (!transfer.success)
+      return fail(`snapshot transfer failed, aborting`);
+
+    if (!run) {
+      result.success = true;
+      return end();
+    }
+
+    const terminal = this.connect(srcHostPort);
+    /* the definitions written for virsh, removed once the migration and a rollback are done */
+    const tempFiles = [];
+    try {
+      await this.getDiskOwners(terminal, disks);
+
+      if (options.offline) {
+        enterPhase('define');
+        const {stdout:dominfo} = await this.execVirsh(srcHost, srcPort, ['dominfo', domain]);
+        const {code:destDomainCode} = await this.execVirsh(srcHost, srcPort, ['domstate', domain], destUri);
+        const xmlFile = await this.createTempFile(terminal);
+        tempFiles.push(xmlFile);
+        printChanges((await this.writeDomainXml(terminal, domain, xmlFile, rewrites)).changes);
+        const {code:defineCode, stderr:defineError} = await this.execVirsh(srcHost, srcPort, ['define', xmlFile], destUri);
+        if (defineCode !== 0)
+          return fail(`failed to define domain ${domain} on ${destHost}: ${defineError.trim()}`);
+
+        enterPhase('chown');
+        try {
+          await this.chownDisks(destHost, domain, disks);
+        } catch (err) {
+          /* the source has not been touched, only the definition on the destination is removed if requested */
+          if (options.cleanupDestination && destDomainCode !== 0) {
+            this.emit('migration-phase', {domain, phase: 'rollback'});
+            const {code:undefineCode, stderr:undefineError} = await this.execVirsh(srcHost, srcPort, ['undefine', domain], destUri);
+            this.printActionResult("rollback: undefine domain on destination", undefineCode === 0);
+            result.rollback = {success: undefineCode === 0, steps: [{step: "undefine domain on destination", success: undefineCode === 0, error: undefineCode === 0 ? null : undefineError.trim()}]};
+          }
+          return fail(`failed to change the owner of the disks on ${destHost}: ${(err+"").trim()}`);
+        }
+        if (/^Autostart:\s+enable/m.test(dominfo)) {
+          const {code:autostartResult} = await this.execVirsh(srcHost, srcPort, ['autostart', domain], destUri);
+          if (autostartResult !== 0)
+            this.printResult(`failed to enable autostart of domain ${domain} on ${destHost}`, false);
+        }
+
+        enterPhase('undefine');
+        const {code:undefineCode, stderr:undefineError} = await this.execVirsh(srcHost, srcPort, ['undefine', '--keep-nvram', domain]);
+        if (undefineCode !== 0)
+          return fail(`failed to undefine domain ${domain} on the source, it is defined on both hosts: ${undefineError.trim()}`);
+        this.printActionResult("offline domain migration", true);
+        result.success = true;
+        enterPhase('done');
+        return end();
+      }
+
+      enterPhase('pre-copy');
+      const precopy = await this.precopy(srcHostPort, datasets, destHostPath, force, transfer, {...options, domain});
+      result.transfers.push(...precopy.transfers);
+      result.precopy = {passes: precopy.passes, delta: precopy.delta, expectedDowntime: precopy.expectedDowntime};
+      if (!precopy.success)
+        return fail(`pre-copy failed, aborting`);
+
+      /* from here on the source may have been modified, every failure has to restore it */
+      try {
+        enterPhase('migrate');
+        const {stdout:dominfo} = await this.execVirsh(srcHost, srcPort, ['dominfo', domain]);
+        const {code:destDomainCode} = await this.execVirsh(srcHost, srcPort, ['domstate', domain], destUri);
+        const originalXml = await this.createTempFile(terminal);
+        tempFiles.push(originalXml);
+        await terminal.exec(`${command('virsh', 'dumpxml', domain)} > ${quote(originalXml)}`);
+        rollbackState = {
+          srcHost, srcPort, domain, destUri, originalXml,
+          autostart: /^Autostart:\s+enable/m.test(dominfo),
+          destDefined: destDomainCode === 0,
+          cleanupDestination: !!options.cleanupDestination,
+        };
+
+        /* the running domain and its persistent definition on the destination, which may differ (e.g. by devices attached until the next restart) */
+        const customXml = await this.createTempFile(terminal);
+        tempFiles.push(customXml);
+        const persistentXml = await this.createTempFile(terminal);
+        tempFiles.push(persistentXml);
+        const {changes} = await this.writeDomainXml(terminal, domain, customXml, rewrites);
+        const {changes:persistentChanges} = await this.writeDomainXml(terminal, domain, persistentXml, rewrites, true);
+        printChanges(changes);
+        await terminal.exec(command('virsh', 'autostart', domain, '--disable'));
+        try {
+          await new Promise(async (resolve, reject) => {
+            const args = [
+              'migrate',
+              '--live',
+              '--suspend',
+              '--persistent',
+              '--verbose',
+              '--unsafe',
+              ...(
+                  changes.length || persistentChanges.length ? [
+                    '--persistent-xml',
+                    persistentXml,
+                    '--xml',
+                    customXml
+                  ] : []
+              ),
+              domain,
+              destUri
+            ];
+            const virsh = terminal.spawn(command('virsh', ...args));
+            virsh.stdout.on('data', (data) => {
+              this.emit('output', {stream: 'stdout', data});
+            });
+            virsh.stderr.on('data', (data) => {
+              this.emit('output', {stream: 'stderr', data});
+            });
+            virsh.on('error', (error) => {
+              reject(error);
+            });
+            virsh.on('exit', (code) => {
+              if (code === 0) {
+                resolve();
+              } else {
+                reject(new Error(`virsh process exited with code ${code}`));
+              }
+            });
+          });
+        } catch (error) {
+          return await failAndRollback(`domain migration failed: ${error.message}`);
+        }
+        suspendTime = Date.now();
+
+        enterPhase('final-sync');
+        const finalTransfer = await this.transferDatasets(srcHostPort, datasets, destHostPath, run, true, {stream: options.stream});
+        result.transfers.push(finalTransfer);
+        if (!finalTransfer.success)
+          return await failAndRollback(`final snapshot transfer failed`);
+
+        enterPhase('chown');
+        try {
+          await this.chownDisks(destHost, domain, disks);
+        } catch (err) {
+          return await failAndRollback(`failed to change the owner of the disks on ${destHost}: ${(err+"").trim()}`);
+        }
+
+        enterPhase('resume');
+        let {code:resumeDomainResult, stderr:resumeError} = await this.execVirsh(srcHost, srcPort, ['resume', domain], destUri);
+        if (resumeDomainResult !== 0)
+          return await failAndRollback(`failed to resume domain ${domain} on ${destHost}: ${resumeError.trim()}`);
+        result.downtime = Date.now() - suspendTime;
+        const {code:autostartResult} = await this.execVirsh(srcHost, srcPort, ['autostart', domain], destUri);
+        if (autostartResult !== 0)
+          this.printResult(`failed to enable autostart of domain ${domain} on ${destHost}`, false);
+        this.printActionResult("domain migration", true);
+        this.printResult(`domain ${domain} has been suspended for ${(result.downtime/1000).toFixed(1)}s`, true);
+        result.success = true;
+        enterPhase('done');
+        return end();
+      } catch (err) {
+        return await failAndRollback(`${result.phase} failed: ${(err+"").trim()}`);
+      }
+    } finally {
+      await this.removeTempFiles(terminal, tempFiles);
+      await terminal.close();
+    }
+  }
+
+  /**
+   * Restore the source of a failed migration
+   * If the domain has already been migrated (i.e. it is paused on the destination and shut off on the source), it is migrated back to the source
+   * (the source storage has not been modified since the domain has been suspended). The domain is resumed on the source if it is paused and its autostart
+   * setting is restored. If requested, the domain is undefined on the destination unless it has been defined there before the migration.
+   * @param {{srcHost: string|null, srcPort: string|null, domain: string, destUri: string, originalXml: string, autostart: boolean, destDefined: boolean, cleanupDestination: boolean}} state
+   * @returns {Promise<{success: boolean, steps: {step: string, success: boolean, error: string|null}[]}>}
+   */
+  async rollbackMigration(state) {
+    const {srcHost, srcPort, domain, destUri} = state;
+    const steps = [];
+    const step = async (name, args, uri=null) => {
+      this.printShellCmd(command('virsh', ...uri ? ['-c', uri] : [], ...args));
+      const {code, stderr} = await this.execVirsh(srcHost, srcPort, args, uri);
+      steps.push({step: name, success: code === 0, error: code === 0 ? null : stderr.trim()});
+      this.printActionResult(`rollback: ${name}`, code === 0);
+      return code === 0;
+    };
+    const domstate = async (uri=null) => {
+      const {code, stdout} = await this.execVirsh(srcHost, srcPort, ['domstate', domain], uri);
+      return code === 0 ? stdout.trim() : null;
+    };
+
+    let srcState = await domstate();
+    const destState = await domstate(destUri);
+    if (srcState === "shut off" && destState === "paused") {
+      if (await step("migrate back to source", ['migrate', '--live', '--unsafe', '--verbose', '--xml', state.originalXml, domain, 'qemu:///system'], destUri))
+        srcState = await domstate();
+    }
+    if (srcState === "paused")
+      await step("resume domain on source", ['resume', domain]);
+    if (state.autostart)
+      await step("enable autostart on source", ['autostart', domain]);
+    if (state.cleanupDestination && !state.destDefined) {
+      const destStateNow = await domstate(destUri);
+      if (destStateNow === "paused" || destStateNow === "running")
+        await step("destroy domain on destination", ['destroy', domain], destUri);
+      if (destStateNow !== null)
+        await step("undefine domain on destination", ['undefine', domain], destUri);
+    }
+    const success = steps.every(step=>step.success) && await domstate() === "running";
+    this.printActionResult("rollback", success);
+    return {success, steps};
+  }
+
+  /**
+   * Clone a libvirt domain with its storage to another host or to the same host under a new name
+   * The datasets of the domain are transferred to datasets of the clone, which must not exist on the destination yet. The clone is defined with the disk
+   * paths replaced, the mappings applied and without the uuid and mac addresses of the domain (libvirt generates new ones), it is not started. A running domain is cloned as
+   * its storage is at the time of the snapshot.
+   * @param {string} srcHostDomain - specify domain name, optionally prefixed by HOST[:PORT]
+   * @param {string} destHostPath - specify target as {hostname}:{port}({internal_hostname}):{dataset}, the dataset is required to clone on the same host
+   * @param {boolean} run - only actually do anything if set to true, dry-run otherwise
+   * @param {{name?: string, stream?: StreamOptions, mappings?: DomainMappings}} options - the name of the clone (defaults to the name of the domain), options of the replication stream,
+   *   mappings of the definition in addition to the ones configured for the destination (see getDomainMappings)
+   * @returns {Promise<{success: boolean, dryRun: boolean, domain: string, clone: string, source: string|null, destination: string, transfers: TransferResult[], error: string|null}>}
+   */
+  async cloneDomain(srcHostDomain, destHostPath, run, options={}) {
+    ({srcHostDomain, destHostPath} = this.applyDomainProfile(srcHostDomain, destHostPath, false));
+    if (!destHostPath)
+      throw new Error(`no destination given`);
+    const {destHost, destHostInternal, destDataset:destPath} = this.splitDestHostPath(destHostPath);
+    const {host:srcHost, port:srcPort, attr:domain} = this.splitHostPortAttr(srcHostDomain);
+    validateDomainName(domain);
+    const clone = validateDomainName(options.name || domain);
+    const srcHostPort = srcHost ? `${srcHost}${srcPort ? `:${srcPort}` : ""}` : null;
+    const destUri = this.transport.libvirtUri(destHostInternal||destHost);
+
+    const result = {success: false, dryRun: !run, domain, clone, source: srcHostPort, destination: destHost, transfers: [], error: null};
+    const fail = (error) => {
+      result.error = error;
+      this.reportError(error);
+      return result;
+    };
+
+    const disks = await this.getDomainDisks(srcHostDomain);
+    if (!disks || !disks.length)
+      return fail(`no zfs backed disks found for domain ${domain}, aborting`);
+    const datasets = [...new Set(disks.map(disk=>disk.dataset))];
+
+    const {code:destDomainCode} = await this.execVirsh(srcHost, srcPort, ['domuuid', clone], destUri);
+    if (destDomainCode === 0)
+      return fail(`a domain named ${clone} is already defined on ${destHost}, aborting`);
+    const destTerminal = this.connect(destHost);
+    try {
+      for (const dataset of datasets) {
+        const target = this.getDestDataset(dataset, destPath, datasets.length);
+        const {dataset:existing} = await this.getDatasetByName(destTerminal, target);
+        if (existing)
+          return fail(`dataset ${target} already exists on ${destHost}, aborting (a clone needs datasets of its own)`);
+      }
+    } finally {
+      await destTerminal.close();
+    }
+
+    const transfer = await this.transferDatasets(srcHostPort, datasets, destHostPath, run, false, {stream: options.stream});
+    result.transfers.push(transfer);
+    if (!transfer.success)
+      return fail(`snapshot transfer failed, aborting`);
+    if (!run) {
+      result.success = true;
+      return result;
+    }
+
+    const terminal = this.connect(srcHostPort);
+    let xmlFile = null;
+    try {
+      await this.getDiskOwners(terminal, disks);
+      xmlFile = await this.createTempFile(terminal);
+      const {changes} = await this.writeDomainXml(terminal, domain, xmlFile, {disks: this.getDiskPathReplacements(disks, destPath), ...this.getDomainMappings(destHost, options.mappings), name: clone}, true);
+      changes.forEach(change => this.printResult(`definition of ${clone} on ${destHost}: ${change}`, true));
+      const {code:defineCode, stderr:defineError} = await this.execVirsh(srcHost, srcPort, ['define', xmlFile], destUri);
+      if (defineCode !== 0)
+        return fail(`failed to define domain ${clone} on ${destHost}: ${defineError.trim()}`);
+      try {
+        await this.chownDisks(destHost, clone, disks);
+      } catch (err) {
+        return fail(`failed to change the owner of the disks on ${destHost}: ${(err+"").trim()}`);
+      }
+    } finally {
+      if (xmlFile)
+        await this.removeTempFiles(terminal, [xmlFile]);
+      await terminal.close();
+    }
+    this.printResult(`domain ${domain} cloned as ${clone} to ${destHost}`, true);
+    result.success = true;
+    return result;
+  }
+
+  /**
+   * Start a domain from the copies of its datasets on the destination of its transfers, e.g. after its host has failed
+   * The copies are found by the properties stored by recordReplica. An interrupted receive is aborted, each copy is rolled back to its latest snapshot and
+   * made writable, then the domain is defined from the stored definition (with the mappings applied) and started. The host the copies have been transferred
+   * from is not contacted, the domain must not be running there anymore. See failbackDomain to move the domain back.
+   * @param {string} domain - specify domain name
+   * @param {string|null} replicaHostPath - the host holding the copies specified as [USER@]HOST[:PORT][:DATASET], only the descendants of the dataset are searched
+   *   if given, null for the destination of the domain's profile
+   * @param {boolean} run - only actually do anything if set to true, dry-run otherwise
+   * @param {{mappings?: DomainMappings}} options - mappings of the definition in addition to the ones configured for the replica host (see getDomainMappings)
+   * @returns {Promise<{success: boolean, dryRun: boolean, domain: string, replica: string, datasets: {dataset: string, source: string, snapshot: string}[], error: string|null}>}
+   *   source is the dataset the copy has been transferred from, snapshot the one it is rolled back to
+   */
+  async failoverDomain(domain, replicaHostPath, run, options={}) {
+    validateDomainName(domain);
+    replicaHostPath = replicaHostPath || (this.config.domains[domain] || {}).dest || null;
+    if (!replicaHostPath)
+      throw new Error(`no replica host given for domain ${domain} and no destination configured`);
+    const {destHost:replicaHost, destDataset:root} = this.splitDestHostPath(replicaHostPath, false);
+
+    const result = {success: false, dryRun: !run, domain, replica: replicaHost, datasets: [], error: null};
+    const fail = (error) => {
+      result.error = error;
+      this.reportError(error);
+      return result;
+    };
+
+    const terminal = this.connect(replicaHost);
+    try {
+      const {datasets, xml} = await this.getReplica(terminal, domain, root ? root.replace(/\/$/, "") : null);
+      if (!datasets.length)
+        return fail(`no copy of domain ${domain} found on ${replicaHost}`);
+      if (!xml)
+        return fail(`no definition of domain ${domain} stored with its copy on ${replicaHost}`);
+      const {code:stateCode, stdout:state} = await terminal.run(command('virsh', 'domstate', domain));
+      if (stateCode === 0 && ['running', 'paused'].includes(state.trim()))
+        return fail(`domain ${domain} is already ${state.trim()} on ${replicaHost}, aborting`);
+
+      for (const {dataset, source} of datasets) {
+        const snapshots = (await this.getSnapshots(terminal, dataset)).filter(item=>item.startsWith(`${dataset}@`));
+        if (!snapshots.length)
+          return fail(`no snapshot of ${dataset} found on ${replicaHost}, aborting`);
+        const snapshot = snapshots[snapshots.length-1].split("@")[1];
+        result.datasets.push({dataset, source, snapshot});
+        this.printResult(`${dataset} on ${replicaHost} (copy of ${source}): ${run ? "rolling back" : "would roll back"} to ${snapshot}`, true);
+      }
+      if (!run) {
+        result.success = true;
+        return result;
+      }
+
+      for (const {dataset, snapshot} of result.datasets) {
+        const token = `${await terminal.exec(command('zfs', 'get', '-H', '-o', 'value', 'receive_resume_token', dataset))}`.trim();
+        if (token && token !== "-")
+          await terminal.exec(command('zfs', 'recv', '-A', dataset));
+        await terminal.exec(command('zfs', 'rollback', '-r', `${dataset}@${snapshot}`));
+        if (`${await terminal.exec(command('zfs', 'get', '-H', '-o', 'value', 'readonly', dataset))}`.trim() === "on")
+          await terminal.exec(command('zfs', 'set', 'readonly=off', dataset));
+      }
+
+      const rewritten = rewriteDomainXml(xml, this.getDomainMappings(replicaHost, options.mappings));
+      rewritten.changes.forEach(change => this.printResult(`definition of ${domain} on ${replicaHost}: ${change}`, true));
+      const xmlFile = await this.createTempFile(terminal);
+      const {code:defineCode, stderr:defineError} = await terminal.exec(`${command('printf', '%s', rewritten.xml)} > ${quote(xmlFile)}`)
+          .then(() => terminal.run(command('virsh', 'define', xmlFile)))
+          .finally(() => this.removeTempFiles(terminal, [xmlFile]));
+      if (defineCode !== 0)
+        return fail(`failed to define domain ${domain} on ${replicaHost}: ${defineError.trim()}`);
+      const {code:startCode, stderr:startError} = await terminal.run(command('virsh', 'start', domain));
+      if (startCode !== 0)
+        return fail(`failed to start domain ${domain} on ${replicaHost}: ${startError.trim()}`);
+    } catch (err) {
+      return fail(`failover of domain ${domain} to ${replicaHost} failed: ${(err+"").trim()}`);
+    } finally {
+      await terminal.close();
+    }
+    this.printResult(`domain ${domain} started on ${replicaHost} from snapshot ${result.datasets[0].snapshot}`, true);
+    result.success = true;
+    return result;
+  }
+
+  /**
+   * Move a domain started by failoverDomain back to the host its datasets have been transferred from
+   * The datasets on the home host are reconciled with their copies first: snapshots taken and data written there after the latest snapshot in common
+   * (i.e. since the last transfer before the failover) are discarded if forced, the failback is refused otherwise. Then the domain is migrated home by
+   * migrateDomain, which transfers the copies back (reversing the direction of the replication) and undefines the domain on the replica host.
+   * @param {string} replicaHostDomain - specify domain name, optionally prefixed by the HOST[:PORT] it has been failed over to (defaults to the destination of the domain's profile)
+   * @param {string|null} homeHostPath - the host to move the domain back to specified as [USER@]HOST[(INTERNAL_HOST)][:PORT], null for the host the copies have been transferred from
+   * @param {boolean} run - only actually do anything if set to true, dry-run otherwise
+   * @param {boolean} force - if true, discard the snapshots and changes on the home host since the latest snapshot in common, or the contents of a home dataset without any
+   * @param {{migration?: Object}} options - the options of the migration (see migrateDomain)
+   * @returns {Promise<{success: boolean, dryRun: boolean, domain: string, replica: string|null, home: string|null, datasets: {dataset: string, home: string, commonSnapshot: string|null, discarded: string[]}[], migration: Object|null, error: string|null}>}
+   *   discarded are the snapshots of the home dataset after the common one
+   */
+  async failbackDomain(replicaHostDomain, homeHostPath, run, force, options={}) {
+    const {host, port, attr:domain} = this.splitHostPortAttr(replicaHostDomain);
+    validateDomainName(domain);
+    const profile = this.config.domains[domain] || {};
+    const replicaHost = host ? `${host}${port ? `:${port}` : ""}` : profile.dest ? this.splitDestHostPath(profile.dest, false).destHost : null;
+
+    const result = {success: false, dryRun: !run, domain, replica: replicaHost, home: null, datasets: [], migration: null, error: null};
+    const fail = (error) => {
+      result.error = error;
+      this.reportError(error);
+      return result;
+    };
+
+    let datasets;
+    const replicaTerminal = this.connect(replicaHost);
+    try {
+      ({datasets} = await this.getReplica(replicaTerminal, domain));
+    } finally {
+      await replicaTerminal.close();
+    }
+    if (!datasets.length)
+      return fail(`no copy of domain ${domain} found on ${replicaHost}`);
+    const sources = datasets.map(({dataset, source}) => {
+      const {host:sourceHost, port:sourcePort, attr:home} = this.splitHostPortAttr(source);
+      return {dataset, home, host: sourceHost ? `${sourceHost}${sourcePort ? `:${sourcePort}` : ""}` : null};
+    });
+    if (homeHostPath) {
+      const {destHost, destDataset} = this.splitDestHostPath(homeHostPath, false);
+      if (destDataset)
+        throw new Error(`no dataset expected for the home host, the copies are transferred back to the datasets they have been transferred from`);
+      result.home = destHost;
+    } else {
+      const hosts = [...new Set(sources.map(source=>source.host))];
+      if (hosts.length > 1)
+        return fail(`the copies of domain ${domain} have been transferred from several hosts (${hosts.join(", ")}), specify the home host`);
+      if (!hosts[0])
+        return fail(`the copies of domain ${domain} have been transferred by a transfer run on their source host, specify the home host`);
+      result.home = homeHostPath = hosts[0];
+    }
+    const home = result.home;
+
+    /* the domain is migrated to the datasets the copies have been transferred from (see getDestDataset) */
+    let destPath = sources[0].home;
+    if (sources.length > 1) {
+      const parents = [...new Set(sources.map(source=>posix.dirname(source.home)))];
+      if (parents.length > 1 || parents[0] === "." || sources.some(source=>posix.basename(source.home) !== posix.basename(source.dataset)))
+        return fail(`the datasets of domain ${domain} on ${home} (${sources.map(source=>source.home).join(", ")}) do not match the names of their copies below a common parent, aborting`);
+      destPath = `${parents[0]}/`;
+    }
+
+    const homeTerminal = this.connect(home);
+    try {
+      const {code:stateCode, stdout:state} = await homeTerminal.run(command('virsh', 'domstate', domain));
+      if (stateCode === 0 && ['running', 'paused'].includes(state.trim()))
+        return fail(`domain ${domain} is ${state.trim()} on ${home}, shut it down before failing back (its storage there is outdated)`);
+
+      for (const source of sources) {
+        const status = await this.getDatasetPairStatus(replicaHost, source.dataset, home, source.home);
+        const common = status.commonSnapshot;
+        const later = common ? status.destination.snapshots.map(snapshot=>snapshot.name).slice(status.destination.snapshots.findIndex(snapshot=>snapshot.name === common) + 1) : [];
+        result.datasets.push({dataset: source.dataset, home: source.home, commonSnapshot: common, discarded: later});
+        if (!status.destination.exists)
+          continue;
+        if (!common) {
+          if (!force)
+            return fail(`${source.home} on ${home} has no snapshot in common with ${source.dataset}, aborting (use force to discard its contents)`);
+          this.printResult(`${source.home} on ${home}: no snapshot in common with ${source.dataset}, its contents ${run ? "are" : "would be"} discarded`, true);
+          continue;
+        }
+        if (!status.modified)
+          continue;
+        const discarded = [...later.length ? [`snapshot${later.length>1 ? "s" : ""} ${later.join(", ")}`] : [], ...status.destinationWritten ? [`${bytes.format(status.destinationWritten)} written`] : []].join(" and ");
+        if (!force)
+          return fail(`${source.home} on ${home} has been modified since ${common} (${discarded}), aborting (use force to discard the changes)`);
+        this.printResult(`${source.home} on ${home}: ${run ? "rolling back" : "would roll back"} to ${common}, discarding ${discarded}`, true);
+        if (run)
+          await homeTerminal.exec(command('zfs', 'rollback', '-r', `${source.home}@${common}`));
+      }
+    } catch (err) {
+      return fail(`failed to reconcile the datasets of domain ${domain} on ${home}: ${(err+"").trim()}`);
+    } finally {
+      await homeTerminal.close();
+    }
+
+    result.migration = await this.migrateDomain(`${replicaHost ? `${replicaHost}:` : ""}${domain}`, `${homeHostPath}:${destPath}`, run, force, options.migration || {});
+    if (!result.migration.success)
+      return fail(`failback of domain ${domain} to ${home} failed: ${result.migration.error}`);
+    if (run)
+      this.printResult(`domain ${domain} failed back to ${home}`, true);
+    result.success = true;
+    return result;
+  }
+
+  /**
+   * Migrate all (or the selected) running libvirt domains off a hypervisor
+   * The domains are migrated by migrateDomain, each one to one of the destinations chosen by the placement (see placeDomains). A destination dataset may
+   * contain '{domain}', which is replaced by the domain name, e.g. host1:tank/vms/{domain}. A dataset without '{domain}' would be shared by all domains,
+   * so it is used as their parent, e.g. host1:tank/vms stands for host1:tank/vms/ (see getDestDataset). Without dataset, the dataset configured in the
+   * profile of the domain applies (see applyDomainProfile).
+   * @param {string} srcHostPort - the host to evacuate specified as [USER@]HOST[:PORT]
+   * @param {string[]} destHostPaths - the destinations specified as [USER@]HOST[(INTERNAL_HOST)][:PORT][:DATASET]
+   * @param {boolean} run - only actually do anything if set to true, dry-run otherwise
+   * @param {boolean} force - if true, rollback incremental snapshot source on destination if modified or discard existing dataset's contents if no snapshot exists on destination
+   * @param {{include?: string[], exclude?: string[], concurrency?: number, placement?: string, migration?: Object}} options - glob patterns selecting the
+   *   domains by name (see globToRegExp), the number of concurrent migrations (defaults to 1), one of PLACEMENTS (defaults to round-robin), the options of the migrations (see migrateDomain)
+   * @returns {Promise<{success: boolean, dryRun: boolean, source: string, domains: {domain: string, destination: string|null, status: string, error: string|null, migration: Object|null}[], error: string|null}>}
+   *   status is one of 'succeeded', 'failed' or 'skipped', success is false if any migration failed
+   */
+  async evacuateHost(srcHostPort, destHostPaths, run, force, options={}) {
+    const hostPort = this.resolveHostPort(srcHostPort);
+    const placement = options.placement || 'round-robin';
+    if (!hostPort)
+      throw new Error(`no source host given`);
+    if (!PLACEMENTS.includes(placement))
+      throw new Error(`invalid placement '${placement}', expected one of ${PLACEMENTS.join(", ")}`);
+    if (!destHostPaths.length)
+      throw new Error(`no destination given`);
+    for (const destHostPath of destHostPaths)
+      this.splitDestHostPath(destHostPath.replace(/\{domain\}/g, "domain"));
+    const getDestination = (destHostPath, domain) => {
+      const {destDataset} = this.splitDestHostPath(destHostPath.replace(/\{domain\}/g, "domain"), false);
+      if (destDataset && !destHostPath.includes("{domain}") && !destDataset.endsWith("/"))
+        destHostPath = `${destHostPath}/`;
+      return destHostPath.replace(/\{domain\}/g, domain);
+    };
+    const result = {success: false, dryRun: !run, source: hostPort, domains: [], error: null};
+
+    const {code, stdout, stderr} = await this.connect(hostPort).run(command('virsh', 'list', '--name'));
+    if (code !== 0) {
+      result.error = `cannot list the running domains on ${hostPort}: ${stderr.trim()}`;
+      this.reportError(result.error);
+      return result;
+    }
+    const include = (options.include || []).map(globToRegExp);
+    const exclude = (options.exclude || []).map(globToRegExp);
+    const selected = [];
+    for (const domain of parseDomainNames(stdout)) {
+      if ((include.length && !include.some(regex=>regex.test(domain))) || exclude.some(regex=>regex.test(domain)))
+        result.domains.push({domain, destination: null, status: 'skipped', error: 'not selected', migration: null});
+      else
+        selected.push(domain);
+    }
+    this.printResult(`${selected.length} running domain${selected.length===1 ? "" : "s"} to evacuate from ${hostPort}${selected.length ? `: ${selected.join(", ")}` : ""}`, true);
+
+    let queue;
+    try {
+      queue = await this.placeDomains(hostPort, selected, destHostPaths, placement);
+    } catch (err) {
+      result.error = `placement failed: ${(err+"").trim()}`;
+      this.reportError(result.error);
+      return result;
+    }
+    const worker = async () => {
+      while (queue.length) {
+        const {domain, destHostPath, error} = queue.shift();
+        if (!destHostPath) {
+          this.printResult(`${domain}: skipped, ${error}`, false);
+          result.domains.push({domain, destination: null, status: 'skipped', error, migration: null});
+          continue;
+        }
+        const destination = getDestination(destHostPath, domain);
+        let migration;
+        try {
+          migration = await this.migrateDomain(`${hostPort}:${domain}`, destination, run, force, options.migration || {});
+        } catch (err) {
+          migration = {success: false, error: `${(err+"").trim()}`};
+          this.reportError(migration.error);
+        }
+        this.printResult(`${domain}: ${run ? "migration" : "dry run"} to ${destination} ${migration.success ? "succeeded" : "failed"}`, migration.success);
+        result.domains.push({domain, destination, status: migration.success ? 'succeeded' : 'failed', error: migration.error || null, migration});
+      }
+    };
+    await Promise.all(Array.from({length: Math.max(1, options.concurrency || 1)}, worker));
+    result.success = result.domains.every(domain=>domain.status !== 'failed');
+    return result;
+  }
+
+  /**
+   * Assign the domains of an evacuation to the destinations
+   * 'round-robin' assigns them in turn, 'capacity' assigns the largest domains first, each one to the destination with the most free memory
+   * (free, buffers and cache according to virsh nodememstats) that is left after the domains assigned before.
+   * @param {string} srcHostPort - the source host specified as [USER@]HOST[:PORT]
+   * @param {string[]} domains
+   * @param {string[]} destHostPaths - the destinations, see evacuateHost
+   * @param {string} placement - one of PLACEMENTS
+   * @returns {Promise<{domain: string, destHostPath: string|null, error: string|null}[]>} destHostPath is null if the domain fits on no destination
+   */
+  async placeDomains(srcHostPort, domains, destHostPaths, placement) {
+    if (placement === 'round-robin')
+      return domains.map((domain, i)=>({domain, destHostPath: destHostPaths[i % destHostPaths.length], error: null}));
+
+    const memory = {};
+    const source = this.connect(srcHostPort);
+    for (const domain of domains) {
+      const [, used] = `${await source.exec(command('virsh', 'dominfo', domain))}`.match(/^Used memory:\s+(\d+)/m) || [];
+      memory[domain] = (Number(used) || 0) * 1024;
+    }
+    const free = [];
+    for (const destHostPath of destHostPaths) {
+      /* the dataset does not matter for the host, the placeholder is replaced to pass validation */
+      const {destHost} = this.splitDestHostPath(destHostPath.replace(/\{domain\}/g, "domain"));
+      const stats = `${await this.connect(destHost).exec(command('virsh', 'nodememstats'))}`;
+      const stat = (name) => (Number((stats.match(new RegExp(`^\\s*${name}\\s*:\\s*(\\d+)`, "m")) || [])[1]) || 0) * 1024;
+      free.push(stat("free") + stat("buffers") + stat("cached"));
+    }
+    return [...domains].sort((a, b)=>memory[b] - memory[a]).map((domain) => {
+      const best = free.reduce((best, available, i)=>available >= memory[domain] && (best === -1 || available > free[best]) ? i : best, -1);
+      if (best === -1)
+        return {domain, destHostPath: null, error: `no destination has ${bytes.format(memory[domain])} of free memory left`};
+      free[best] -= memory[domain];
+      this.printResult(`${domain} (${bytes.format(memory[domain])}) placed on ${destHostPaths[best]}, ${bytes.format(free[best])} of free memory left`, true);
+      return {domain, destHostPath: destHostPaths[best], error: null};
+    });
+  }
+
+  /**
+   * Execute virsh operation upon libvirt domain
+   * @param {string} srcHostDomain - specify domain name
+   * @param {string} cmd - virsh operation to execute, whitespace-separated options are passed as separate arguments
+   * @returns {Promise<{success: boolean, domain: string, operation: string}>}
    */
   async executeDomainOperation(srcHostDomain, cmd) {
+    ({srcHostDomain} = this.applyDomainProfile(srcHostDomain, null, false));
     const {host, port, attr:domain} = this.splitHostPortAttr(srcHostDomain);
+    validateDomainName(domain);
     const hostPort = host ? `${host}${port ? `:${port}` : ""}` : null;
-    const terminal = host ? await this.openRemoteSSH(hostPort) : shell;
+    const terminal = this.connect(hostPort);
+    let success = false;
     try {
       await new Promise(async (resolve, reject) => {
-        const virsh = await (host ? terminal.spawn : spawn).call(this,'virsh', [cmd,`"${domain}"`], {shell:true});
+        const virsh = terminal.spawn(command('virsh', ...cmd.trim().split(/\s+/), domain));
         virsh.stdout.on('data', (data) => {
-          process.stdout.write(data);
+          this.emit('output', {stream: 'stdout', data});
         });
         virsh.stderr.on('data', (data) => {
-          process.stderr.write(data);
+          this.emit('output', {stream: 'stderr', data});
         });
         virsh.on('error', (error) => {
           reject(error);
@@ -568,11 +2555,12 @@ class Zfsdom {
         });
       });
       this.printResult("domain operation completed successfully",true)
+      success = true;
     } catch (error) {
-      this.printResult("domain operation failed",false)
+      this.reportError("domain operation failed")
     }
-    if (host)
-      terminal.close();
+    await terminal.close();
+    return {success, domain, operation: cmd};
   }
 }
 
@@ -0,0 +1,96 @@
+const {describe, it} = require('node:test');
+const assert = require('node:assert/strict');
+const {setup} = require('./hosts.js');
+
+/**
+ * set up hv1 running web1, web2 and db1 and a third hypervisor hv3, zfsdom running on neither of them
+ * @returns {Object} the hosts, see setup
+ */
+function setupDomains() {
+  const hosts = setup({local: "ctl"});
+  const {transport, hv1, hv2} = hosts;
+  const hv3 = transport.addHost("hv3");
+  for (const dataset of ["tank", "tank/vms"])
+    hv3.createDataset(dataset);
+  hv3.addNetwork("default");
+  for (const host of [hv2, hv3])
+    host.createDataset("backup");
+  for (const domain of ["web2", "db1"]) {
+    hv1.createDataset(`tank/vms/${domain}`);
+    hv1.defineDomain(domain, {memory: 8e6, disks: [{type: "file", path: `/tank/vms/${domain}/disk.qcow2`}], networks: ["default"]});
+  }
+  return {...hosts, hv3};
+}
+
+describe('evacuateHost', () => {
+  it('migrates the running domains to the destinations in turn', async () => {
+    const {hv1, hv2, hv3, zfsdom} = setupDomains();
+    hv1.domains.get("db1").state = "shut off";
+    const result = await zfsdom.evacuateHost("hv1", ["hv2", "hv3"], true, false);
+    assert.equal(result.success, true, result.error);
+    assert.deepEqual(result.domains.map(({domain, destination, status}) => [domain, destination, status]), [
+      ["web1", "hv2", "succeeded"],
+      ["web2", "hv3", "succeeded"],
+    ]);
+    assert.equal(hv2.domains.get("web1").state, "running");
+    assert.equal(hv3.domains.get("web2").state, "running");
+    assert.equal(hv1.domains.get("db1").state, "shut off");
+    assert.equal(hv2.domains.has("db1") || hv3.domains.has("db1"), false);
+  });
+
+  it('uses a dataset with {domain} per domain and one without as parent', async () => {
+    const {hv2, hv3, zfsdom} = setupDomains();
+    const result = await zfsdom.evacuateHost("hv1", ["hv2:backup/{domain}-vm", "hv3:backup"], true, false);
+    assert.equal(result.success, true, result.error);
+    assert.deepEqual(result.domains.map(domain => domain.destination), ["hv2:backup/web1-vm", "hv3:backup/", "hv2:backup/db1-vm"]);
+    for (const [host, dataset] of [[hv2, "backup/web1-vm"], [hv3, "backup/web2"], [hv2, "backup/db1-vm"]])
+      assert.ok(host.datasets.has(dataset), dataset);
+  });
+
+  it('migrates several domains at a time over tcp to the same destination', async () => {
+    const {hv1, hv2, zfsdom} = setupDomains();
+    const result = await zfsdom.evacuateHost("hv1", ["hv2(10.0.0.2)"], true, false, {concurrency: 3, migration: {stream: {tcp: true}}});
+    assert.equal(result.success, true, result.error);
+    assert.deepEqual(result.domains.map(domain => domain.status), ["succeeded", "succeeded", "succeeded"]);
+    for (const domain of ["web1", "web2", "db1"])
+      assert.equal(hv2.domains.get(domain).state, "running");
+    const ports = new Set(hv1.history.map(cmd => cmd.match(/mbuffer .*-O 10\.0\.0\.2:(\d+)/)?.[1]).filter(port => port));
+    assert.ok(ports.size > 1);
+  });
+
+  it('selects the domains by name', async () => {
+    const {hv1, zfsdom} = setupDomains();
+    const result = await zfsdom.evacuateHost("hv1", ["hv2"], false, false, {include: ["web*"], exclude: ["web2"]});
+    assert.equal(result.success, true, result.error);
+    assert.equal(result.dryRun, true);
+    assert.deepEqual(result.domains.map(({domain, status, error}) => [domain, status, error]), [
+      ["web2", "skipped", "not selected"],
+      ["db1", "skipped", "not selected"],
+      ["web1", "succeeded", null],
+    ]);
+    assert.equal(hv1.domains.get("web1").state, "running");
+  });
+
+  it('continues with the next domain if a migration fails', async () => {
+    const {hv1, hv2, zfsdom} = setupDomains();
+    hv2.fail("virsh resume", {stderr: "error: internal error"});
+    const result = await zfsdom.evacuateHost("hv1", ["hv2"], true, false);
+    assert.equal(result.success, false);
+    assert.deepEqual(result.domains.map(domain => domain.status), ["failed", "succeeded", "succeeded"]);
+    assert.match(result.domains[0].error, /internal error/);
+    assert.equal(result.domains[0].migration.rollback.success, true);
+    assert.equal(hv1.domains.get("web1").state, "running");
+    assert.equal(hv2.domains.get("web2").state, "running");
+  });
+
+  it('skips the domains that fit on no destination', async () => {
+    const {hv1, hv2, hv3, zfsdom} = setupDomains();
+    hv1.domains.get("db1").memory = 32 * 1024 ** 2;
+    hv2.memory = hv3.memory = 24 * 1024 ** 3;
+    const result = await zfsdom.evacuateHost("hv1", ["hv2", "hv3"], false, false, {placement: "capacity"});
+    assert.equal(result.success, true, result.error);
+    const db1 = result.domains.find(domain => domain.domain === "db1");
+    assert.equal(db1.status, "skipped");
+    assert.match(db1.error, /free memory/);
+  });
+});
@@ -0,0 +1,87 @@
+const {describe, it} = require('node:test');
+const assert = require('node:assert/strict');
+const {setup} = require('./hosts.js');
+
+/**
+ * transfer web1 to hv2 twice and fail over to hv2, the data written on hv1 after the last transfer is lost
+ * @returns {Promise<Object>} the hosts (see setup) and the snapshot the copy has been rolled back to
+ */
+async function failover() {
+  const hosts = setup();
+  const {hv1, zfsdom} = hosts;
+  await zfsdom.transferDomainSnapshot("web1", "hv2", true, false);
+  hv1.write("tank/vms/web1", 1e6);
+  const {snapshot} = await zfsdom.transferDomainSnapshot("web1", "hv2", true, false);
+  hv1.write("tank/vms/web1", 2e6);
+  hv1.reachable = false;
+  const result = await zfsdom.failoverDomain("web1", "hv2", true);
+  assert.equal(result.success, true, result.error);
+  return {...hosts, snapshot};
+}
+
+describe('failoverDomain', () => {
+  it('starts the domain from the latest snapshot of its copy', async () => {
+    const {hv1, hv2, snapshot} = await failover();
+    assert.equal(hv2.domains.get("web1").state, "running");
+    assert.equal(hv2.getSnapshots("tank/vms/web1").at(-1), snapshot);
+    assert.equal(hv2.getDataset("tank/vms/web1").referenced, hv1.getDataset("tank/vms/web1").referenced - 2e6);
+  });
+
+  it('does not start anything in a dry run', async () => {
+    const {hv1, hv2, zfsdom} = setup();
+    const transfer = await zfsdom.transferDomainSnapshot("web1", "hv2", true, false);
+    hv1.reachable = false;
+    const result = await zfsdom.failoverDomain("web1", "hv2", false);
+    assert.equal(result.success, true, result.error);
+    assert.deepEqual(result.datasets, [{dataset: "tank/vms/web1", source: "tank/vms/web1", snapshot: transfer.snapshot}]);
+    assert.equal(hv2.domains.has("web1"), false);
+  });
+
+  it('fails without copy or if the domain is already running', async () => {
+    const {hv2, zfsdom} = setup();
+    const missing = await zfsdom.failoverDomain("web1", "hv2", true);
+    assert.equal(missing.success, false);
+    assert.match(missing.error, /no copy of domain web1 found on hv2/);
+
+    await zfsdom.transferDomainSnapshot("web1", "hv2", true, false);
+    assert.equal((await zfsdom.failoverDomain("web1", "hv2", true)).success, true);
+    const again = await zfsdom.failoverDomain("web1", "hv2", true);
+    assert.equal(again.success, false);
+    assert.match(again.error, /already running on hv2/);
+    assert.equal(hv2.domains.get("web1").state, "running");
+  });
+});
+
+describe('failbackDomain', () => {
+  it('migrates the domain back to its home host', async () => {
+    const {hv1, hv2, zfsdom, snapshot} = await failover();
+    hv2.write("tank/vms/web1", 3e6);
+    hv1.reachable = true;
+    const running = await zfsdom.failbackDomain("hv2:web1", "hv1", true, false);
+    assert.equal(running.success, false);
+    assert.match(running.error, /is running on hv1/);
+
+    hv1.domains.get("web1").state = "shut off";
+    const modified = await zfsdom.failbackDomain("hv2:web1", "hv1", true, false);
+    assert.equal(modified.success, false);
+    assert.match(modified.error, /has been modified since/);
+
+    const result = await zfsdom.failbackDomain("hv2:web1", "hv1", true, true);
+    assert.equal(result.success, true, result.error);
+    assert.equal(result.datasets[0].commonSnapshot, snapshot);
+    assert.equal(hv1.domains.get("web1").state, "running");
+    assert.notEqual(hv2.domains.get("web1")?.state, "running");
+    assert.equal(hv1.getDataset("tank/vms/web1").referenced, hv2.getDataset("tank/vms/web1").referenced);
+  });
+
+  it('resumes the replication after failing back', async () => {
+    const {hv1, zfsdom} = await failover();
+    hv1.reachable = true;
+    hv1.domains.get("web1").state = "shut off";
+    assert.equal((await zfsdom.failbackDomain("hv2:web1", "hv1", true, true)).success, true);
+    hv1.write("tank/vms/web1", 1e6);
+    const transfer = await zfsdom.transferDomainSnapshot("web1", "hv2", true, false);
+    assert.equal(transfer.success, true, transfer.error);
+    assert.ok(transfer.transfers[0].commonSnapshot);
+  });
+});
@@ -0,0 +1,34 @@
+/**
+ * Simulated hypervisors shared by the tests (see simulation.js)
+ */
+
+const Zfsdom = require('../src/zfsdom.js');
+const {SimulatedTransport} = require('./simulation.js');
+
+/**
+ * set up the hypervisors hv1 and hv2, both having the datasets tank and tank/vms, hv1 running the domain web1 stored on tank/vms/web1
+ * @param {{local?: string, config?: Object}} options - the host zfsdom runs on (hv1 unless given, any other name adds a host without datasets), the
+ *   configuration of zfsdom
+ * @returns {{transport: SimulatedTransport, hv1: SimulatedHost, hv2: SimulatedHost, zfsdom: Zfsdom, status: string[]}} status collects the
+ *   messages reported by zfsdom, failures prefixed by '-'
+ */
+function setup(options={}) {
+  const transport = new SimulatedTransport({}, options.local || "hv1");
+  const hv1 = options.local ? transport.addHost("hv1") : transport.local;
+  const hv2 = transport.addHost("hv2", {addresses: ["10.0.0.2"]});
+  for (const host of [hv1, hv2]) {
+    host.createDataset("tank");
+    host.createDataset("tank/vms");
+    host.addNetwork("default");
+  }
+  hv1.createDataset("tank/vms/web1");
+  hv1.defineDomain("web1", {memory: 8e6, disks: [{type: "file", path: "/tank/vms/web1/disk.qcow2"}], networks: ["default"]});
+  hv1.write("tank/vms/web1", 5e6);
+
+  const zfsdom = new Zfsdom({transport, config: options.config});
+  const status = [];
+  zfsdom.on('status', ({message, success}) => status.push(`${success ? "" : "-"}${message}`));
+  return {transport, hv1, hv2, zfsdom, status};
+}
+
+module.exports = {setup};
@@ -0,0 +1,175 @@
+const {describe, it} = require('node:test');
+const assert = require('node:assert/strict');
+const {setup} = require('./hosts.js');
+
+describe('migrateDomain', () => {
+  it('migrates a running domain with its storage', async () => {
+    const {hv1, hv2, zfsdom} = setup();
+    const phases = [];
+    zfsdom.on('migration-phase', ({phase}) => phases.push(phase));
+    const result = await zfsdom.migrateDomain("web1", "hv2", true, false);
+    assert.equal(result.success, true, result.error);
+    assert.equal(result.phase, 'done');
+    assert.deepEqual(phases, ['resolve', 'check', 'pre-sync', 'pre-copy', 'migrate', 'final-sync', 'chown', 'resume', 'done']);
+    assert.equal(hv2.domains.get("web1").state, "running");
+    assert.equal(hv1.domains.get("web1").state, "shut off");
+    assert.equal(hv2.getDataset("tank/vms/web1").referenced, hv1.getDataset("tank/vms/web1").referenced);
+    assert.equal(hv2.getSnapshots("tank/vms/web1").at(-1), hv1.getSnapshots("tank/vms/web1").at(-1));
+    const [initial, final] = [result.transfers[0], result.transfers.at(-1)];
+    assert.equal(initial.transfers[0].commonSnapshot, null);
+    assert.equal(final.transfers[0].commonSnapshot, hv2.getSnapshots("tank/vms/web1").at(-2));
+  });
+
+  it('rewrites the disk paths for another dataset', async () => {
+    const {hv2, zfsdom} = setup();
+    hv2.createDataset("data");
+    const result = await zfsdom.migrateDomain("web1", "hv2:data/web1", true, false);
+    assert.equal(result.success, true, result.error);
+    assert.match(hv2.domains.get("web1").xml, /<source file='\/data\/web1\/disk\.qcow2'\/>/);
+  });
+
+  it('refuses to migrate datasets with the same name into one destination dataset', async () => {
+    const {hv1, hv2, zfsdom} = setup();
+    hv1.createDataset("ssd");
+    hv1.createDataset("ssd/web1");
+    hv1.defineDomain("web1", {memory: 8e6, disks: [{type: "file", path: "/tank/vms/web1/disk.qcow2"}, {type: "file", path: "/ssd/web1/data.qcow2"}], networks: ["default"]});
+    hv2.createDataset("data");
+    const result = await zfsdom.migrateDomain("web1", "hv2:data", true, false);
+    assert.equal(result.success, false);
+    const check = result.checks.find(check => check.check === "destination datasets");
+    assert.equal(check.success, false);
+    assert.match(check.message, /tank\/vms\/web1, ssd\/web1 would all be transferred to data\/web1/);
+    assert.deepEqual(hv1.getSnapshots("tank/vms/web1"), []);
+    assert.equal(hv1.domains.get("web1").state, "running");
+    assert.equal(hv2.datasets.has("data/web1"), false);
+  });
+
+  it('does not modify anything in a dry run', async () => {
+    const {hv1, hv2, zfsdom} = setup();
+    const result = await zfsdom.migrateDomain("web1", "hv2", false, false);
+    assert.equal(result.success, true, result.error);
+    assert.equal(result.dryRun, true);
+    assert.equal(hv1.domains.get("web1").state, "running");
+    assert.equal(hv2.domains.has("web1"), false);
+    assert.equal(hv2.datasets.has("tank/vms/web1"), false);
+    assert.equal(hv1.history.some(line => /^stat /.test(line)), false);
+  });
+
+  it('removes the definitions written for virsh afterwards', async () => {
+    const {hv1, hv2, zfsdom} = setup();
+    hv2.createDataset("data");
+    const result = await zfsdom.migrateDomain("web1", "hv2:data/web1", true, false);
+    assert.equal(result.success, true, result.error);
+    const migrate = hv1.history.find(line => /^virsh migrate /.test(line));
+    assert.match(migrate, /--persistent-xml \/tmp\/zfsdom-\w+ --xml \/tmp\/zfsdom-\w+ /);
+    assert.deepEqual([...hv1.files.keys()].filter(path => path.startsWith("/tmp/")), []);
+  });
+
+  it('migrates a domain that is shut off offline only', async () => {
+    const {hv1, hv2, zfsdom} = setup();
+    hv1.domains.get("web1").state = "shut off";
+    const live = await zfsdom.migrateDomain("web1", "hv2", true, false);
+    assert.equal(live.success, false);
+    assert.match(live.error, /is not running/);
+
+    const offline = await zfsdom.migrateDomain("web1", "hv2", true, false, {offline: true});
+    assert.equal(offline.success, true, offline.error);
+    assert.equal(hv2.domains.get("web1").state, "shut off");
+    assert.equal(hv1.domains.has("web1"), false);
+  });
+
+  it('fails the checks if the destination lacks a network of the domain', async () => {
+    const {hv1, hv2, zfsdom} = setup();
+    hv2.networks.clear();
+    const result = await zfsdom.migrateDomain("web1", "hv2", true, false);
+    assert.equal(result.success, false);
+    assert.equal(result.phase, 'check');
+    assert.ok(result.checks.some(check => !check.success));
+    assert.equal(result.rollback, null);
+    assert.equal(hv1.domains.get("web1").state, "running");
+    assert.deepEqual(hv1.getSnapshots("tank/vms/web1"), []);
+  });
+
+  it('fails without modifying the source if the destination is unreachable', async () => {
+    const {hv1, hv2, zfsdom} = setup();
+    hv2.reachable = false;
+    const result = await zfsdom.migrateDomain("web1", "hv2", true, false);
+    assert.equal(result.success, false);
+    assert.match(result.error, /pre-flight checks failed/);
+    assert.equal(hv1.domains.get("web1").state, "running");
+    assert.deepEqual(hv1.getSnapshots("tank/vms/web1"), []);
+  });
+
+  it('rolls back if the domain cannot be resumed on the destination', async () => {
+    const {hv1, hv2, zfsdom} = setup();
+    hv2.fail("virsh resume", {stderr: "error: internal error"});
+    const result = await zfsdom.migrateDomain("web1", "hv2", true, false);
+    assert.equal(result.success, false);
+    assert.equal(result.phase, 'resume');
+    assert.match(result.error, /internal error/);
+    assert.equal(result.rollback.success, true, result.rollback.error);
+    assert.equal(hv1.domains.get("web1").state, "running");
+    assert.equal(hv2.domains.get("web1").state, "shut off");
+  });
+
+  for (const [phase, host, pattern, error] of [
+    ['final-sync', 'hv1', 'zfs snapshot', /final snapshot transfer failed/],
+    ['migrate', 'hv1', 'virsh autostart', /simulated error/],
+    ['chown', 'hv2', 'chown', /simulated error/],
+  ]) {
+    it(`rolls back if '${pattern}' fails in the ${phase} phase`, async () => {
+      const hosts = setup();
+      const {hv1, hv2, zfsdom} = hosts;
+      hv1.domains.get("web1").autostart = true;
+      zfsdom.on('migration-phase', (event) => {
+        if (event.phase === phase)
+          hosts[host].fail(pattern, {stderr: "simulated error"});
+      });
+      const result = await zfsdom.migrateDomain("web1", "hv2", true, false);
+      assert.equal(result.success, false);
+      assert.equal(result.phase, phase);
+      assert.match(result.error, error);
+      assert.equal(result.rollback.success, true, result.rollback.error);
+      assert.equal(hv1.domains.get("web1").state, "running");
+      assert.equal(hv1.domains.get("web1").autostart, true);
+      assert.notEqual(hv2.domains.get("web1")?.state, "running");
+    });
+  }
+});
+
+describe('cloneDomain', () => {
+  it('clones a domain with its storage under another name', async () => {
+    const {hv1, zfsdom} = setup();
+    const result = await zfsdom.cloneDomain("web1", "hv1:tank/vms/web2", true, {name: "web2"});
+    assert.equal(result.success, true, result.error);
+    const clone = hv1.domains.get("web2");
+    const domain = hv1.domains.get("web1");
+    assert.equal(clone.state, "shut off");
+    assert.notEqual(clone.uuid, domain.uuid);
+    assert.match(clone.xml, /<source file='\/tank\/vms\/web2\/disk\.qcow2'\/>/);
+    assert.ok(hv1.datasets.has("tank/vms/web2"));
+    assert.equal(domain.state, "running");
+  });
+
+  it('gives the clone an nvram of its own', async () => {
+    const {hv1, zfsdom} = setup();
+    hv1.defineDomain("web1", {disks: [{type: "file", path: "/tank/vms/web1/disk.qcow2"}], nvram: "/var/lib/libvirt/qemu/nvram/web1_VARS.fd"});
+    const result = await zfsdom.cloneDomain("web1", "hv1:tank/vms/web2", true, {name: "web2"});
+    assert.equal(result.success, true, result.error);
+    assert.match(hv1.domains.get("web2").xml, /<nvram template='\/usr\/share\/OVMF\/OVMF_VARS\.fd'>\/var\/lib\/libvirt\/qemu\/nvram\/web2_VARS\.fd<\/nvram>/);
+    assert.match(hv1.domains.get("web1").xml, /<nvram [^>]*>\/var\/lib\/libvirt\/qemu\/nvram\/web1_VARS\.fd<\/nvram>/);
+  });
+
+  it('refuses to clone onto an existing dataset or domain', async () => {
+    const {hv1, hv2, zfsdom} = setup();
+    const sameName = await zfsdom.cloneDomain("web1", "hv1:tank/vms/web2", true);
+    assert.equal(sameName.success, false);
+    assert.match(sameName.error, /a domain named web1 is already defined/);
+
+    hv2.createDataset("tank/vms/web1");
+    const existing = await zfsdom.cloneDomain("web1", "hv2", true);
+    assert.equal(existing.success, false);
+    assert.match(existing.error, /dataset tank\/vms\/web1 already exists/);
+    assert.equal(hv1.getSnapshots("tank/vms/web1").length, 0);
+  });
+});
@@ -0,0 +1,59 @@
+const {describe, it, after} = require('node:test');
+const assert = require('node:assert/strict');
+const {mkdtempSync, mkdirSync, writeFileSync, existsSync, rmSync} = require('fs');
+const {tmpdir} = require('os');
+const {join} = require('path');
+const {Replicator} = require('../src/replicator.js');
+const {setup} = require('./hosts.js');
+
+/* no process has this pid, it is the maximum pid_max on linux */
+const DEAD_PID = 4194304;
+
+describe('Replicator', () => {
+  const stateDir = mkdtempSync(join(tmpdir(), 'zfsdom-test-'));
+  after(() => rmSync(stateDir, {recursive: true, force: true}));
+
+  /**
+   * set up a replicator with the job web1 transferring the domain web1 to hv2
+   * @param {string} name - the name of the state directory below stateDir
+   * @returns {{replicator: Replicator, hv2: SimulatedHost, dir: string}}
+   */
+  function setupReplicator(name) {
+    const {hv2, zfsdom} = setup();
+    const dir = join(stateDir, name);
+    const replicator = new Replicator(zfsdom, {web1: {domain: "web1", dest: "hv2", every: 60000, retries: 0, retryDelay: 1000}}, {stateDir: dir});
+    return {replicator, hv2, dir};
+  }
+
+  it('replaces a lock left behind by a process that is not running anymore', async () => {
+    const {replicator, hv2, dir} = setupReplicator("stale");
+    writeFileSync(join(dir, "web1.lock"), `${DEAD_PID}\n`);
+    const result = await replicator.runOnce(["web1"]);
+    assert.equal(result.success, true, result.jobs[0].lastError);
+    assert.ok(hv2.datasets.has("tank/vms/web1"));
+    assert.equal(existsSync(join(dir, "web1.lock")), false);
+  });
+
+  it('skips a job locked by a running process', async () => {
+    const {replicator, hv2, dir} = setupReplicator("locked");
+    writeFileSync(join(dir, "web1.lock"), `${process.pid}\n`);
+    const ends = [];
+    replicator.on('job-end', entry => ends.push(entry));
+    await replicator.runAttempt("web1");
+    assert.equal(ends[0].skipped, true);
+    assert.equal(hv2.datasets.has("tank/vms/web1"), false);
+    assert.equal(existsSync(join(dir, "web1.lock")), true);
+  });
+
+  it('fails the attempt if the job cannot be locked', async () => {
+    const {replicator, dir} = setupReplicator("unlockable");
+    mkdirSync(join(dir, "web1.lock"));
+    const ends = [];
+    replicator.on('job-end', entry => ends.push(entry));
+    assert.equal(await replicator.runAttempt("web1"), false);
+    assert.equal(ends[0].success, false);
+    assert.equal(ends[0].skipped, false);
+    assert.match(ends[0].error, /EISDIR/);
+    assert.equal(replicator.getStatus()[0].failures, 1);
+  });
+});
@@ -0,0 +1,1481 @@
+/**
+ * Simulated hypervisors for running zfsdom without real hosts
+ *
+ * A SimulatedTransport can be given to Zfsdom instead of the OpenSSH transport (see transport.js). It runs the shell commands built by zfsdom
+ * against SimulatedHosts, which keep their zfs datasets and snapshots, libvirt domains, networks and files in memory. The commands are interpreted
+ * by a minimal shell (pipelines, ||, &&, redirections, ssh, sudo and sh -c), so everything from building the commands to parsing their output runs as
+ * it does against real hosts, e.g.:
+ *
+ *   const transport = new SimulatedTransport({}, "hv1");
+ *   const hv1 = transport.local;
+ *   const hv2 = transport.addHost("hv2", {addresses: ["10.0.0.2"]});
+ *   hv1.createDataset("tank");
+ *   hv1.createDataset("tank/web1");
+ *   hv1.defineDomain("web1", {disks: [{type: "file", path: "/tank/web1/disk.qcow2"}]});
+ *   hv2.createDataset("tank");
+ *   const result = await new Zfsdom({transport}).migrateDomain("web1", "hv2(10.0.0.2):tank/web1", true, false);
+ *
+ * Only the commands and options used by zfsdom are supported. Failures are injected by SimulatedHost.fail, unreachable hosts by setting
+ * SimulatedHost.reachable to false and missing tools by removing them from SimulatedHost.tools.
+ */
+
+const EventEmitter = require('events');
+const {posix} = require("path");
+const {Transport, Terminal} = require('../src/transport.js');
+const {command, quote} = require('../src/command.js');
+
+const TOOLS = [
+  'zfs', 'virsh', 'ssh', 'sudo', 'sh', 'command', 'true', 'false', 'cat', 'tail', 'printf', 'timeout', 'readlink', 'find', 'stat', 'id', 'chown', 'ip', 'ss',
+  'mktemp', 'rm',
+  'pv', 'zstd', 'lz4', 'gzip', 'mbuffer', 'socat', 'openssl',
+];
+/* the commands passing their input through unchanged, the stream is not actually compressed or encrypted */
+const FILTERS = ['cat', 'pv', 'zstd', 'lz4', 'gzip', 'openssl'];
+/* ssh options taking an argument */
+const SSH_VALUE_OPTIONS = "BbcDEeFIiJLlmOopQRSWw";
+const STREAM_FORMAT = "zfsdom-simulation-stream";
+/* the size of an empty filesystem */
+const EMPTY_SIZE = 98304;
+
+let guids = 0;
+
+/**
+ * @typedef {{code: number, stdout: string, stderr: string}} CommandResult
+ */
+
+/**
+ * the result of a successful command
+ * @param {string} stdout
+ * @returns {CommandResult}
+ */
+function ok(stdout="") {
+  return {code: 0, stdout, stderr: ""};
+}
+
+/**
+ * the result of a failed command
+ * @param {string} stderr
+ * @param {number} code
+ * @returns {CommandResult}
+ */
+function failed(stderr, code=1) {
+  return {code, stdout: "", stderr: stderr.endsWith("\n") ? stderr : `${stderr}\n`};
+}
+
+/**
+ * format a size like zfs does, e.g. 624B or 1.21M
+ * @param {number} size - bytes
+ * @returns {string}
+ */
+function formatSize(size) {
+  let value = size;
+  let unit = "";
+  for (const next of ['K', 'M', 'G', 'T']) {
+    if (value < 1024)
+      break;
+    value /= 1024;
+    unit = next;
+  }
+  return unit ? `${value.toFixed(value < 10 ? 2 : value < 100 ? 1 : 0)}${unit}` : `${size}B`;
+}
+
+/**
+ * split a shell command into words and operators
+ * @param {string} cmd
+ * @returns {({word: string}|{op: string}|{redirect: number, dup?: number})[]}
+ */
+function tokenize(cmd) {
+  const tokens = [];
+  let word = null;
+  let quoted = false;
+  const push = () => {
+    if (word !== null)
+      tokens.push({word});
+    word = null;
+    quoted = false;
+  };
+  for (let i = 0; i < cmd.length;) {
+    const c = cmd[i];
+    if (/\s/.test(c)) {
+      push();
+      i++;
+    } else if (c === "'") {
+      const end = cmd.indexOf("'", i + 1);
+      if (end < 0)
+        throw new Error(`unterminated quote in '${cmd}'`);
+      word = `${word ?? ""}${cmd.slice(i + 1, end)}`;
+      quoted = true;
+      i = end + 1;
+    } else if (c === '"') {
+      word = word ?? "";
+      quoted = true;
+      for (i++; i < cmd.length && cmd[i] !== '"'; i++) {
+        if (cmd[i] === "\\" && /["\\$`]/.test(cmd[i + 1]))
+          i++;
+        word += cmd[i];
+      }
+      if (i >= cmd.length)
+        throw new Error(`unterminated quote in '${cmd}'`);
+      i++;
+    } else if (c === "\\") {
+      word = `${word ?? ""}${cmd[i + 1] ?? ""}`;
+      i += 2;
+    } else if (cmd.startsWith("||", i) || cmd.startsWith("&&", i)) {
+      push();
+      tokens.push({op: cmd.substr(i, 2)});
+      i += 2;
+    } else if (c === "|" || c === ";") {
+      push();
+      tokens.push({op: c});
+      i++;
+    } else if (c === ">") {
+      let fd = 1;
+      if (word !== null && !quoted && /^\d$/.test(word)) {
+        fd = Number(word);
+        word = null;
+      } else {
+        push();
+      }
+      i++;
+      const [dup] = cmd.slice(i).match(/^&\d/) || [];
+      if (dup) {
+        tokens.push({redirect: fd, dup: Number(dup[1])});
+        i += 2;
+      } else {
+        tokens.push({redirect: fd});
+      }
+    } else {
+      word = `${word ?? ""}${c}`;
+      i++;
+    }
+  }
+  push();
+  return tokens;
+}
+
+/**
+ * parse a shell command into a list of pipelines
+ * @param {string} cmd
+ * @returns {{op: string|null, pipeline: {args: string[], redirects: {fd: number, file?: string, dup?: number}[]}[]}[]} op is the operator preceding the pipeline
+ */
+function parse(cmd) {
+  const list = [{op: null, pipeline: [{args: [], redirects: []}]}];
+  const tokens = tokenize(cmd);
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    const {pipeline} = list[list.length - 1];
+    const current = pipeline[pipeline.length - 1];
+    if (token.word !== undefined) {
+      current.args.push(token.word);
+    } else if (token.redirect !== undefined) {
+      if (token.dup !== undefined) {
+        current.redirects.push({fd: token.redirect, dup: token.dup});
+      } else {
+        const target = tokens[++i];
+        if (!target || target.word === undefined)
+          throw new Error(`syntax error in '${cmd}': redirection without target`);
+        current.redirects.push({fd: token.redirect, file: target.word});
+      }
+    } else if (token.op === "|") {
+      pipeline.push({args: [], redirects: []});
+    } else {
+      list.push({op: token.op, pipeline: [{args: [], redirects: []}]});
+    }
+  }
+  if (list.some(({pipeline}) => pipeline.some(({args}) => !args.length)))
+    throw new Error(`syntax error in '${cmd}'`);
+  return list;
+}
+
+/**
+ * parse the options of a command, options may be combined (e.g. -Hp) and repeated (e.g. -o a=1 -o b=2), long options do not take a value
+ * @param {string[]} args
+ * @param {string} valueOptions - the options taking a value
+ * @returns {{options: Object<string, true|string[]>, operands: string[]}}
+ */
+function getopt(args, valueOptions="") {
+  const options = {};
+  const operands = [];
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === "--") {
+      operands.push(...args.slice(i + 1));
+      break;
+    }
+    if (arg.startsWith("--")) {
+      options[arg.slice(2)] = true;
+    } else if (/^-./.test(arg)) {
+      for (let j = 1; j < arg.length; j++) {
+        if (valueOptions.includes(arg[j])) {
+          options[arg[j]] = [...options[arg[j]] || [], j < arg.length - 1 ? arg.slice(j + 1) : args[++i]];
+          break;
+        }
+        options[arg[j]] = true;
+      }
+    } else {
+      operands.push(arg);
+    }
+  }
+  return {options, operands};
+}
+
+/**
+ * extract the disks of a libvirt domain xml definition
+ * @param {string} xml
+ * @returns {{type: string, path: string}[]}
+ */
+function getXmlDisks(xml) {
+  return (xml.match(/<disk\b[\s\S]*?<\/disk>/g) || [])
+      .map(disk => disk.match(/<source (file|dev)=['"]([^'"]+)['"]/))
+      .filter(match => match)
+      .map(([, attr, path]) => ({type: attr === "dev" ? "block" : "file", path}));
+}
+
+/**
+ * A running command, emulating the ChildProcess returned by child_process.spawn
+ */
+class SimulatedProcess extends EventEmitter {
+  constructor() {
+    super();
+    this.stdout = Object.assign(new EventEmitter(), {destroy() {}});
+    this.stderr = Object.assign(new EventEmitter(), {destroy() {}});
+    this.stdin = {end() {}};
+    this.killed = false;
+    this.onKill = new Set();
+  }
+
+  /**
+   * terminate the command, only commands waiting for a connection are interrupted
+   * @returns {boolean}
+   */
+  kill() {
+    this.killed = true;
+    for (const listener of this.onKill)
+      listener();
+    return true;
+  }
+
+  /**
+   * emit the output and the exit code of the command
+   * @param {CommandResult} result
+   */
+  finish({code, stdout, stderr}) {
+    if (stdout)
+      this.stdout.emit('data', Buffer.from(stdout));
+    /* line by line, like the progress output of zfs send */
+    for (const line of stderr.match(/[^\n]*\n|[^\n]+$/g) || [])
+      this.stderr.emit('data', Buffer.from(line));
+    this.emit('exit', code);
+    this.emit('close', code);
+  }
+}
+
+/**
+ * A hypervisor with zfs and libvirt whose state is kept in memory
+ */
+class SimulatedHost {
+  /**
+   * @param {SimulatedTransport} transport - the transport connecting the hosts
+   * @param {string} name - the host name, e.g. hv1
+   * @param {{addresses?: string[], memory?: number, poolSize?: number}} options - further addresses the host is reachable at (e.g. an internal
+   *   address), the memory available to domains and the size of each pool in bytes
+   */
+  constructor(transport, name, options={}) {
+    this.transport = transport;
+    this.name = name;
+    this.addresses = [name, ...options.addresses || []];
+    this.memory = options.memory ?? 64 * 1024 ** 3;
+    this.poolSize = options.poolSize ?? 1024 ** 4;
+    this.reachable = true;
+    this.cpuCompatible = true;
+    this.tools = new Set(TOOLS);
+    this.datasets = new Map();
+    this.domains = new Map();
+    this.networks = new Map();
+    this.bridges = new Set();
+    this.files = new Map();
+    this.users = new Map([[0, "root"], [64055, "libvirt-qemu"]]);
+    /* the commands run on this host, as passed to the shell */
+    this.history = [];
+    this.failures = [];
+    this.txg = 0;
+    this.devices = 0;
+    this.domainIds = 0;
+  }
+
+  /**
+   * create a zfs filesystem or volume, a name without slash creates a pool
+   * @param {string} name
+   * @param {{type?: string, volsize?: number, volblocksize?: number, mountpoint?: string, props?: Object<string, string>}} options
+   * @returns {Object} the dataset
+   */
+  createDataset(name, options={}) {
+    if (this.datasets.has(name))
+      throw new Error(`dataset ${name} already exists on ${this.name}`);
+    const parent = posix.dirname(name);
+    if (name.includes("/") && !this.datasets.has(parent))
+      throw new Error(`parent dataset ${parent} does not exist on ${this.name}`);
+    const type = options.type || "filesystem";
+    const dataset = {
+      name,
+      type,
+      guid: `${++guids}`,
+      createtxg: ++this.txg,
+      creation: Math.floor(Date.now() / 1000),
+      mountpoint: type === "filesystem" ? options.mountpoint || `/${name}` : null,
+      volsize: type === "volume" ? options.volsize || 10 * 1024 ** 3 : null,
+      volblocksize: type === "volume" ? options.volblocksize || 16384 : null,
+      device: type === "volume" ? `/dev/zd${16 * this.devices++}` : null,
+      props: {...options.props},
+      snapshots: [],
+      referenced: EMPTY_SIZE,
+      written: EMPTY_SIZE,
+      resumeToken: null,
+    };
+    this.datasets.set(name, dataset);
+    return dataset;
+  }
+
+  /**
+   * write data to a dataset
+   * @param {string} name
+   * @param {number} size - bytes
+   */
+  write(name, size) {
+    const dataset = this.getDataset(name);
+    dataset.written += size;
+    dataset.referenced += size;
+  }
+
+  /**
+   * create a snapshot of datasets
+   * @param {string[]} names - the snapshots as DATASET@SNAPSHOT
+   */
+  snapshot(...names) {
+    const result = this.zfs(['snapshot', ...names]);
+    if (result.code)
+      throw new Error(result.stderr.trim());
+  }
+
+  /**
+   * get the snapshot names of a dataset, oldest first
+   * @param {string} name
+   * @returns {string[]}
+   */
+  getSnapshots(name) {
+    return this.getDataset(name).snapshots.map(snapshot => snapshot.name);
+  }
+
+  /**
+   * get a dataset
+   * @param {string} name
+   * @returns {Object}
+   * @throws {Error} if the dataset does not exist
+   */
+  getDataset(name) {
+    const dataset = this.datasets.get(name);
+    if (!dataset)
+      throw new Error(`dataset ${name} does not exist on ${this.name}`);
+    return dataset;
+  }
+
+  /**
+   * define a libvirt domain, the files of its file disks are created unless they exist
+   * @param {string} name
+   * @param {{disks?: {type: string, path: string}[], memory?: number, state?: string, autostart?: boolean, networks?: string[], bridges?: string[], uuid?: string, agent?: boolean, nvram?: string}} options -
+   *   memory in bytes, state is one of 'running', 'paused' or 'shut off', agent adds a qemu guest agent channel (the agent responds while the domain is running),
+   *   nvram is the path of the uefi variables of a domain booting with ovmf
+   * @returns {Object} the domain
+   */
+  defineDomain(name, options={}) {
+    const memory = Math.floor((options.memory || 2 * 1024 ** 3) / 1024);
+    const uuid = options.uuid || `00000000-0000-4000-8000-${`${++guids}`.padStart(12, "0")}`;
+    const disks = (options.disks || []).map(({type, path}, i) => [
+      `    <disk type='${type === "block" ? "block" : "file"}' device='disk'>`,
+      `      <driver name='qemu' type='${type === "block" ? "raw" : "qcow2"}'/>`,
+      `      <source ${type === "block" ? "dev" : "file"}='${path}'/>`,
+      `      <target dev='vd${String.fromCharCode(97 + i)}' bus='virtio'/>`,
+      `    </disk>`,
+    ].join("\n"));
+    const mac = () => `52:54:00:${[16, 8, 0].map(shift => ((++guids >> shift) & 255).toString(16).padStart(2, "0")).join(":")}`;
+    const interfaces = [
+      ...(options.networks || []).map(network => `    <interface type='network'>\n      <mac address='${mac()}'/>\n      <source network='${network}'/>\n    </interface>`),
+      ...(options.bridges || []).map(bridge => `    <interface type='bridge'>\n      <mac address='${mac()}'/>\n      <source bridge='${bridge}'/>\n    </interface>`),
+    ];
+    const xml = [
+      `<domain type='kvm'>`,
+      `  <name>${name}</name>`,
+      `  <uuid>${uuid}</uuid>`,
+      `  <memory unit='KiB'>${memory}</memory>`,
+      ...options.nvram ? [`  <os>\n    <type arch='x86_64' machine='q35'>hvm</type>\n    <loader readonly='yes' type='pflash'>/usr/share/OVMF/OVMF_CODE.fd</loader>\n    <nvram template='/usr/share/OVMF/OVMF_VARS.fd'>${options.nvram}</nvram>\n  </os>`] : [],
+      `  <devices>`,
+      ...disks,
+      ...interfaces,
+      ...options.agent ? [`    <channel type='unix'>\n      <target type='virtio' name='org.qemu.guest_agent.0'/>\n    </channel>`] : [],
+      `  </devices>`,
+      `</domain>`,
+      ``,
+    ].join("\n");
+    for (const disk of (options.disks || []).filter(disk => disk.type !== "block" && !this.files.has(disk.path)))
+      this.addFile(disk.path, {uid: 64055, gid: 64055});
+    const domain = {name, uuid, memory, state: options.state || "running", autostart: !!options.autostart, persistent: true, xml, id: null, frozen: false};
+    if (domain.state !== "shut off")
+      domain.id = ++this.domainIds;
+    this.domains.set(name, domain);
+    return domain;
+  }
+
+  /**
+   * create a file, e.g. a disk image or a tls certificate
+   * @param {string} path
+   * @param {{uid?: number, gid?: number, content?: string}} options
+   */
+  addFile(path, options={}) {
+    this.files.set(path, {uid: options.uid || 0, gid: options.gid || 0, content: options.content || ""});
+  }
+
+  /**
+   * define a libvirt network
+   * @param {string} name
+   * @param {boolean} active
+   */
+  addNetwork(name, active=true) {
+    this.networks.set(name, active);
+  }
+
+  /**
+   * create a network bridge
+   * @param {string} name
+   */
+  addBridge(name) {
+    this.bridges.add(name);
+  }
+
+  /**
+   * let the next commands matching a pattern fail
+   * The pattern is matched against every command but ssh, sudo and sh -c, which only pass on the commands they run, e.g. 'zfs recv' or /^virsh .*resume/.
+   * virsh commands connected to this host from another one (virsh -c URI) are matched without the -c option.
+   * @param {string|RegExp} pattern - a string the command contains or a regular expression matching it
+   * @param {{stderr?: string, code?: number, times?: number, partial?: boolean}} options - the error message and exit code, how many commands fail
+   *   (defaults to 1), partial lets a resumable zfs recv (-s) fail after having received part of the stream, so it can be resumed
+   */
+  fail(pattern, options={}) {
+    this.failures.push({pattern, stderr: options.stderr || "simulated failure", code: options.code ?? 1, times: options.times ?? 1, partial: !!options.partial});
+  }
+
+  /**
+   * find the injected failure matching a command and count it
+   * @param {string[]} args - the command and its arguments
+   * @returns {Object|null} the failure if the command fails
+   */
+  takeFailure(args) {
+    const line = command(...args);
+    const failure = this.failures.find(failure => failure.times > 0 && (failure.pattern instanceof RegExp ? failure.pattern.test(line) : line.includes(failure.pattern)));
+    if (!failure)
+      return null;
+    failure.times--;
+    return failure;
+  }
+
+  /**
+   * run a shell command on this host
+   * @param {string} cmd
+   * @param {string} stdin
+   * @param {SimulatedProcess} [process] - the process the command is run by, used to interrupt commands waiting for a connection
+   * @returns {Promise<CommandResult>}
+   */
+  async run(cmd, stdin="", process=new SimulatedProcess()) {
+    this.history.push(cmd);
+    return this.shell(cmd, stdin, process);
+  }
+
+  /**
+   * interpret a shell command
+   * @param {string} cmd
+   * @param {string} stdin
+   * @param {SimulatedProcess} process
+   * @returns {Promise<CommandResult>}
+   */
+  async shell(cmd, stdin, process) {
+    let list;
+    try {
+      list = parse(cmd);
+    } catch (err) {
+      return failed(`sh: 1: ${err.message}`, 2);
+    }
+    const result = {code: 0, stdout: "", stderr: ""};
+    for (const {op, pipeline} of list) {
+      if ((op === "&&" && result.code !== 0) || (op === "||" && result.code === 0))
+        continue;
+      let input = stdin;
+      for (const {args, redirects} of pipeline) {
+        let {code, stdout, stderr} = await this.runCommand(args, input, process);
+        for (const redirect of redirects) {
+          if (redirect.fd === 2 && redirect.dup === 1) {
+            stdout += stderr;
+            stderr = "";
+          } else if (redirect.fd === 2) {
+            stderr = "";
+          } else if (redirect.file !== "/dev/null") {
+            this.files.set(redirect.file, {uid: 0, gid: 0, ...this.files.get(redirect.file), content: stdout});
+            stdout = "";
+          } else {
+            stdout = "";
+          }
+        }
+        result.code = code;
+        result.stderr += stderr;
+        input = stdout;
+      }
+      result.stdout += input;
+    }
+    return result;
+  }
+
+  /**
+   * run a single command
+   * @param {string[]} args - the command and its arguments
+   * @param {string} stdin
+   * @param {SimulatedProcess} process
+   * @returns {Promise<CommandResult>}
+   */
+  async runCommand(args, stdin, process) {
+    const [name, ...rest] = args;
+    if (!this.tools.has(name))
+      return failed(`sh: 1: ${name}: not found`, 127);
+    const failure = !['ssh', 'sudo', 'sh'].includes(name) && this.takeFailure(args);
+    if (failure) {
+      if (failure.partial && name === "zfs" && ['recv', 'receive'].includes(rest[0]))
+        this.receivePartially(rest.slice(1), stdin);
+      return failed(failure.stderr, failure.code);
+    }
+    /* let concurrent commands interleave */
+    await new Promise(resolve => setImmediate(resolve));
+    switch (name) {
+      case "ssh":
+        return this.ssh(rest, stdin, process);
+      case "sudo":
+        return this.runCommand(rest.slice(rest[0] === "-n" ? 1 : 0), stdin, process);
+      case "sh":
+        if (rest[0] !== "-c" || rest.length !== 2)
+          return failed(`sh: only sh -c COMMAND is supported`, 2);
+        return this.shell(rest[1], stdin, process);
+      case "zfs": {
+        const result = this.zfs(rest, stdin);
+        /* sending takes its time, so snapshots created before and after a transfer differ like they do on real hosts */
+        const stream = rest[0] === "send" && this.parseStream(result.stdout);
+        if (stream)
+          await new Promise(resolve => setTimeout(resolve, stream.size / this.transport.bandwidth * 1000));
+        return result;
+      }
+      case "virsh":
+        return this.virsh(rest);
+      case "mbuffer":
+      case "socat":
+        return this.network(name, rest, stdin, process);
+      case "command":
+        return rest[0] === "-v" && this.tools.has(rest[1]) ? ok(`/usr/sbin/${rest[1]}\n`) : failed("", 1);
+      case "true":
+        return ok();
+      case "false":
+        return failed("", 1);
+      case "tail": {
+        const [, from] = `${getopt(rest, "n").options.n || ""}`.match(/^\+(\d+)$/) || [];
+        if (!from)
+          return failed(`tail: only tail -n+N is supported`);
+        return ok(stdin.split(/(?<=\n)/).slice(Number(from) - 1).join(""));
+      }
+      case "readlink": {
+        const path = rest[rest.length - 1];
+        const volume = path.startsWith("/dev/zvol/") && this.datasets.get(path.slice("/dev/zvol/".length));
+        return ok(`${volume && volume.device ? volume.device : path}\n`);
+      }
+      case "find":
+        return ok([...this.datasets.values()].filter(dataset => dataset.type === "volume")
+            .map(dataset => `/dev/zvol/${dataset.name}\t${posix.relative(posix.dirname(`/dev/zvol/${dataset.name}`), dataset.device)}\n`).join(""));
+      case "stat": {
+        const path = rest[rest.length - 1];
+        const file = this.files.get(path);
+        return file ? ok(`${file.uid} ${file.gid}\n`) : failed(`stat: cannot statx '${path}': No such file or directory`);
+      }
+      case "id": {
+        const user = this.users.get(Number(rest[rest.length - 1]));
+        return user ? ok(`${user}\n`) : failed(`id: '${rest[rest.length - 1]}': no such user`);
+      }
+      case "chown": {
+        const [user, path] = rest;
+        const uid = [...this.users.entries()].find(([, name]) => name === user);
+        if (!uid)
+          return failed(`chown: invalid user: '${user}'`);
+        if (!this.files.has(path))
+          return failed(`chown: cannot access '${path}': No such file or directory`);
+        this.files.get(path).uid = uid[0];
+        return ok();
+      }
+      case "mktemp": {
+        const {options, operands:[template]} = getopt(rest);
+        if (!options.t || !/X{3,}$/.test(template || ""))
+          return failed(`mktemp: only mktemp -t TEMPLATE is supported`);
+        const path = `/tmp/${template.replace(/X+$/, (xs) => `${++guids}`.padStart(xs.length, "0"))}`;
+        this.files.set(path, {uid: 0, gid: 0, content: ""});
+        return ok(`${path}\n`);
+      }
+      case "rm":
+        for (const path of getopt(rest).operands)
+          this.files.delete(path);
+        return ok();
+      case "timeout":
+        if (!/^\d+$/.test(rest[0] || ""))
+          return failed(`timeout: invalid time interval '${rest[0]}'`, 125);
+        return this.runCommand(rest.slice(1), stdin, process);
+      case "printf":
+        if (rest[0] !== "%s" || rest.length !== 2)
+          return failed(`printf: only printf %s ARG is supported`);
+        return ok(rest[1]);
+      case "ip":
+        return this.bridges.has(rest[rest.length - 1]) ? ok(`3: ${rest[rest.length - 1]}: <BROADCAST,MULTICAST,UP,LOWER_UP> mtu 1500 state UP\n`)
+            : failed(`Device "${rest[rest.length - 1]}" does not exist.`);
+      case "ss": {
+        const [, port] = rest[rest.length - 1].match(/:(\d+)\s*$/) || [];
+        return ok(this.transport.listeners.has(`${this.name}:${port}`) ? `LISTEN 0 5 0.0.0.0:${port} 0.0.0.0:*\n` : "");
+      }
+      default:
+        if (FILTERS.includes(name))
+          return this.filter(name, rest, stdin);
+        return failed(`sh: 1: ${name}: not supported by the simulation`, 127);
+    }
+  }
+
+  /**
+   * run a command on another host
+   * @param {string[]} args - the ssh arguments
+   * @param {string} stdin
+   * @param {SimulatedProcess} process
+   * @returns {Promise<CommandResult>}
+   */
+  async ssh(args, stdin, process) {
+    let i = 0;
+    for (; i < args.length && args[i].startsWith("-"); i++) {
+      if (SSH_VALUE_OPTIONS.includes(args[i][args[i].length - 1]) && args[i].length === 2)
+        i++;
+    }
+    const address = args[i];
+    const remoteCommand = args.slice(args[i + 1] === "--" ? i + 2 : i + 1).join(" ");
+    if (!address || !remoteCommand)
+      return failed(`ssh: only ssh [OPTIONS] HOST -- COMMAND is supported`, 255);
+    const host = this.transport.getHost(address);
+    if (!host)
+      return failed(`ssh: Could not resolve hostname ${address}: Name or service not known`, 255);
+    if (!host.reachable)
+      return failed(`ssh: connect to host ${address} port 22: Connection refused`, 255);
+    return host.run(remoteCommand, stdin, process);
+  }
+
+  /**
+   * pass the input through a filter of the replication stream
+   * @param {string} name
+   * @param {string[]} args
+   * @param {string} stdin
+   * @returns {CommandResult}
+   */
+  filter(name, args, stdin) {
+    const [, key] = name === "openssl" ? args.join(" ").match(/-pass file:(\S+)/) || [] : [];
+    if (key && !this.files.has(key))
+      return failed(`Can't open "${key}" for reading, No such file or directory`);
+    return ok(stdin);
+  }
+
+  /**
+   * listen for or connect to a tcp stream (mbuffer -I/-O, socat OPENSSL-LISTEN/OPENSSL), mbuffer without -I and -O only buffers
+   * @param {string} name
+   * @param {string[]} args
+   * @param {string} stdin
+   * @param {SimulatedProcess} process
+   * @returns {Promise<CommandResult>}
+   */
+  async network(name, args, stdin, process) {
+    let listen = null;
+    let connect = null;
+    if (name === "mbuffer") {
+      const {options} = getopt(args, "smWIO");
+      listen = options.I && options.I[0];
+      connect = options.O && options.O[0];
+      if (!listen && !connect)
+        return ok(stdin);
+    } else {
+      const address = args.find(arg => /^OPENSSL(-LISTEN)?:/.test(arg)) || "";
+      const [target, ...params] = address.split(",");
+      const files = params.filter(param => /^(cert|key|cafile)=/.test(param)).map(param => param.replace(/^[^=]+=/, ""));
+      const missing = files.find(file => !this.files.has(file));
+      if (missing)
+        return failed(`socat E SSL_CTX_use_certificate_file(): error: ${missing}: No such file or directory`);
+      if (target.startsWith("OPENSSL-LISTEN:"))
+        listen = target.slice("OPENSSL-LISTEN:".length);
+      else if (target.startsWith("OPENSSL:"))
+        connect = target.slice("OPENSSL:".length);
+      else
+        return failed(`socat: only OPENSSL-LISTEN and OPENSSL addresses are supported`);
+    }
+    if (listen) {
+      const key = `${this.name}:${listen}`;
+      if (this.transport.listeners.has(key))
+        return failed(`${name}: error: bind to port ${listen}: Address already in use`);
+      const received = await new Promise((resolve) => {
+        this.transport.listeners.set(key, resolve);
+        process.onKill.add(() => resolve(null));
+      });
+      this.transport.listeners.delete(key);
+      return received === null ? failed(`${name}: terminated`, 143) : ok(received);
+    }
+    const [, address, port] = connect.match(/^\[?(.*?)\]?:(\d+)$/) || [];
+    const host = address && this.transport.getHost(address);
+    const listener = host && host.reachable && this.transport.listeners.get(`${host.name}:${port}`);
+    if (!listener)
+      return failed(`${name}: error: connect to ${connect}: Connection refused`);
+    listener(stdin);
+    return ok();
+  }
+
+  /**
+   * run a zfs command
+   * @param {string[]} args
+   * @param {string} stdin
+   * @returns {CommandResult}
+   */
+  zfs(args, stdin="") {
+    const [subcommand, ...rest] = args;
+    switch (subcommand) {
+      case "list":
+        return this.zfsList(rest);
+      case "get":
+        return this.zfsGet(rest);
+      case "set": {
+        const assignments = rest.slice(0, -1);
+        const name = rest[rest.length - 1];
+        const dataset = this.datasets.get(name);
+        if (!dataset)
+          return failed(`cannot open '${name}': dataset does not exist`);
+        for (const assignment of assignments) {
+          const [, property, value] = assignment.match(/^([^=]+)=(.*)$/) || [];
+          if (property === undefined)
+            return failed(`invalid property assignment '${assignment}'`, 2);
+          if (property.includes(":") && value.length > 8192)
+            return failed(`cannot set property for '${name}': property value too long`);
+          if (property === "volsize")
+            dataset.volsize = Number(value);
+          else
+            dataset.props[property] = value;
+        }
+        return ok();
+      }
+      case "rollback":
+        return this.zfsRollback(rest);
+      case "snapshot": {
+        const snapshots = rest.map(name => name.split("@"));
+        for (const [name, snapshot] of snapshots) {
+          const dataset = this.datasets.get(name);
+          if (!dataset)
+            return failed(`cannot open '${name}': dataset does not exist`);
+          if (dataset.snapshots.some(existing => existing.name === snapshot))
+            return failed(`cannot create snapshot '${name}@${snapshot}': dataset already exists`);
+        }
+        const createtxg = ++this.txg;
+        for (const [name, snapshot] of snapshots) {
+          const dataset = this.datasets.get(name);
+          dataset.snapshots.push({name: snapshot, guid: `${++guids}`, createtxg, creation: Math.floor(Date.now() / 1000), written: dataset.written, referenced: dataset.referenced});
+          dataset.written = 0;
+        }
+        return ok();
+      }
+      case "destroy":
+        return this.zfsDestroy(rest);
+      case "send":
+        return this.zfsSend(rest);
+      case "recv":
+      case "receive":
+        return this.zfsReceive(rest, stdin);
+      default:
+        return failed(`zfs: '${subcommand}' is not supported by the simulation`, 2);
+    }
+  }
+
+  /**
+   * the datasets and snapshots selected by zfs list or zfs get
+   * @param {string[]} names - datasets or snapshots, all datasets if empty
+   * @param {{recursive?: boolean, depth?: number}} options
+   * @returns {{entries: Object[], error: string|null}} entries have the dataset properties, snapshots a dataset property referring to their dataset
+   */
+  select(names, options={}) {
+    const entries = [];
+    const add = (dataset, depth) => {
+      entries.push(dataset);
+      if (options.recursive || depth < (options.depth ?? 0))
+        entries.push(...dataset.snapshots.map(snapshot => ({...snapshot, type: "snapshot", name: `${dataset.name}@${snapshot.name}`, dataset})));
+    };
+    if (!names.length) {
+      for (const dataset of this.datasets.values())
+        add(dataset, -Infinity);
+      return {entries, error: null};
+    }
+    for (const name of names) {
+      const [datasetName, snapshotName] = name.split("@");
+      const dataset = this.datasets.get(datasetName);
+      const snapshot = dataset && snapshotName !== undefined && dataset.snapshots.find(snapshot => snapshot.name === snapshotName);
+      if (!dataset || (snapshotName !== undefined && !snapshot))
+        return {entries, error: `cannot open '${name}': dataset does not exist`};
+      if (snapshot) {
+        entries.push({...snapshot, type: "snapshot", name, dataset});
+        continue;
+      }
+      for (const descendant of [...this.datasets.values()].filter(other => other.name === name || other.name.startsWith(`${name}/`))) {
+        const depth = descendant.name.split("/").length - name.split("/").length;
+        if (depth === 0 || options.recursive || depth <= (options.depth ?? 0))
+          add(descendant, depth);
+      }
+    }
+    return {entries, error: null};
+  }
+
+  /**
+   * get a property of a dataset or snapshot
+   * @param {Object} entry - as returned by select
+   * @param {string} property
+   * @returns {string|number|null} null if the property is invalid
+   */
+  getProperty(entry, property) {
+    const snapshot = entry.type === "snapshot";
+    const dataset = snapshot ? entry.dataset : entry;
+    const [, since] = property.match(/^written@(.+)$/) || [];
+    if (since) {
+      const index = dataset.snapshots.findIndex(other => other.name === since);
+      return index < 0 ? null : dataset.snapshots.slice(index + 1).reduce((sum, other) => sum + other.written, dataset.written);
+    }
+    switch (property) {
+      case "name":
+      case "type":
+      case "guid":
+      case "createtxg":
+      case "creation":
+      case "written":
+      case "referenced":
+        return entry[property];
+      case "refer":
+        return entry.referenced;
+      case "used":
+        return snapshot ? entry.written : dataset.referenced + dataset.snapshots.reduce((sum, other) => sum + other.written, 0);
+      case "avail":
+      case "available": {
+        const pool = dataset.name.split("/")[0];
+        const used = [...this.datasets.values()].filter(other => other.name.split("/")[0] === pool)
+            .reduce((sum, other) => sum + other.referenced + other.snapshots.reduce((sum, snapshot) => sum + snapshot.written, 0), 0);
+        return snapshot ? "-" : Math.max(this.poolSize - used, 0);
+      }
+      case "mountpoint":
+        return !snapshot && dataset.mountpoint || "-";
+      case "volsize":
+      case "volblocksize":
+        return dataset[property] ?? "-";
+      case "receive_resume_token":
+        return !snapshot && dataset.resumeToken || "-";
+      default:
+        return /^[a-z][a-z0-9_.:-]*$/.test(property) ? dataset.props[property] ?? "-" : null;
+    }
+  }
+
+  /**
+   * zfs list [-H] [-p] [-r] [-d DEPTH] [-o PROPERTIES] [-s PROPERTY] [-t TYPES] [NAME...]
+   * @param {string[]} args
+   * @returns {CommandResult}
+   */
+  zfsList(args) {
+    const {options, operands} = getopt(args, "odstS");
+    const columns = `${options.o ? options.o[options.o.length - 1] : "name,used,avail,refer,mountpoint"}`.split(",");
+    const types = `${options.t ? options.t[options.t.length - 1] : "filesystem,volume"}`.split(",").map(type => type === "snap" ? "snapshot" : type);
+    const {entries, error} = this.select(operands, {recursive: !!options.r, depth: options.d ? Number(options.d[options.d.length - 1]) : undefined});
+    if (error)
+      return failed(error);
+    const sort = options.s ? options.s[options.s.length - 1] : "name";
+    const rows = entries.filter(entry => types.includes(entry.type) || types.includes("all"))
+        .sort((a, b) => sort === "name" ? a.name.localeCompare(b.name) : this.getProperty(a, sort) - this.getProperty(b, sort))
+        .map(entry => columns.map(column => this.getProperty(entry, column) ?? "-").join("\t"));
+    return ok(`${options.H ? "" : `${columns.map(column => column.toUpperCase()).join("\t")}\n`}${rows.map(row => `${row}\n`).join("")}`);
+  }
+
+  /**
+   * zfs get [-H] [-p] [-o COLUMNS] PROPERTIES NAME...
+   * @param {string[]} args
+   * @returns {CommandResult}
+   */
+  zfsGet(args) {
+    const {options, operands: [properties, ...names]} = getopt(args, "ost");
+    const columns = `${options.o ? options.o[options.o.length - 1] : "name,property,value,source"}`.split(",");
+    const {entries, error} = this.select(names);
+    if (error)
+      return failed(error);
+    const lines = [];
+    for (const entry of entries) {
+      for (const property of properties.split(",")) {
+        const value = this.getProperty(entry, property);
+        if (value === null)
+          return failed(`bad property list: invalid property '${property}'`, 2);
+        const values = {name: entry.name, property, value, source: "-"};
+        lines.push(columns.map(column => values[column]).join("\t"));
+      }
+    }
+    return ok(lines.map(line => `${line}\n`).join(""));
+  }
+
+  /**
+   * zfs rollback [-r] DATASET@SNAPSHOT
+   * @param {string[]} args
+   * @returns {CommandResult}
+   */
+  zfsRollback(args) {
+    const {options, operands: [target]} = getopt(args);
+    const [name, snapshotName] = `${target}`.split("@");
+    const dataset = this.datasets.get(name);
+    const index = dataset ? dataset.snapshots.findIndex(snapshot => snapshot.name === snapshotName) : -1;
+    if (index < 0)
+      return failed(`cannot open '${target}': dataset does not exist`);
+    const later = dataset.snapshots.slice(index + 1);
+    if (later.length && !options.r)
+      return failed(`cannot rollback to '${target}': more recent snapshots or bookmarks exist\nuse '-r' to force deletion of the following snapshots and bookmarks:\n${later.map(snapshot => `${name}@${snapshot.name}\n`).join("")}`);
+    dataset.snapshots.splice(index + 1);
+    dataset.referenced = dataset.snapshots[index].referenced;
+    dataset.written = 0;
+    return ok();
+  }
+
+  /**
+   * zfs destroy [-r] DATASET or zfs destroy DATASET@SNAPSHOT[,SNAPSHOT...]
+   * @param {string[]} args
+   * @returns {CommandResult}
+   */
+  zfsDestroy(args) {
+    const {options, operands: [target]} = getopt(args);
+    const [name, snapshots] = target.split("@");
+    const dataset = this.datasets.get(name);
+    if (!dataset)
+      return failed(`cannot open '${name}': dataset does not exist`);
+    if (snapshots !== undefined) {
+      const destroy = snapshots.split(",");
+      if (destroy.some(snapshot => !dataset.snapshots.some(existing => existing.name === snapshot)))
+        return failed(`could not find any snapshots to destroy; check snapshot names.`);
+      for (const [i, snapshot] of dataset.snapshots.entries()) {
+        /* the data referenced by a destroyed snapshot only is accounted to the next one */
+        if (destroy.includes(snapshot.name) && dataset.snapshots[i + 1])
+          dataset.snapshots[i + 1].written += snapshot.written;
+      }
+      dataset.snapshots = dataset.snapshots.filter(snapshot => !destroy.includes(snapshot.name));
+      return ok();
+    }
+    const tree = [...this.datasets.keys()].filter(other => other === name || other.startsWith(`${name}/`));
+    if (!options.r && tree.length > 1)
+      return failed(`cannot destroy '${name}': filesystem has children\nuse '-r' to destroy the following datasets:\n${tree.slice(1).join("\n")}`);
+    if (!options.r && dataset.snapshots.length)
+      return failed(`cannot destroy '${name}': filesystem has dependent snapshots\nuse '-r' to destroy the following datasets:\n${dataset.snapshots.map(snapshot => `${name}@${snapshot.name}`).join("\n")}`);
+    for (const other of tree) {
+      const removed = this.datasets.get(other);
+      if (removed.mountpoint)
+        for (const path of [...this.files.keys()].filter(path => path.startsWith(`${removed.mountpoint}/`)))
+          this.files.delete(path);
+      this.datasets.delete(other);
+    }
+    return ok();
+  }
+
+  /**
+   * zfs send [-v] [-n] [-P] [--raw|--props|--large-block|--embed|-c] [-i SNAPSHOT] DATASET@SNAPSHOT or zfs send [-v] -t TOKEN
+   * The stream is a json document describing the snapshot, the files below the mountpoint are sent along.
+   * @param {string[]} args
+   * @returns {CommandResult}
+   */
+  zfsSend(args) {
+    const {options, operands: [target]} = getopt(args, "it");
+    let stream;
+    if (options.t) {
+      let token;
+      try {
+        token = JSON.parse(Buffer.from(options.t[0], "base64").toString());
+      } catch (err) {
+        return failed(`cannot resume send: '${options.t[0]}' is not a valid token`);
+      }
+      const dataset = this.datasets.get(token.stream.dataset);
+      if (!dataset || !dataset.snapshots.some(snapshot => snapshot.guid === token.stream.snapshot.guid))
+        return failed(`cannot resume send: '${token.stream.dataset}@${token.stream.snapshot.name}' used in the initial send no longer exists`);
+      stream = {...token.stream, resumed: true, size: Math.max(token.stream.size - token.received, 0)};
+    } else {
+      const [name, snapshotName] = `${target}`.split("@");
+      const dataset = this.datasets.get(name);
+      const snapshot = dataset && dataset.snapshots.find(snapshot => snapshot.name === snapshotName);
+      if (!snapshot)
+        return failed(`cannot open '${target}': dataset does not exist`);
+      let from = null;
+      if (options.i) {
+        const fromName = options.i[0].replace(/^.*@/, "");
+        from = dataset.snapshots.find(snapshot => snapshot.name === fromName);
+        if (!from)
+          return failed(`cannot open '${options.i[0]}': dataset does not exist`);
+        if (from.createtxg >= snapshot.createtxg)
+          return failed(`cannot send '${target}': incremental source (${options.i[0]}) must be earlier than destination`);
+      }
+      const snapshots = dataset.snapshots;
+      const size = from
+          ? snapshots.slice(snapshots.indexOf(from) + 1, snapshots.indexOf(snapshot) + 1).reduce((sum, other) => sum + other.written, 0)
+          : snapshot.referenced;
+      stream = {
+        format: STREAM_FORMAT,
+        dataset: name,
+        type: dataset.type,
+        volsize: dataset.volsize,
+        volblocksize: dataset.volblocksize,
+        snapshot: {name: snapshot.name, guid: snapshot.guid, creation: snapshot.creation, referenced: snapshot.referenced},
+        from: from && {name: from.name, guid: from.guid},
+        props: options.props || options.p ? {...dataset.props} : null,
+        raw: !!(options.raw || options.w),
+        files: dataset.mountpoint ? [...this.files.entries()].filter(([path]) => path.startsWith(`${dataset.mountpoint}/`))
+            .map(([path, file]) => ({...file, path: path.slice(dataset.mountpoint.length + 1)})) : [],
+        size,
+        resumed: false,
+      };
+    }
+    const description = stream.resumed ? `resume send of ${stream.dataset}@${stream.snapshot.name}`
+        : stream.from ? `send from @${stream.from.name} to ${stream.dataset}@${stream.snapshot.name}` : `full send of ${stream.dataset}@${stream.snapshot.name}`;
+    if (options.n) {
+      if (options.P)
+        return ok(`${stream.from ? `incremental\t${stream.from.name}` : "full"}\t${stream.dataset}@${stream.snapshot.name}\t${stream.size}\nsize\t${stream.size}\n`);
+      return {code: 0, stdout: "", stderr: options.v ? `${description} estimated size is ${formatSize(stream.size)}\ntotal estimated size is ${formatSize(stream.size)}\n` : ""};
+    }
+    const time = new Date().toTimeString().slice(0, 8);
+    const progress = options.v ? [
+      `${description} estimated size is ${formatSize(stream.size)}`,
+      `total estimated size is ${formatSize(stream.size)}`,
+      `TIME        SENT   SNAPSHOT ${stream.dataset}@${stream.snapshot.name}`,
+      `${time}   ${formatSize(stream.size)}   ${stream.dataset}@${stream.snapshot.name}`,
+      ``,
+    ].join("\n") : "";
+    return {code: 0, stdout: JSON.stringify(stream), stderr: progress};
+  }
+
+  /**
+   * parse a replication stream
+   * @param {string} stdin
+   * @returns {Object|null} null if the input is not a stream sent by zfs send
+   */
+  parseStream(stdin) {
+    try {
+      const stream = JSON.parse(stdin);
+      return stream && stream.format === STREAM_FORMAT ? stream : null;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  /**
+   * zfs recv [-s] [-F] [-u] [-o PROPERTY=VALUE]... [-x PROPERTY]... DATASET or zfs recv -A DATASET
+   * @param {string[]} args
+   * @param {string} stdin
+   * @returns {CommandResult}
+   */
+  zfsReceive(args, stdin) {
+    const {options, operands: [name]} = getopt(args, "ox");
+    const dataset = this.datasets.get(name);
+    if (options.A) {
+      if (!dataset || !dataset.resumeToken)
+        return failed(`cannot resume receive of '${name}': '${name}' does not have any resumable receive state to abort`);
+      dataset.resumeToken = null;
+      if (!dataset.snapshots.length)
+        this.datasets.delete(name);
+      return ok();
+    }
+    const stream = this.parseStream(stdin);
+    if (!stream)
+      return failed(`cannot receive: failed to read from stream`);
+    const kind = stream.from ? "incremental" : "new filesystem";
+    if (stream.resumed) {
+      const token = dataset && dataset.resumeToken && JSON.parse(Buffer.from(dataset.resumeToken, "base64").toString());
+      if (!token || token.stream.snapshot.guid !== stream.snapshot.guid)
+        return failed(`cannot resume receive: '${name}' does not have any resumable receive state for this stream`);
+    } else if (dataset && dataset.resumeToken) {
+      return failed(`cannot receive ${kind} stream: destination ${name} contains partially-complete state from "zfs receive -s".`);
+    } else if (!stream.from) {
+      if (!this.datasets.has(posix.dirname(name)))
+        return failed(`cannot receive new filesystem stream: parent of '${name}' does not exist`);
+      if (dataset && dataset.snapshots.length)
+        return failed(`cannot receive new filesystem stream: destination has snapshots (eg. ${name}@${dataset.snapshots[0].name})\nmust destroy them to overwrite it`);
+      if (dataset && !options.F)
+        return failed(`cannot receive new filesystem stream: destination '${name}' exists\nmust specify -F to overwrite it`);
+    } else {
+      if (!dataset)
+        return failed(`cannot receive incremental stream: destination '${name}' does not exist`);
+      const index = dataset.snapshots.findIndex(snapshot => snapshot.guid === stream.from.guid);
+      if (index < 0)
+        return failed(`cannot receive incremental stream: most recent snapshot of ${name} does not\nmatch incremental source`);
+      if (dataset.snapshots.some(snapshot => snapshot.guid === stream.snapshot.guid))
+        return failed(`cannot receive incremental stream: destination already exists`);
+      if ((index < dataset.snapshots.length - 1 || dataset.written) && !options.F)
+        return failed(`cannot receive incremental stream: destination ${name} has been modified\nsince most recent snapshot`);
+      /* -F rolls the destination back to the incremental source */
+      dataset.snapshots = dataset.snapshots.slice(0, index + 1);
+      dataset.written = 0;
+      dataset.referenced = dataset.snapshots[index].referenced;
+    }
+    if (stream.volblocksize && dataset && dataset.volblocksize && dataset.volblocksize !== stream.volblocksize)
+      return failed(`cannot receive ${kind} stream: volblocksize of '${name}' does not match the stream`);
+
+    let target = dataset;
+    if (!stream.from && !stream.resumed) {
+      if (dataset)
+        this.zfsDestroy(['-r', name]);
+      target = this.createDataset(name, {type: stream.type, volsize: stream.volsize, volblocksize: stream.volblocksize});
+      target.snapshots = [];
+    }
+    target.resumeToken = null;
+    const excluded = options.x || [];
+    const props = Object.entries(stream.props || {}).filter(([property]) => !excluded.includes(property));
+    const set = (options.o || []).map(assignment => assignment.match(/^([^=]+)=(.*)$/).slice(1));
+    for (const [property, value] of [...props, ...set]) {
+      if (property === "mountpoint" && target.type === "filesystem")
+        target.mountpoint = value;
+      else
+        target.props[property] = value;
+    }
+    if (target.mountpoint) {
+      for (const path of [...this.files.keys()].filter(path => path.startsWith(`${target.mountpoint}/`)))
+        this.files.delete(path);
+      for (const {path, ...file} of stream.files)
+        this.files.set(`${target.mountpoint}/${path}`, {...file});
+    }
+    target.snapshots.push({name: stream.snapshot.name, guid: stream.snapshot.guid, createtxg: ++this.txg, creation: stream.snapshot.creation,
+      written: stream.from ? stream.size : stream.snapshot.referenced, referenced: stream.snapshot.referenced});
+    target.referenced = stream.snapshot.referenced;
+    target.written = 0;
+    return ok();
+  }
+
+  /**
+   * receive part of a stream into a dataset and keep the state to resume the transfer (zfs recv -s interrupted)
+   * @param {string[]} args - the zfs recv arguments
+   * @param {string} stdin
+   */
+  receivePartially(args, stdin) {
+    const {options, operands: [name]} = getopt(args, "ox");
+    const stream = this.parseStream(stdin);
+    if (!options.s || !stream || stream.resumed)
+      return;
+    let dataset = this.datasets.get(name);
+    if (!dataset && !stream.from && this.datasets.has(posix.dirname(name)))
+      dataset = this.createDataset(name, {type: stream.type, volsize: stream.volsize, volblocksize: stream.volblocksize});
+    if (dataset)
+      dataset.resumeToken = Buffer.from(JSON.stringify({stream, received: Math.floor(stream.size / 2)})).toString("base64");
+  }
+
+  /**
+   * resolve a libvirt connection uri
+   * @param {string|null} uri - qemu:///system or qemu+ssh://[USER@]HOST[:PORT]/system, null for this host
+   * @returns {SimulatedHost|null} null if the host cannot be reached
+   */
+  connectLibvirt(uri) {
+    if (!uri || uri === "qemu:///system")
+      return this;
+    const [, address] = uri.match(/^qemu\+ssh:\/\/(?:[^@/]*@)?(\[[^\]]+\]|[^:/]+)(?::\d+)?\/system$/) || [];
+    const host = address && this.transport.getHost(address);
+    return host && host.reachable ? host : null;
+  }
+
+  /**
+   * run a virsh command
+   * @param {string[]} args
+   * @returns {CommandResult|Promise<CommandResult>}
+   */
+  virsh(args) {
+    let uri = null;
+    if (args[0] === "-c") {
+      uri = args[1];
+      args = args.slice(2);
+    }
+    const host = this.connectLibvirt(uri);
+    if (!host)
+      return failed(`error: failed to connect to the hypervisor\nerror: Cannot recv data: ssh: connect to host: Connection refused`);
+    /* a virsh command connected to another host fails like it would on that host */
+    const failure = host !== this && host.takeFailure(['virsh', ...args]);
+    if (failure)
+      return failed(failure.stderr, failure.code);
+    const [subcommand, ...rest] = args;
+    const name = rest.filter(arg => !arg.startsWith("--"))[0];
+    const domain = host.domains.get(name);
+    const active = domain && domain.state !== "shut off";
+    const notFound = () => failed(`error: failed to get domain '${name}'`);
+    const notActive = (operation) => failed(`error: Failed to ${operation} domain '${name}'\nerror: Requested operation is not valid: domain is not running`);
+    switch (subcommand) {
+      case "list": {
+        const all = rest.includes("--all");
+        const domains = [...host.domains.values()].filter(domain => all || domain.state !== "shut off");
+        if (rest.includes("--name"))
+          return ok(`${domains.map(domain => `${domain.name}\n`).join("")}\n`);
+        return ok([` Id   Name   State`, `--------------------`, ...domains.map(domain => ` ${domain.id ?? "-"}    ${domain.name}   ${domain.state}`), ``, ``].join("\n"));
+      }
+      case "dumpxml":
+        return domain ? ok(domain.xml) : notFound();
+      case "domstate":
+        return domain ? ok(`${domain.state}\n\n`) : notFound();
+      case "domuuid":
+        return domain ? ok(`${domain.uuid}\n\n`) : notFound();
+      case "dominfo":
+        return domain ? ok([
+          `Id:             ${domain.id ?? "-"}`,
+          `Name:           ${domain.name}`,
+          `UUID:           ${domain.uuid}`,
+          `OS Type:        hvm`,
+          `State:          ${domain.state}`,
+          `Max memory:     ${domain.memory} KiB`,
+          `Used memory:    ${domain.memory} KiB`,
+          `Persistent:     ${domain.persistent ? "yes" : "no"}`,
+          `Autostart:      ${domain.autostart ? "enable" : "disable"}`,
+          ``, ``,
+        ].join("\n")) : notFound();
+      case "autostart":
+        if (!domain)
+          return notFound();
+        domain.autostart = !rest.includes("--disable");
+        return ok(`Domain '${name}' ${domain.autostart ? "marked as autostarted" : "unmarked as autostarted"}\n\n`);
+      case "start":
+        if (!domain)
+          return notFound();
+        if (active)
+          return failed(`error: Failed to start domain '${name}'\nerror: Requested operation is not valid: domain is already running`);
+        Object.assign(domain, {state: "running", id: ++host.domainIds});
+        return ok(`Domain '${name}' started\n\n`);
+      case "suspend":
+      case "resume":
+        if (!domain)
+          return notFound();
+        if (domain.state !== (subcommand === "resume" ? "paused" : "running"))
+          return notActive(subcommand);
+        domain.state = subcommand === "resume" ? "running" : "paused";
+        return ok(`Domain '${name}' ${subcommand === "resume" ? "resumed" : "suspended"}\n\n`);
+      case "shutdown":
+      case "destroy":
+        if (!domain)
+          return notFound();
+        if (!active)
+          return notActive(subcommand);
+        if (domain.persistent)
+          Object.assign(domain, {state: "shut off", id: null});
+        else
+          host.domains.delete(name);
+        return ok(`Domain '${name}' ${subcommand === "shutdown" ? "is being shutdown" : "destroyed"}\n\n`);
+      case "undefine":
+        if (!domain)
+          return notFound();
+        if (active)
+          domain.persistent = false;
+        else
+          host.domains.delete(name);
+        return ok(`Domain '${name}' has been undefined\n\n`);
+      case "domfsfreeze":
+      case "domfsthaw": {
+        const operation = subcommand === "domfsfreeze" ? "freeze" : "thaw";
+        if (!domain)
+          return notFound();
+        if (!active)
+          return notActive(operation);
+        if (!/org\.qemu\.guest_agent/.test(domain.xml))
+          return failed(`error: Unable to ${operation} filesystems\nerror: argument unsupported: QEMU guest agent is not configured`);
+        if (operation === "freeze" && domain.frozen)
+          return failed(`error: Unable to freeze filesystems\nerror: internal error: unable to execute QEMU agent command 'guest-fsfreeze-freeze': Command guest-fsfreeze-freeze has been disabled: the agent is in frozen state`);
+        const count = operation === "thaw" && !domain.frozen ? 0 : 1;
+        domain.frozen = operation === "freeze";
+        return ok(`${operation === "freeze" ? "Froze" : "Thawed"} ${count} filesystem(s)\n\n`);
+      }
+      case "net-info":
+        return host.networks.has(name)
+            ? ok(`Name:           ${name}\nActive:         ${host.networks.get(name) ? "yes" : "no"}\nPersistent:     yes\nAutostart:      yes\n\n`)
+            : failed(`error: failed to get network '${name}'\nerror: Network not found: no network with matching name '${name}'`);
+      case "nodememstats": {
+        const used = [...host.domains.values()].filter(domain => domain.state !== "shut off").reduce((sum, domain) => sum + domain.memory, 0);
+        const total = Math.floor(host.memory / 1024);
+        return ok(`total  :            ${total} KiB\nfree   :            ${Math.max(total - used, 0)} KiB\nbuffers:            0 KiB\ncached :            0 KiB\n`);
+      }
+      case "cpu-compare": {
+        const file = this.files.get(rest[0]);
+        if (!file)
+          return failed(`error: Failed to open file '${rest[0]}': No such file or directory`);
+        return host.cpuCompatible
+            ? ok(`CPU described in ${rest[0]} is identical to the CPU provided by hypervisor on the host\n\n`)
+            : {code: 1, stdout: `CPU described in ${rest[0]} is incompatible with the CPU provided by hypervisor on the host\n`, stderr: ""};
+      }
+      case "define": {
+        /* the xml file is read on this host (the virsh client) */
+        const file = this.files.get(rest[0]);
+        if (!file)
+          return failed(`error: Failed to open file '${rest[0]}': No such file or directory`);
+        const [, defined] = file.content.match(/<name>([^<]*)<\/name>/) || [];
+        if (!defined)
+          return failed(`error: Failed to define domain from ${rest[0]}\nerror: XML error: missing domain name information`);
+        const [, uuid] = file.content.match(/<uuid>([^<]*)<\/uuid>/) || [null, `00000000-0000-4000-8000-${`${++guids}`.padStart(12, "0")}`];
+        const existing = host.domains.get(defined);
+        if (existing && existing.uuid !== uuid)
+          return failed(`error: Failed to define domain from ${rest[0]}\nerror: operation failed: domain '${defined}' already exists with uuid ${existing.uuid}`);
+        const [, memory] = file.content.match(/<memory unit='KiB'>(\d+)<\/memory>/) || [];
+        host.domains.set(defined, {
+          name: defined, uuid, memory: Number(memory) || 0, state: "shut off", autostart: false, id: null,
+          ...existing, persistent: true,
+          xml: /<uuid>/.test(file.content) ? file.content : file.content.replace(/<\/name>\n?/, `</name>\n  <uuid>${uuid}</uuid>\n`),
+        });
+        return ok(`Domain '${defined}' defined from ${rest[0]}\n\n`);
+      }
+      case "migrate":
+        return this.migrate(host, rest);
+      default:
+        return failed(`error: unknown command: '${subcommand}'`);
+    }
+  }
+
+  /**
+   * virsh migrate [--live] [--suspend] [--persistent] [--xml FILE] [--persistent-xml FILE] ... DOMAIN DESTURI
+   * The xml files are read on this host (the virsh client), the storage of the domain must exist on the destination.
+   * @param {SimulatedHost} source - the host the domain is migrated from
+   * @param {string[]} args
+   * @returns {Promise<CommandResult>}
+   */
+  async migrate(source, args) {
+    const flags = new Set();
+    const values = {};
+    const operands = [];
+    for (let i = 0; i < args.length; i++) {
+      if (['--xml', '--persistent-xml', '--dname'].includes(args[i]))
+        values[args[i].slice(2)] = args[++i];
+      else if (args[i].startsWith("--"))
+        flags.add(args[i].slice(2));
+      else
+        operands.push(args[i]);
+    }
+    const [name, destUri] = operands;
+    const domain = source.domains.get(name);
+    if (!domain)
+      return failed(`error: failed to get domain '${name}'`);
+    if (domain.state === "shut off")
+      return failed(`error: Requested operation is not valid: domain is not running`);
+    const dest = this.connectLibvirt(destUri);
+    if (!dest)
+      return failed(`error: failed to connect to the hypervisor\nerror: Cannot recv data: ssh: connect to host: Connection refused`);
+    if (dest === source)
+      return failed(`error: internal error: Attempt to migrate guest to the same host`);
+    const existing = dest.domains.get(name);
+    if (existing && existing.state !== "shut off")
+      return failed(`error: operation failed: domain '${name}' is already active`);
+    let xml = domain.xml;
+    if (values.xml) {
+      const file = this.files.get(values.xml);
+      if (!file)
+        return failed(`error: Failed to open file '${values.xml}': No such file or directory`);
+      xml = file.content;
+    }
+    for (const {type, path} of getXmlDisks(xml)) {
+      const exists = type === "block" ? dest.datasets.has(path.replace(/^\/dev\/zvol\//, "")) : dest.files.has(path);
+      if (!exists)
+        return failed(`error: Cannot access storage file '${path}': No such file or directory`);
+    }
+    /* the memory of the domain is copied */
+    await new Promise(resolve => setTimeout(resolve, domain.memory * 1024 / this.transport.bandwidth * 1000));
+    dest.domains.set(name, {
+      ...domain,
+      xml,
+      state: flags.has("suspend") ? "paused" : domain.state,
+      id: ++dest.domainIds,
+      autostart: existing ? existing.autostart : false,
+      persistent: flags.has("persistent") || !!existing,
+    });
+    if (domain.persistent && !flags.has("undefinesource"))
+      Object.assign(domain, {state: "shut off", id: null});
+    else
+      source.domains.delete(name);
+    return ok(flags.has("verbose") ? `Migration: [100 %]\n` : "");
+  }
+}
+
+/**
+ * A terminal on a simulated host
+ */
+class SimulatedTerminal extends Terminal {
+  /**
+   * start a shell command, remote commands are run by ssh on the local host just like the OpenSSH transport does
+   * @param {string} cmd
+   * @param {boolean} sudo - false if the command must not be run using sudo
+   * @returns {SimulatedProcess}
+   */
+  spawn(cmd, sudo=true) {
+    const line = !this.hostPort ? cmd
+        : sudo ? this.transport.sshCommand(this.hostPort, cmd) : `${command('ssh', ...this.transport.sshArgs(this.hostPort), '--')} ${quote(cmd)}`;
+    const child = new SimulatedProcess();
+    setImmediate(async () => child.finish(await this.transport.local.run(line, "", child)));
+    return child;
+  }
+}
+
+/**
+ * Connects to simulated hosts instead of real ones, see the top of this file
+ */
+class SimulatedTransport extends Transport {
+  /**
+   * @param {TransportOptions} options - ssh options, they only affect the commands built
+   * @param {string} local - the name of the local host
+   */
+  constructor(options={}, local="localhost") {
+    super(options);
+    this.hosts = new Map();
+    /* the hosts' tcp ports that are listened on by port, see SimulatedHost.network */
+    this.listeners = new Map();
+    /* the bytes zfs send and virsh migrate transfer per second (Infinity for instant transfers), snapshot names only have a resolution of a second */
+    this.bandwidth = 1024 ** 3;
+    this.local = this.addHost(local);
+  }
+
+  /**
+   * add a host
+   * @param {string} name
+   * @param {Object} options - see SimulatedHost
+   * @returns {SimulatedHost}
+   */
+  addHost(name, options={}) {
+    const host = new SimulatedHost(this, name, options);
+    this.hosts.set(name, host);
+    return host;
+  }
+
+  /**
+   * get a host by name or address
+   * @param {string} address - [USER@]HOST, IPv6 addresses with or without brackets
+   * @returns {SimulatedHost|null}
+   */
+  getHost(address) {
+    const name = address.replace(/^[^@]*@/, "").replace(/^\[(.*)\]$/, "$1");
+    return [...this.hosts.values()].find(host => host.addresses.includes(name)) || null;
+  }
+
+  /**
+   * get a terminal on a simulated host
+   * @param {string|null} hostPort - the host specified as [USER@]HOST[:PORT], null for the local host
+   * @returns {SimulatedTerminal}
+   */
+  connect(hostPort) {
+    return new SimulatedTerminal(this, hostPort || null);
+  }
+
+  /**
+   * the directory the sockets of the shared connections would be placed in, nothing is created
+   * @returns {string}
+   */
+  getControlDir() {
+    return "/run/zfsdom-simulation";
+  }
+
+  /**
+   * there are no connections to close
+   */
+  close() {
+  }
+}
+
+module.exports = {SimulatedTransport, SimulatedHost, SimulatedProcess};
@@ -0,0 +1,104 @@
+const {describe, it} = require('node:test');
+const assert = require('node:assert/strict');
+const {parseHostPort, formatHostPort, parseSource, parseDestination} = require('../src/spec.js');
+
+describe('parseHostPort', () => {
+  it('parses host names, users and ports', () => {
+    assert.deepEqual(parseHostPort("host1"), {user: null, host: "host1", port: null});
+    assert.deepEqual(parseHostPort("admin@host1:2222"), {user: "admin", host: "host1", port: "2222"});
+    assert.deepEqual(parseHostPort("192.168.77.101:22"), {user: null, host: "192.168.77.101", port: "22"});
+  });
+
+  it('parses IPv6 addresses, in brackets if a port is given', () => {
+    assert.deepEqual(parseHostPort("[fd00::1]:2222"), {user: null, host: "fd00::1", port: "2222"});
+    assert.deepEqual(parseHostPort("root@[fe80::1%eth0]"), {user: "root", host: "fe80::1%eth0", port: null});
+    assert.deepEqual(parseHostPort("admin@fd00::1"), {user: "admin", host: "fd00::1", port: null});
+  });
+
+  it('rejects invalid hosts and ports', () => {
+    assert.throws(() => parseHostPort("host1:0"), {message: "invalid port 0 in 'host1:0', expected 1 to 65535"});
+    assert.throws(() => parseHostPort("host1:65536"), /invalid port 65536/);
+    assert.throws(() => parseHostPort("host1:ssh"), {message: "invalid host 'host1:ssh', expected [USER@]HOST[:PORT] (IPv6 addresses in brackets, e.g. [fd00::1]:22)"});
+    assert.throws(() => parseHostPort("@host1"), /invalid host '@host1'/);
+  });
+});
+
+describe('formatHostPort', () => {
+  it('puts IPv6 addresses in brackets', () => {
+    assert.equal(formatHostPort({user: "admin", host: "fd00::1", port: 22}), "admin@[fd00::1]:22");
+    assert.equal(formatHostPort({host: "host1"}), "host1");
+  });
+});
+
+describe('parseSource', () => {
+  it('parses the examples of the readme', () => {
+    assert.deepEqual(parseSource("foo"), {host: null, port: null, attr: "foo"});
+    assert.deepEqual(parseSource("barhost.baz:foo"), {host: "barhost.baz", port: null, attr: "foo"});
+    assert.deepEqual(parseSource("barhost.baz:2233:foo"), {host: "barhost.baz", port: "2233", attr: "foo"});
+    assert.deepEqual(parseSource("admin@[fd00::1]:foo"), {host: "admin@[fd00::1]", port: null, attr: "foo"});
+  });
+
+  it('takes the last part as name', () => {
+    assert.deepEqual(parseSource("host1:100"), {host: "host1", port: null, attr: "100"});
+    assert.deepEqual(parseSource("host1:2222:100"), {host: "host1", port: "2222", attr: "100"});
+    assert.deepEqual(parseSource("root@host1:tank/vms/web1"), {host: "root@host1", port: null, attr: "tank/vms/web1"});
+    assert.deepEqual(parseSource("host1:/tank/vms/web1/disk.qcow2"), {host: "host1", port: null, attr: "/tank/vms/web1/disk.qcow2"});
+    assert.deepEqual(parseSource("/tank/vms/web1/disk.qcow2"), {host: null, port: null, attr: "/tank/vms/web1/disk.qcow2"});
+  });
+
+  it('rejects IPv6 addresses without brackets', () => {
+    const message = "invalid source 'fd00::1:web1', IPv6 addresses have to be put in brackets, e.g. [fd00::1]:NAME";
+    assert.throws(() => parseSource("fd00::1:web1"), {message});
+    assert.throws(() => parseSource("admin@fd00::1:2222:web1"), /IPv6 addresses have to be put in brackets/);
+    assert.throws(() => parseSource("fd00:0:0:0:0:0:0:1:web1"), /IPv6 addresses have to be put in brackets/);
+    assert.throws(() => parseSource("::1:web1"), /IPv6 addresses have to be put in brackets/);
+  });
+
+  it('rejects invalid ports', () => {
+    assert.throws(() => parseSource("host1:99999:web1"), {message: "invalid port 99999 in 'host1:99999:web1', expected 1 to 65535"});
+  });
+});
+
+describe('parseDestination', () => {
+  it('parses the examples of the readme', () => {
+    assert.deepEqual(parseDestination("host1"), {host: "host1", port: null, internal: null, dataset: null});
+    assert.deepEqual(parseDestination("host1:bar/baz"), {host: "host1", port: null, internal: null, dataset: "bar/baz"});
+    assert.deepEqual(parseDestination("root@host1:2222:bar/baz"), {host: "root@host1", port: "2222", internal: null, dataset: "bar/baz"});
+    assert.deepEqual(parseDestination("host1(192.168.77.101):/bar/baz"), {host: "host1", port: null, internal: "192.168.77.101", dataset: "bar/baz"});
+    assert.deepEqual(parseDestination("[fd00::1]:2222(fd01::1):bar/baz"), {host: "[fd00::1]", port: "2222", internal: "fd01::1", dataset: "bar/baz"});
+  });
+
+  it('accepts the internal host before or after the port', () => {
+    assert.deepEqual(parseDestination("host1(10.0.0.1):22:tank/vms"), {host: "host1", port: "22", internal: "10.0.0.1", dataset: "tank/vms"});
+    assert.deepEqual(parseDestination("host1:22(10.0.0.1):tank/vms"), {host: "host1", port: "22", internal: "10.0.0.1", dataset: "tank/vms"});
+    assert.deepEqual(parseDestination("host1(host1-storage)"), {host: "host1", port: null, internal: "host1-storage", dataset: null});
+  });
+
+  it('accepts the legacy form of the internal host in brackets', () => {
+    assert.deepEqual(parseDestination("host1[10.0.0.1]:tank/vms"), {host: "host1", port: null, internal: "10.0.0.1", dataset: "tank/vms"});
+    assert.deepEqual(parseDestination("host1:2222[host1-storage]"), {host: "host1", port: "2222", internal: "host1-storage", dataset: null});
+  });
+
+  it('takes a numeric part for the port, never for a dataset', () => {
+    assert.deepEqual(parseDestination("host1:2222"), {host: "host1", port: "2222", internal: null, dataset: null});
+    assert.deepEqual(parseDestination("host1:2222:tank/100"), {host: "host1", port: "2222", internal: null, dataset: "tank/100"});
+    assert.deepEqual(parseDestination("host1:tank/100"), {host: "host1", port: null, internal: null, dataset: "tank/100"});
+  });
+
+  it('keeps a trailing slash marking the dataset as parent', () => {
+    assert.equal(parseDestination("host1:/tank/vms/").dataset, "tank/vms/");
+  });
+
+  it('rejects IPv6 addresses without brackets', () => {
+    assert.throws(() => parseDestination("fd00::1:tank/vms"), {message: "invalid destination 'fd00::1:tank/vms', IPv6 addresses have to be put in brackets, e.g. [fd00::1]:pool/vms"});
+    assert.throws(() => parseDestination("fd00::1"), /IPv6 addresses have to be put in brackets/);
+  });
+
+  it('rejects invalid destinations', () => {
+    assert.throws(() => parseDestination("host1(10.0.0.1):22(10.0.0.2)"), {message: "invalid destination 'host1(10.0.0.1):22(10.0.0.2)', more than one internal host given"});
+    assert.throws(() => parseDestination("host1:"), {message: "invalid destination 'host1:', empty dataset"});
+    assert.throws(() => parseDestination("host1:0:tank"), {message: "invalid port 0 in 'host1:0:tank', expected 1 to 65535"});
+    assert.throws(() => parseDestination("host1:tank/a@b"), {message: "invalid destination 'host1:tank/a@b': invalid zfs dataset name 'tank/a@b'"});
+    assert.throws(() => parseDestination("host 1"), {message: "invalid destination 'host 1', expected [USER@]HOST[(INTERNAL_HOST)][:PORT][:DATASET], e.g. host1, root@host1:2222, [fd00::1]:pool/vms or host1(10.0.0.1):pool/vms"});
+  });
+});
@@ -0,0 +1,72 @@
+const {describe, it} = require('node:test');
+const assert = require('node:assert/strict');
+const {parseZfsSize, parseSendProgress, parseDomainList, parseDomainNames} = require('../src/toolOutput.js');
+
+describe('parseSendProgress', () => {
+  it('parses the estimated size of the stream', () => {
+    assert.deepEqual(parseSendProgress('total estimated size is 1.50M'), {type: 'total', bytes: 1.5 * 1024 ** 2});
+    assert.deepEqual(parseSendProgress('total estimated size is 12.3G\n'), {type: 'total', bytes: Math.floor(12.3 * 1024 ** 3)});
+    assert.deepEqual(parseSendProgress('total estimated size is 624B'), {type: 'total', bytes: 624});
+  });
+
+  it('parses the bytes sent so far', () => {
+    assert.deepEqual(parseSendProgress('12:01:02   1.02M   tank/vms/web1@20240101-120000'), {type: 'progress', bytes: Math.floor(1.02 * 1024 ** 2)});
+    assert.deepEqual(parseSendProgress('23:59:59\t512K\ttank/vms/web1@snap'), {type: 'progress', bytes: 512 * 1024});
+  });
+
+  it('recognizes the other lines of the report', () => {
+    for (const line of [
+      'full send of tank/vms/web1@20240101-120000 estimated size is 1.50M',
+      'send from @20240101-120000 to tank/vms/web1@20240101-130000 estimated size is 624B',
+      'incremental 20240101-120000 tank/vms/web1@20240101-130000 624',
+      'TIME        SENT   SNAPSHOT tank/vms/web1@20240101-130000',
+      'TIME        SENT   SNAPSHOT',
+    ])
+      assert.deepEqual(parseSendProgress(line), {type: 'info', bytes: null}, line);
+  });
+
+  it('returns null for errors', () => {
+    assert.equal(parseSendProgress('cannot receive incremental stream: destination tank/vms/web1 has been modified'), null);
+    assert.equal(parseSendProgress('cannot open \'tank/vms/nope\': dataset does not exist'), null);
+    assert.equal(parseSendProgress('warning: cannot send \'tank/vms/web1@snap\': Broken pipe'), null);
+  });
+});
+
+describe('parseZfsSize', () => {
+  it('accepts sizes with and without unit suffix B', () => {
+    assert.equal(parseZfsSize('2K'), 2048);
+    assert.equal(parseZfsSize('2KB'), 2048);
+    assert.equal(parseZfsSize('100'), 100);
+  });
+});
+
+describe('parseDomainList', () => {
+  it('parses the table of virsh list --all', () => {
+    const stdout = [
+      ' Id   Name          State',
+      '------------------------------',
+      ' 1    web1          running',
+      ' 7    db1           paused',
+      ' -    backup-test   shut off',
+      '',
+      '',
+    ].join('\n');
+    assert.deepEqual(parseDomainList(stdout), [
+      {id: '1', name: 'web1', state: 'running'},
+      {id: '7', name: 'db1', state: 'paused'},
+      {id: '-', name: 'backup-test', state: 'shut off'},
+    ]);
+  });
+
+  it('returns no domains for an empty table', () => {
+    assert.deepEqual(parseDomainList(' Id   Name   State\n--------------------\n\n'), []);
+    assert.deepEqual(parseDomainList(''), []);
+  });
+});
+
+describe('parseDomainNames', () => {
+  it('parses the output of virsh list --name', () => {
+    assert.deepEqual(parseDomainNames('web1\ndb1\n\n'), ['web1', 'db1']);
+    assert.deepEqual(parseDomainNames('\n'), []);
+  });
+});
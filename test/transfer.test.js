@@ -0,0 +1,180 @@
+const {describe, it, mock} = require('node:test');
+const assert = require('node:assert/strict');
+const {parseRetentionPolicy} = require('../src/retention.js');
+const {setup} = require('./hosts.js');
+
+describe('transferSnapshotByDataset', () => {
+  it('transfers a full stream first and incremental streams afterwards', async () => {
+    const {hv1, hv2, zfsdom} = setup();
+    const first = await zfsdom.transferSnapshotByDataset("tank/vms/web1", "hv2", true, false);
+    assert.equal(first.success, true, first.error);
+    assert.match(first.snapshot, /^\d{8}-\d{6}$/);
+    assert.equal(first.transfers[0].commonSnapshot, null);
+    assert.ok(first.transfers[0].bytes >= 5e6);
+    assert.deepEqual(hv2.getSnapshots("tank/vms/web1"), [first.snapshot]);
+
+    hv1.write("tank/vms/web1", 1e6);
+    const second = await zfsdom.transferSnapshotByDataset("tank/vms/web1", "hv2", true, false);
+    assert.equal(second.success, true, second.error);
+    assert.notEqual(second.snapshot, first.snapshot);
+    assert.equal(second.transfers[0].commonSnapshot, first.snapshot);
+    assert.ok(second.transfers[0].bytes < 5e6);
+    assert.deepEqual(hv2.getSnapshots("tank/vms/web1"), [first.snapshot, second.snapshot]);
+  });
+
+  it('transfers to another dataset and over tcp to the internal address', async () => {
+    const {hv1, hv2, zfsdom} = setup();
+    const result = await zfsdom.transferSnapshotByDataset("tank/vms/web1", "hv2(10.0.0.2):tank/copy", true, false, {stream: {tcp: true}});
+    assert.equal(result.success, true, result.error);
+    assert.ok(hv2.datasets.has("tank/copy"));
+    assert.ok(hv2.history.some(cmd => /mbuffer .*-I 9090/.test(cmd)));
+    assert.ok(hv1.history.some(cmd => /mbuffer .*-O 10\.0\.0\.2:9090/.test(cmd)));
+  });
+
+  it('listens on a port of its own for each concurrent tcp transfer to a host', async () => {
+    const {hv1, hv2, zfsdom} = setup();
+    hv1.createDataset("tank/vms/web2");
+    hv1.write("tank/vms/web2", 5e6);
+    const results = await Promise.all(["tank/vms/web1", "tank/vms/web2"].map(dataset =>
+      zfsdom.transferSnapshotByDataset(dataset, "hv2(10.0.0.2)", true, false, {stream: {tcp: true}})));
+    for (const result of results)
+      assert.equal(result.success, true, result.error);
+    assert.ok(hv2.datasets.has("tank/vms/web1") && hv2.datasets.has("tank/vms/web2"));
+    const ports = hv1.history.map(cmd => cmd.match(/mbuffer .*-O 10\.0\.0\.2:(\d+)/)?.[1]).filter(port => port);
+    assert.deepEqual(ports.sort(), ["9090", "9091"]);
+    assert.equal(zfsdom.tcpPorts.get("hv2").size, 0);
+  });
+
+  it('does not transfer anything in a dry run', async () => {
+    const {hv1, hv2, zfsdom} = setup();
+    const result = await zfsdom.transferSnapshotByDataset("tank/vms/web1", "hv2", false, false);
+    assert.equal(result.success, true, result.error);
+    assert.equal(result.transfers[0].dryRun, true);
+    assert.deepEqual(hv1.getSnapshots("tank/vms/web1"), []);
+    assert.equal(hv2.datasets.has("tank/vms/web1"), false);
+  });
+
+  it('fails if the destination is unreachable', async () => {
+    const {hv2, zfsdom} = setup();
+    hv2.reachable = false;
+    const result = await zfsdom.transferSnapshotByDataset("tank/vms/web1", "hv2", true, false);
+    assert.equal(result.success, false);
+    assert.match(result.error, /hv2 port 22: Connection refused/);
+    assert.equal(result.transfers[0].success, false);
+    assert.equal(hv2.datasets.has("tank/vms/web1"), false);
+  });
+
+  it('refuses to roll back a modified destination unless forced', async () => {
+    const {hv1, hv2, zfsdom} = setup();
+    const first = await zfsdom.transferSnapshotByDataset("tank/vms/web1", "hv2", true, false);
+    hv2.write("tank/vms/web1", 1e6);
+    hv1.write("tank/vms/web1", 1e6);
+    const refused = await zfsdom.transferSnapshotByDataset("tank/vms/web1", "hv2", true, false);
+    assert.equal(refused.success, false);
+    assert.deepEqual(hv2.getSnapshots("tank/vms/web1"), [first.snapshot]);
+
+    const forced = await zfsdom.transferSnapshotByDataset("tank/vms/web1", "hv2", true, true);
+    assert.equal(forced.success, true, forced.error);
+    assert.equal(forced.transfers[0].commonSnapshot, first.snapshot);
+    assert.equal(hv2.getSnapshots("tank/vms/web1").at(-1), forced.snapshot);
+  });
+
+  it('resumes an interrupted transfer', async () => {
+    const {hv2, zfsdom} = setup();
+    hv2.fail("zfs recv", {stderr: "cannot receive new filesystem stream: connection reset", partial: true});
+    const interrupted = await zfsdom.transferSnapshotByDataset("tank/vms/web1", "hv2", true, false);
+    assert.equal(interrupted.success, false);
+    assert.match(interrupted.transfers[0].error, /connection reset/);
+    assert.ok(hv2.getDataset("tank/vms/web1").resumeToken);
+
+    const resumed = await zfsdom.transferSnapshotByDataset("tank/vms/web1", "hv2", true, false);
+    assert.equal(resumed.success, true, resumed.error);
+    assert.equal(resumed.transfers[0].resumed, true);
+    assert.equal(hv2.getDataset("tank/vms/web1").resumeToken, null);
+    assert.ok(hv2.getSnapshots("tank/vms/web1").includes(interrupted.snapshot));
+  });
+
+  it('reports the progress of the stream', async () => {
+    const {zfsdom} = setup();
+    const progress = [];
+    zfsdom.on('transfer-progress', event => progress.push(event));
+    await zfsdom.transferSnapshotByDataset("tank/vms/web1", "hv2", true, false);
+    assert.ok(progress.length >= 2);
+    assert.ok(progress.every(event => event.dataset === "tank/vms/web1"));
+    const last = progress.at(-1);
+    assert.ok(last.total >= 5e6);
+    assert.equal(last.bytes, last.total);
+  });
+});
+
+describe('transferDomainSnapshot', () => {
+  it('refuses datasets with the same name for one destination dataset before snapshotting', async () => {
+    const {hv1, hv2, zfsdom} = setup();
+    hv1.createDataset("ssd");
+    hv1.createDataset("ssd/web1");
+    hv1.defineDomain("web1", {memory: 8e6, disks: [{type: "file", path: "/tank/vms/web1/disk.qcow2"}, {type: "file", path: "/ssd/web1/data.qcow2"}], networks: ["default"]});
+    hv2.createDataset("data");
+    const result = await zfsdom.transferDomainSnapshot("web1", "hv2:data", true, false);
+    assert.equal(result.success, false);
+    assert.match(result.error, /tank\/vms\/web1, ssd\/web1 would all be transferred to data\/web1/);
+    assert.deepEqual(hv1.getSnapshots("tank/vms/web1"), []);
+    assert.deepEqual(hv1.getSnapshots("ssd/web1"), []);
+    assert.equal(hv2.datasets.has("data/web1"), false);
+  });
+});
+
+describe('createSnapshots', () => {
+  it('appends a sequence number to snapshots taken in the same second', async () => {
+    const {hv1, zfsdom} = setup();
+    hv1.createDataset("tank/vms/db1", {type: "volume"});
+    mock.timers.enable({apis: ['Date'], now: new Date(2024, 0, 1, 12, 0, 0)});
+    try {
+      assert.equal(await zfsdom.createSnapshots(null, ["tank/vms/web1"]), "20240101-120000");
+      assert.equal(await zfsdom.createSnapshots(null, ["tank/vms/db1"]), "20240101-120000");
+      assert.equal(await zfsdom.createSnapshots(null, ["tank/vms/web1", "tank/vms/db1"]), "20240101-120000-1");
+      assert.equal(await zfsdom.createSnapshots(null, ["tank/vms/web1"]), "20240101-120000-2");
+    } finally {
+      mock.timers.reset();
+    }
+    assert.deepEqual(hv1.getSnapshots("tank/vms/db1"), ["20240101-120000", "20240101-120000-1"]);
+  });
+});
+
+describe('getLatestCommonSnapshot', () => {
+  it('finds the latest snapshot existing on both sides', async () => {
+    const {hv1, hv2, zfsdom} = setup();
+    const terminal = zfsdom.connect("hv2");
+    assert.equal(await zfsdom.getLatestCommonSnapshot(terminal, "tank/vms/web1", "tank/vms/web1"), null);
+
+    hv1.snapshot("tank/vms/web1@a", "tank/vms/web1@b");
+    await zfsdom.transferSnapshotByDataset("tank/vms/web1", "hv2", true, false, {snapshot: "b"});
+    hv1.snapshot("tank/vms/web1@c");
+    hv2.snapshot("tank/vms/web1@d");
+    assert.equal(await zfsdom.getLatestCommonSnapshot(terminal, "tank/vms/web1", "tank/vms/web1"), "b");
+    assert.equal(await zfsdom.getLatestCommonSnapshot(terminal, "hv1:tank/vms/web1", "tank/vms/web1"), "b");
+    assert.equal(await zfsdom.getLatestCommonSnapshot(terminal, "tank/vms/web1", "tank/vms/other"), null);
+    await terminal.close();
+  });
+});
+
+describe('pruneSnapshotsByDataset', () => {
+  it('keeps the snapshot in common and prunes both sides by their policies', async () => {
+    const {hv1, hv2, zfsdom} = setup();
+    const snapshots = [];
+    for (let i = 0; i < 3; i++) {
+      hv1.write("tank/vms/web1", 1e6);
+      snapshots.push((await zfsdom.transferSnapshotByDataset("tank/vms/web1", "hv2", true, false)).snapshot);
+    }
+    const policies = {source: parseRetentionPolicy("last=1"), destination: parseRetentionPolicy("last=2")};
+
+    const dryRun = await zfsdom.pruneSnapshotsByDataset("tank/vms/web1", "hv2", policies, false);
+    assert.equal(dryRun.success, true, dryRun.error);
+    assert.deepEqual(hv1.getSnapshots("tank/vms/web1"), snapshots);
+
+    const result = await zfsdom.pruneSnapshotsByDataset("tank/vms/web1", "hv2", policies, true);
+    assert.equal(result.success, true, result.error);
+    assert.equal(result.results[0].commonSnapshot, snapshots[2]);
+    assert.deepEqual(hv1.getSnapshots("tank/vms/web1"), snapshots.slice(2));
+    assert.deepEqual(hv2.getSnapshots("tank/vms/web1"), snapshots.slice(1));
+  });
+});